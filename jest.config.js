@@ -21,6 +21,9 @@ export default {
   // Clear mocks between tests
   clearMocks: true,
   
+  // Test files share one Redis instance, so run them one at a time
+  maxWorkers: 1,
+  
   // Test timeout for long-running operations
   testTimeout: 30000,
   
@@ -3,10 +3,81 @@ import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import {
-  submitJob,
+  addJob,
+  validateJob,
+  submitJobs,
+  validateJobs,
   getJobStatus,
   cancelJob,
+  cancelJobs,
+  validateCancelFilter,
+  isValidPriority,
+  formatAttempt,
+  listQueues,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
 } from "../queue.js";
+import { DEFAULT_QUEUE, isValidQueueName } from "../keys.js";
+import {
+  listDeadJobs,
+  getDeadJob,
+  replayDeadJob,
+  replayDeadJobs,
+  purgeDeadJobs,
+} from "../dead-letter.js";
+import {
+  addRecurringJob,
+  listRecurringJobs,
+  removeRecurringJob,
+  isValidCronExpression,
+} from "../recurring.js";
+import { submitFlow, getFlow, listFlows, validateFlow } from "../flows.js";
+import { getJobLogs, followJobLogs } from "../logs.js";
+import { listJobs, validateListQuery } from "../list-jobs.js";
+import {
+  getQueueStats,
+  validateStatsWindow,
+  collectQueueMetrics,
+} from "../stats.js";
+import { registry, METRICS_CONTENT_TYPE } from "../metrics.js";
+import {
+  getCommandPolicy,
+  setCommandPolicy,
+  removeCommandPolicy,
+  validateCommandPolicy,
+  defaultCommandPolicy,
+  commandPolicies,
+  findPolicyViolation,
+} from "../policy.js";
+import {
+  authenticate,
+  hasRole,
+  canAccessQueue,
+  submitterOf,
+} from "../auth.js";
+import {
+  addQueueWebhook,
+  listQueueWebhooks,
+  removeQueueWebhook,
+  listWebhookDeliveries,
+  validateWebhook,
+} from "../webhooks.js";
+import {
+  getRateLimit,
+  setRateLimit,
+  removeRateLimit,
+  validateRateLimit,
+} from "../rate-limit.js";
+import {
+  getRetention,
+  setRetention,
+  removeRetention,
+  validateRetention,
+  cleanJobs,
+  validateClean,
+  removeJob,
+  RETENTION_STATUSES,
+} from "../retention.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,12 +85,77 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+// bulk submissions carry thousands of jobs
+app.use(express.json({ limit: "10mb" }));
+
+// Every request needs an API key or a JWT with a role (see auth.js), unless
+// SYNQ_AUTH=off opens the API to anyone who can reach it
+const authRequired = process.env.SYNQ_AUTH !== "off";
 
-// Get queue statistics
-app.get("/api/stats", async (req, res) => {
+app.use(async (req, res, next) => {
+  if (!authRequired) return next();
   try {
-    const stats = await getQueueStats();
+    const token = req.get("Authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    req.identity = await authenticate(token);
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ error: "Failed to authenticate", message: error.message });
+  }
+  if (!req.identity) {
+    return res.status(401).set("WWW-Authenticate", "Bearer").json({
+      error: "Unauthorized",
+      message: "Send an API key or a JWT as Authorization: Bearer <token>",
+    });
+  }
+  next();
+});
+
+// Allows the request when its identity has role (or a role above it)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!authRequired || hasRole(req.identity, role)) return next();
+    res
+      .status(403)
+      .json({ error: "Forbidden", message: `Requires the ${role} role` });
+  };
+}
+
+// Whether the request's identity may use queue
+function allowsQueue(req, queue) {
+  return !authRequired || canAccessQueue(req.identity, queue);
+}
+
+// Why the command policies of the request's queue reject command run with
+// exec (the job's shell, cwd and env), or null
+async function policyViolation(req, command, exec) {
+  return findPolicyViolation(command, await commandPolicies(req.queue), exec);
+}
+
+// Who submits a job, flow or recurring job, recorded on it
+function submitter(req) {
+  return authRequired ? submitterOf(req.identity) : undefined;
+}
+
+// Get queue statistics, ?window=<minutes> for throughput and average times
+app.get("/api/stats", withQueue, async (req, res) => {
+  const window =
+    req.query.window !== undefined ? Number(req.query.window) : undefined;
+  if (window !== undefined) {
+    try {
+      validateStatsWindow(window);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid stats window", message: error.message });
+    }
+  }
+
+  try {
+    const stats = {
+      ...(await getQueueStats({ queue: req.queue, window })),
+      rateLimit: await getRateLimit({ queue: req.queue }),
+    };
     res.json(stats);
   } catch (error) {
     res
@@ -31,17 +167,392 @@ app.get("/api/stats", async (req, res) => {
   }
 });
 
-// CRUD Operations for Jobs
+// Prometheus metrics of every queue, and the script latency of this server
+app.get("/metrics", async (req, res) => {
+  if (authRequired && req.identity.queues !== null) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Metrics cover every queue, use a key without a queue list",
+    });
+  }
+  try {
+    await collectQueueMetrics(await listQueues());
+    res.type(METRICS_CONTENT_TYPE).send(registry.render());
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to collect metrics", message: error.message });
+  }
+});
 
-// CREATE - Submit a new job
-app.post("/api/jobs", async (req, res) => {
+// Resolves the queue a request targets: the :name route param, then a
+// "queue" field in the body or query string, then the default queue
+function withQueue(req, res, next) {
+  const queue =
+    req.params.name || req.body?.queue || req.query.queue || DEFAULT_QUEUE;
+  if (!isValidQueueName(queue)) {
+    return res.status(400).json({ error: "Invalid queue name", queue });
+  }
+  if (!allowsQueue(req, queue)) {
+    return res
+      .status(403)
+      .json({ error: "Forbidden", message: `No access to queue ${queue}` });
+  }
+  req.queue = queue;
+  next();
+}
+
+// Rate limit of a queue: PUT { max, duration } and / or
+// { groupMax, groupDuration } (jobs per ms) replaces it
+app.get("/api/queues/:name/rate-limit", withQueue, async (req, res) => {
+  try {
+    const rateLimit = await getRateLimit({ queue: req.queue });
+    if (!rateLimit) {
+      return res.status(404).json({ error: "Queue has no rate limit" });
+    }
+    res.json(rateLimit);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to get rate limit", message: error.message });
+  }
+});
+
+app.put("/api/queues/:name/rate-limit", requireRole("admin"), withQueue, async (req, res) => {
   try {
-    const { command } = req.body;
-    if (!command) {
-      return res.status(400).json({ error: "Command is required" });
+    const { max, duration, groupMax, groupDuration } = req.body;
+    try {
+      validateRateLimit({ max, duration, groupMax, groupDuration });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid rate limit", message: error.message });
     }
-    const result = await submitJob(command);
-    res.status(201).json(result);
+    const rateLimit = await setRateLimit({
+      queue: req.queue,
+      max,
+      duration,
+      groupMax,
+      groupDuration,
+    });
+    res.json(rateLimit);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to set rate limit", message: error.message });
+  }
+});
+
+app.delete("/api/queues/:name/rate-limit", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const result = await removeRateLimit({ queue: req.queue });
+    if (result === "not_found") {
+      return res.status(404).json({ error: "Queue has no rate limit" });
+    }
+    res.json({ message: "Rate limit removed", queue: req.queue });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to remove rate limit", message: error.message });
+  }
+});
+
+// Command policy of a queue: PUT { allow, deny, maxLength } replaces it.
+// GET also shows the default policy every queue has to pass.
+app.get("/api/queues/:name/policy", withQueue, async (req, res) => {
+  try {
+    const policy = await getCommandPolicy({ queue: req.queue });
+    res.json({
+      queue: req.queue,
+      policy,
+      defaultPolicy: defaultCommandPolicy(),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to get command policy", message: error.message });
+  }
+});
+
+app.put("/api/queues/:name/policy", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { allow, deny, maxLength } = req.body;
+    try {
+      validateCommandPolicy({ allow, deny, maxLength });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid command policy", message: error.message });
+    }
+    const policy = await setCommandPolicy({
+      queue: req.queue,
+      allow,
+      deny,
+      maxLength,
+    });
+    res.json(policy);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to set command policy", message: error.message });
+  }
+});
+
+app.delete("/api/queues/:name/policy", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const result = await removeCommandPolicy({ queue: req.queue });
+    if (result === "not_found") {
+      return res.status(404).json({ error: "Queue has no command policy" });
+    }
+    res.json({ message: "Command policy removed", queue: req.queue });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to remove command policy", message: error.message });
+  }
+});
+
+// Retention rules of a queue per finished status: PUT { maxCount, maxAge,
+// archive } makes the workers' cleaner delete what the rule doesn't keep
+app.get("/api/queues/:name/retention", withQueue, async (req, res) => {
+  try {
+    const retention = await getRetention({ queue: req.queue });
+    res.json({ queue: req.queue, retention });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to get retention", message: error.message });
+  }
+});
+
+app.put("/api/queues/:name/retention/:status", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { status } = req.params;
+    const { maxCount, maxAge, archive } = req.body;
+    try {
+      validateRetention({ status, maxCount, maxAge });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid retention rule", message: error.message });
+    }
+    const rule = await setRetention({
+      queue: req.queue,
+      status,
+      maxCount,
+      maxAge,
+      archive,
+    });
+    res.json(rule);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to set retention", message: error.message });
+  }
+});
+
+app.delete("/api/queues/:name/retention/:status", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { status } = req.params;
+    const result = await removeRetention({ queue: req.queue, status });
+    if (result === "not_found") {
+      return res.status(404).json({ error: "Status has no retention rule" });
+    }
+    res.json({ message: "Retention rule removed", queue: req.queue, status });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to remove retention", message: error.message });
+  }
+});
+
+// Admin: delete finished jobs now, e.g. { status: "succeeded",
+// olderThan: "7d" }, optionally archiving them to MongoDB first
+app.post("/api/admin/clean", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { status, olderThan, keep, archive = false } = req.body;
+    try {
+      validateClean({ status, olderThan, keep });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid clean request", message: error.message });
+    }
+    const result = await cleanJobs({
+      queue: req.queue,
+      status,
+      olderThan,
+      keep,
+      archive,
+    });
+    res.json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to clean jobs", message: error.message });
+  }
+});
+
+// Webhooks notified when any job of a queue finishes. POST { url, events,
+// secret } responds with the secret (generated when left out) only once.
+app.get("/api/queues/:name/webhooks", withQueue, async (req, res) => {
+  try {
+    const webhooks = await listQueueWebhooks({ queue: req.queue });
+    res.json({ queue: req.queue, webhooks });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list webhooks", message: error.message });
+  }
+});
+
+app.post("/api/queues/:name/webhooks", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { url, events, secret } = req.body;
+    try {
+      validateWebhook({ url, events });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid webhook", message: error.message });
+    }
+    const webhook = await addQueueWebhook({
+      queue: req.queue,
+      url,
+      events,
+      secret,
+    });
+    res.status(201).json(webhook);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to add webhook", message: error.message });
+  }
+});
+
+// Deliveries newest first, ?jobId=, ?status=pending|retrying|delivered|failed
+app.get("/api/queues/:name/webhooks/deliveries", withQueue, async (req, res) => {
+  try {
+    const { jobId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+    const deliveries = await listWebhookDeliveries({
+      queue: req.queue,
+      jobID: jobId,
+      status,
+      limit,
+    });
+    res.json({ queue: req.queue, deliveries });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list deliveries", message: error.message });
+  }
+});
+
+app.delete("/api/queues/:name/webhooks/:webhookId", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const result = await removeQueueWebhook({ queue: req.queue, webhookId });
+    if (result === "not_found") {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ message: "Webhook removed", queue: req.queue, webhookId });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to remove webhook", message: error.message });
+  }
+});
+
+app.get("/api/queues", async (req, res) => {
+  try {
+    const queues = await listQueues();
+    res.json({ queues: queues.filter((queue) => allowsQueue(req, queue)) });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list queues", message: error.message });
+  }
+});
+
+// CRUD Operations for Jobs, mounted at /api/jobs and /api/queues/:name/jobs
+const jobs = express.Router({ mergeParams: true });
+jobs.use(withQueue);
+
+// CREATE - Submit a new job: a shell command, or the name (and data) of a
+// handler registered on the workers. Repeating the idempotencyKey (or the
+// Idempotency-Key header) or jobId of an earlier submission within the dedup
+// window returns that job with a 200 instead of adding another one.
+jobs.post("/", requireRole("submitter"), async (req, res) => {
+  try {
+    const {
+      command,
+      name,
+      data,
+      group,
+      priority = 0,
+      delay,
+      runAt,
+      attempts = 1,
+      backoff,
+      timeout,
+      cwd,
+      env,
+      shell,
+      idempotencyKey = req.get("Idempotency-Key"),
+      jobId,
+      dedupWindow,
+      webhooks,
+    } = req.body;
+    if (!command && name === undefined) {
+      return res
+        .status(400)
+        .json({ error: "Command or handler name is required" });
+    }
+    if (command && name !== undefined) {
+      return res
+        .status(400)
+        .json({ error: "Give either a command or a handler name" });
+    }
+    const options = {
+      name,
+      data,
+      group,
+      queue: req.queue,
+      priority,
+      delay,
+      runAt,
+      attempts,
+      backoff,
+      timeout,
+      cwd,
+      env,
+      shell,
+      idempotencyKey,
+      jobId,
+      dedupWindow,
+      webhooks,
+      submittedBy: submitter(req),
+    };
+    // the same checks as addJob and bulk submissions
+    try {
+      validateJob(command, options);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid job", message: error.message });
+    }
+    const violation =
+      name === undefined
+        ? await policyViolation(req, command, { shell, cwd, env })
+        : null;
+    if (violation) {
+      return res
+        .status(403)
+        .json({ error: "Command rejected by policy", message: violation });
+    }
+    const result = await addJob(command, options);
+    res.status(result.duplicate ? 200 : 201).json(result);
   } catch (error) {
     res
       .status(500)
@@ -49,17 +560,148 @@ app.post("/api/jobs", async (req, res) => {
   }
 });
 
+// Jobs one bulk submission may add
+const MAX_BULK_JOBS = 10000;
+
+// CREATE - Submit many jobs at once: { jobs } lists commands or bodies of
+// POST / (without a queue of their own), all added to the request's queue.
+// Every job is checked first so one invalid job adds none, then they are
+// added in batches. Responds with { jobID, status, duplicate } of each job.
+jobs.post("/bulk", requireRole("submitter"), async (req, res) => {
+  try {
+    const { jobs: list } = req.body;
+    if (
+      !Array.isArray(list) ||
+      list.length === 0 ||
+      list.length > MAX_BULK_JOBS
+    ) {
+      return res.status(400).json({
+        error: "Invalid jobs",
+        message: `jobs must be a list of 1-${MAX_BULK_JOBS} jobs`,
+      });
+    }
+    const other = list.findIndex(
+      (job) => job?.queue !== undefined && job.queue !== req.queue
+    );
+    if (other !== -1) {
+      return res.status(400).json({
+        error: "Invalid jobs",
+        message: `jobs[${other}]: Jobs are added to ${req.queue}`,
+      });
+    }
+    const submittedBy = submitter(req);
+    const entries = list.map((job) =>
+      typeof job === "string"
+        ? { command: job, queue: req.queue, submittedBy }
+        : { ...job, queue: req.queue, submittedBy }
+    );
+    try {
+      validateJobs(entries);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid jobs", message: error.message });
+    }
+    const policies = await commandPolicies(req.queue);
+    for (const [i, entry] of entries.entries()) {
+      const violation =
+        entry.name === undefined &&
+        findPolicyViolation(entry.command, policies, entry);
+      if (violation) {
+        return res.status(403).json({
+          error: "Command rejected by policy",
+          message: `jobs[${i}]: ${violation}`,
+        });
+      }
+    }
+    const results = await submitJobs(entries);
+    res.status(201).json({ queue: req.queue, jobs: results });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to submit jobs", message: error.message });
+  }
+});
+
+// UPDATE - Cancel many jobs: { jobIDs } and / or { status } (one or a list
+// of pending, scheduled, retrying, running and blocked), or every unfinished
+// job of a queue given in the path, body or query. Responds with the IDs of
+// the jobs cancelled, skipped (finished or in another status) and not found.
+jobs.post("/cancel", requireRole("submitter"), async (req, res) => {
+  try {
+    const { jobIDs, status } = req.body;
+    const namesQueue = req.params.name || req.body.queue || req.query.queue;
+    if (jobIDs === undefined && status === undefined && !namesQueue) {
+      return res
+        .status(400)
+        .json({ error: "Give jobIDs, a status or a queue" });
+    }
+    try {
+      validateCancelFilter({ jobIDs, status });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid cancel filter", message: error.message });
+    }
+    const result = await cancelJobs({ queue: req.queue, jobIDs, status });
+    res.json({ queue: req.queue, ...result });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to cancel jobs", message: error.message });
+  }
+});
+
+// READ - List jobs from the status indexes, newest first. Filters: status
+// (comma separated), from / to (creation time), command (substring);
+// order=asc|desc, limit, fields (comma separated) and the cursor returned
+// as nextCursor by the previous page.
+jobs.get("/", async (req, res) => {
+  try {
+    const { status, from, to, command, order, limit, cursor, fields } =
+      req.query;
+    const query = {
+      queue: req.queue,
+      status,
+      from,
+      to,
+      command,
+      order,
+      limit: limit !== undefined ? Number(limit) : undefined,
+      cursor,
+      fields,
+    };
+    try {
+      validateListQuery(query);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid job query", message: error.message });
+    }
+    res.json(await listJobs(query));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list jobs", message: error.message });
+  }
+});
+
 // READ - Get specific job by ID
-app.get("/api/jobs/:jobId", async (req, res) => {
+jobs.get("/:jobId", async (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = await getJobStatus(jobId);
+    const job = await getJobStatus(jobId, { queue: req.queue });
 
     if (!job) {
       return res.status(404).json({ error: "Job not found" });
     }
 
-    res.json({ jobID: jobId, ...job });
+    res.json({
+      jobID: jobId,
+      ...job,
+      attempt: formatAttempt(job),
+      nextRetryAt: job.nextRetryAt ? new Date(job.nextRetryAt) : null,
+    });
   } catch (error) {
     res
       .status(500)
@@ -67,21 +709,108 @@ app.get("/api/jobs/:jobId", async (req, res) => {
   }
 });
 
-// UPDATE - Cancel a job
-app.patch("/api/jobs/:jobId/cancel", async (req, res) => {
+// READ - Output of a job as timestamped stdout/stderr lines. "after" is the
+// id of the last entry already seen. With ?follow=true the lines are sent as
+// Server-Sent Events while the job runs, ending with an "end" event.
+jobs.get("/:jobId/logs", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await getJobStatus(jobId, { queue: req.queue });
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    // EventSource resends the last id it got when it reconnects
+    const after = req.get("Last-Event-ID") || req.query.after;
+
+    if (req.query.follow !== "true") {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 1000, 10000);
+      const logs = await getJobLogs(jobId, { queue: req.queue, after, limit });
+      return res.json({ jobID: jobId, status: job.status, logs });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const controller = new AbortController();
+    req.on("close", () => controller.abort());
+
+    try {
+      for await (const entry of followJobLogs(jobId, {
+        queue: req.queue,
+        after,
+        signal: controller.signal,
+      })) {
+        const event = entry.event === "end" ? "end" : "log";
+        res.write(`id: ${entry.id}\nevent: ${event}\n`);
+        res.write(`data: ${JSON.stringify(entry)}\n\n`);
+      }
+    } catch (error) {
+      res.write(`event: error\ndata: ${JSON.stringify(error.message)}\n\n`);
+    }
+    res.end();
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res
+      .status(500)
+      .json({ error: "Failed to get job logs", message: error.message });
+  }
+});
+
+// READ - Webhook deliveries made for a job, newest first, with every attempt
+jobs.get("/:jobId/webhooks", async (req, res) => {
+  try {
+    const deliveries = await listWebhookDeliveries({
+      queue: req.queue,
+      jobID: req.params.jobId,
+      limit: 1000,
+    });
+    res.json({ jobID: req.params.jobId, deliveries });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list deliveries", message: error.message });
+  }
+});
+
+// UPDATE - Cancel a job. With ?wait=true (or "wait": true in the body) the
+// response waits until the worker confirmed it killed a running job, up to
+// "timeout" ms (default 10000, max 60000).
+jobs.patch("/:jobId/cancel", requireRole("submitter"), async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await cancelJob(jobId);
+    const wait = req.query.wait === "true" || req.body?.wait === true;
+    const timeout = Math.min(
+      parseInt(req.query.timeout ?? req.body?.timeout, 10) || 10000,
+      60000
+    );
+    const result = await cancelJob(jobId, { queue: req.queue, wait, timeout });
 
     if (result === "not_found") {
       return res.status(404).json({ error: "Job not found" });
     }
+    if (result === "already_finished") {
+      return res.status(409).json({ error: "Job already finished", jobId });
+    }
 
-    if (result === "cancelled") {
+    if (result === "cancelled" || result === "killed") {
       res.json({
         message: "Job cancelled successfully",
         jobId,
         status: "cancelled",
+        ...(wait && { killed: result === "killed" }),
+      });
+    } else if (result === "kill_pending") {
+      res.status(202).json({
+        message: "Job cancelled, the worker has not confirmed the kill yet",
+        jobId,
+        status: "cancelled",
+        killed: false,
       });
     } else {
       res.status(400).json({ error: "Failed to cancel job", result });
@@ -93,27 +822,35 @@ app.patch("/api/jobs/:jobId/cancel", async (req, res) => {
   }
 });
 
-// DELETE - Remove a job (conceptually - we'll mark it as deleted)
-app.delete("/api/jobs/:jobId", async (req, res) => {
+// DELETE - Remove a finished job and its log from Redis
+jobs.delete("/:jobId", requireRole("submitter"), async (req, res) => {
   try {
     const { jobId } = req.params;
 
     // First check if job exists
-    const job = await getJobStatus(jobId);
+    const job = await getJobStatus(jobId, { queue: req.queue });
     if (!job) {
       return res.status(404).json({ error: "Job not found" });
     }
 
-    // For safety, only allow deletion of completed, failed, or cancelled jobs
-    if (!["succeeded", "failed", "cancelled"].includes(job.status)) {
+    // For safety, only allow deletion of finished jobs
+    if (!RETENTION_STATUSES.includes(job.status)) {
       return res.status(400).json({
         error: "Cannot delete job",
-        message: "Only completed, failed, or cancelled jobs can be deleted",
+        message:
+          "Only succeeded, failed, cancelled or skipped jobs can be deleted",
       });
     }
 
-    // Cancel the job first if it's not already in a final state
-    await cancelJob(jobId);
+    const result = await removeJob(jobId, { queue: req.queue });
+    if (result === "in_use") {
+      return res.status(409).json({
+        error: "Cannot delete job",
+        message:
+          "Its worker is still recording a kill, or it is the parent of a blocked flow job",
+      });
+    }
+    // jobs archived to MongoDB only are already gone from Redis
     res.json({ message: "Job deleted successfully", jobId });
   } catch (error) {
     res
@@ -122,6 +859,242 @@ app.delete("/api/jobs/:jobId", async (req, res) => {
   }
 });
 
+app.use("/api/jobs", jobs);
+app.use("/api/queues/:name/jobs", jobs);
+
+// Dead-letter queue
+
+app.get("/api/dead-letter", withQueue, async (req, res) => {
+  try {
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json(await listDeadJobs({ queue: req.queue, offset, limit }));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list dead-letter jobs", message: error.message });
+  }
+});
+
+// Bulk replay, every dead job unless jobIds is given
+app.post("/api/dead-letter/replay", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { jobIds } = req.body;
+    if (jobIds !== undefined && !Array.isArray(jobIds)) {
+      return res.status(400).json({ error: "jobIds must be an array" });
+    }
+    const replayed = await replayDeadJobs(jobIds, { queue: req.queue });
+    res.json({ replayed, count: replayed.length });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to replay jobs", message: error.message });
+  }
+});
+
+// Bulk purge, every dead job unless jobIds is given
+app.post("/api/dead-letter/purge", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { jobIds } = req.body;
+    if (jobIds !== undefined && !Array.isArray(jobIds)) {
+      return res.status(400).json({ error: "jobIds must be an array" });
+    }
+    const purged = await purgeDeadJobs(jobIds, { queue: req.queue });
+    res.json({ purged });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to purge jobs", message: error.message });
+  }
+});
+
+app.get("/api/dead-letter/:jobId", withQueue, async (req, res) => {
+  try {
+    const job = await getDeadJob(req.params.jobId, { queue: req.queue });
+    if (!job) {
+      return res.status(404).json({ error: "Job not found in dead-letter queue" });
+    }
+    res.json(job);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to get dead-letter job", message: error.message });
+  }
+});
+
+app.post("/api/dead-letter/:jobId/replay", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await replayDeadJob(jobId, { queue: req.queue });
+
+    if (result === "not_found") {
+      return res.status(404).json({ error: "Job not found in dead-letter queue" });
+    }
+    res.json({ message: "Job replayed", jobId, status: "pending" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to replay job", message: error.message });
+  }
+});
+
+app.delete("/api/dead-letter/:jobId", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const purged = await purgeDeadJobs([jobId], { queue: req.queue });
+
+    if (purged === 0) {
+      return res.status(404).json({ error: "Job not found in dead-letter queue" });
+    }
+    res.json({ message: "Job purged", jobId });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to purge job", message: error.message });
+  }
+});
+
+// Recurring (cron) jobs
+
+app.get("/api/recurring", async (req, res) => {
+  try {
+    const jobs = await listRecurringJobs();
+    res.json({
+      recurring: jobs.filter((job) =>
+        allowsQueue(req, job.queue || DEFAULT_QUEUE)
+      ),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list recurring jobs", message: error.message });
+  }
+});
+
+app.post("/api/recurring", requireRole("admin"), withQueue, async (req, res) => {
+  try {
+    const { name, cron, command, timezone, priority = 0 } = req.body;
+    if (!name || !cron || !command) {
+      return res
+        .status(400)
+        .json({ error: "name, cron and command are required" });
+    }
+    if (!isValidCronExpression(cron, timezone)) {
+      return res.status(400).json({
+        error: "Invalid cron expression",
+        message: `Cannot schedule "${cron}"${timezone ? ` in ${timezone}` : ""}`,
+      });
+    }
+    if (!isValidPriority(priority)) {
+      return res.status(400).json({
+        error: "Invalid priority",
+        message: `Priority must be an integer between ${MIN_PRIORITY} and ${MAX_PRIORITY}`,
+      });
+    }
+    const violation = await policyViolation(req, command);
+    if (violation) {
+      return res
+        .status(403)
+        .json({ error: "Command rejected by policy", message: violation });
+    }
+    const job = await addRecurringJob(name, cron, command, {
+      timezone,
+      priority,
+      queue: req.queue,
+      submittedBy: submitter(req),
+    });
+    res.status(201).json(job);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to add recurring job", message: error.message });
+  }
+});
+
+app.delete("/api/recurring/:name", requireRole("admin"), async (req, res) => {
+  try {
+    const { name } = req.params;
+    // keys restricted to some queues only see the recurring jobs of those
+    const recurring = (await listRecurringJobs()).find(
+      (job) => job.name === name
+    );
+    if (!recurring || !allowsQueue(req, recurring.queue || DEFAULT_QUEUE)) {
+      return res.status(404).json({ error: "Recurring job not found" });
+    }
+    const result = await removeRecurringJob(name);
+
+    if (result === "not_found") {
+      return res.status(404).json({ error: "Recurring job not found" });
+    }
+    res.json({ message: "Recurring job removed", name });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to remove recurring job", message: error.message });
+  }
+});
+
+// Flows (DAG of dependent jobs)
+
+app.get("/api/flows", withQueue, async (req, res) => {
+  try {
+    const flows = await listFlows({ queue: req.queue });
+    res.json({ queue: req.queue, flows });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to list flows", message: error.message });
+  }
+});
+
+app.post("/api/flows", requireRole("submitter"), withQueue, async (req, res) => {
+  try {
+    const { jobs, edges = [], onFailure = "skip" } = req.body;
+    try {
+      validateFlow({ jobs, edges, onFailure });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid flow", message: error.message });
+    }
+    for (const job of jobs) {
+      const violation = await policyViolation(req, job.command, job);
+      if (violation) {
+        return res.status(403).json({
+          error: "Command rejected by policy",
+          message: `Flow job ${job.name}: ${violation}`,
+        });
+      }
+    }
+    const flow = await submitFlow({
+      jobs,
+      edges,
+      onFailure,
+      queue: req.queue,
+      submittedBy: submitter(req),
+    });
+    res.status(201).json(flow);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to submit flow", message: error.message });
+  }
+});
+
+app.get("/api/flows/:flowId", withQueue, async (req, res) => {
+  try {
+    const flow = await getFlow(req.params.flowId, { queue: req.queue });
+    if (!flow) {
+      return res.status(404).json({ error: "Flow not found" });
+    }
+    res.json(flow);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: "Failed to fetch flow", message: error.message });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -2,6 +2,9 @@ import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import { runWorker } from "../worker.js";
+import { DEFAULT_QUEUE, isValidQueueName } from "../keys.js";
+import { collectQueueMetrics } from "../stats.js";
+import { registry, METRICS_CONTENT_TYPE } from "../metrics.js";
 
 const app = express();
 const PORT = process.env.WORKER_PORT || 3001;
@@ -15,9 +18,14 @@ app.use(express.json());
 let workerStatus = {
   isRunning: false,
   startedAt: null,
+  queues: [],
+  concurrency: 0,
   processedJobs: 0
 };
 
+// Handle returned by runWorker, reports what the worker's slots are doing
+let worker = null;
+
 
 // Start worker
 app.post("/api/worker/start", async (req, res) => {
@@ -26,11 +34,46 @@ app.post("/api/worker/start", async (req, res) => {
   }
 
   try {
+    const { queues, concurrency } = req.body || {};
+    if (
+      queues !== undefined &&
+      (!Array.isArray(queues) || !queues.every(isValidQueueName))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "queues must be an array of queue names" });
+    }
+    if (
+      concurrency !== undefined &&
+      (!Number.isInteger(concurrency) || concurrency < 1)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "concurrency must be a positive integer" });
+    }
+
     workerStatus.isRunning = true;
     workerStatus.startedAt = new Date();
+    workerStatus.queues = queues?.length
+      ? queues
+      : (process.env.WORKER_QUEUES || DEFAULT_QUEUE).split(",");
     
+    workerStatus.concurrency =
+      concurrency || Number(process.env.WORKER_CONCURRENCY) || 1;
+
     // Start the worker in the background
-    runWorker();
+    runWorker({
+      queues: workerStatus.queues,
+      concurrency: workerStatus.concurrency,
+    })
+      .then((handle) => {
+        worker = handle;
+        workerStatus.workerId = handle.workerId;
+      })
+      .catch((error) => {
+        console.error("Worker failed to start:", error.message);
+        workerStatus.isRunning = false;
+      });
     
     res.json({ 
       message: "Worker started successfully", 
@@ -45,6 +88,24 @@ app.post("/api/worker/start", async (req, res) => {
   }
 });
 
+// Worker status, including how busy each concurrency slot is
+app.get("/api/worker/status", (req, res) => {
+  res.json({ ...workerStatus, ...(worker && worker.status()) });
+});
+
+// Prometheus metrics of the worker and the queues it serves
+app.get("/metrics", async (req, res) => {
+  try {
+    await collectQueueMetrics(workerStatus.queues);
+    res.type(METRICS_CONTENT_TYPE).send(registry.render());
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to collect metrics",
+      message: error.message
+    });
+  }
+});
+
 // Stop worker (graceful shutdown)
 app.post("/api/worker/stop", (req, res) => {
   if (!workerStatus.isRunning) {
@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import { redis } from "./db/redis.js";
+import { authKeys, isValidQueueName } from "./keys.js";
+
+// The API authenticates every request with an API key or a JWT, both sent
+// as "Authorization: Bearer <token>". API keys are created with
+// createApiKey (synq keys create) and only a SHA-256 hash of their secret is
+// stored. JWTs are signed with HS256 and SYNQ_JWT_SECRET by whoever issues
+// them, with the role in a "role" claim and optionally the queues in a
+// "queues" claim. Either way an identity has one of ROLES and may be
+// restricted to some queues (queues: null allows every queue).
+
+// From the least to the most access: viewers read jobs and queues,
+// submitters also submit and cancel jobs, admins also manage queue settings,
+// recurring jobs and the dead-letter queue
+export const ROLES = ["viewer", "submitter", "admin"];
+
+const KEY_PATTERN = /^synq_([0-9a-f]{16})_([0-9a-f]{64})$/;
+const MAX_KEY_NAME_LENGTH = 128;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Throws unless role is one of ROLES and queues is null or queue names
+export function validateAccess({ role, queues = null } = {}) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role} (one of ${ROLES.join(", ")})`);
+  }
+  if (queues === null) return;
+  if (!Array.isArray(queues) || queues.length === 0) {
+    throw new Error("Queues must be a non-empty list of queue names");
+  }
+  for (const queue of queues) {
+    if (!isValidQueueName(queue)) {
+      throw new Error(`Invalid queue name: ${queue}`);
+    }
+  }
+}
+
+// Creates an API key and resolves with it as "key", which is the only time
+// the secret is shown
+export async function createApiKey({ name, role, queues = null } = {}) {
+  if (
+    typeof name !== "string" ||
+    name === "" ||
+    name.length > MAX_KEY_NAME_LENGTH
+  ) {
+    throw new Error(
+      `API key name must be a string of 1-${MAX_KEY_NAME_LENGTH} characters`
+    );
+  }
+  validateAccess({ role, queues });
+
+  const keyId = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("hex");
+  const record = {
+    keyId,
+    name,
+    role,
+    queues: queues && [...new Set(queues)],
+    createdAt: new Date().toISOString(),
+  };
+  await redis.hset(
+    authKeys().apiKeys,
+    keyId,
+    JSON.stringify({ ...record, secretHash: hashSecret(secret) })
+  );
+  return { ...record, key: `synq_${keyId}_${secret}` };
+}
+
+// API keys, oldest first, without their hashes
+export async function listApiKeys() {
+  const records = await redis.hvals(authKeys().apiKeys);
+  return records
+    .map((data) => {
+      const { secretHash, ...record } = JSON.parse(data);
+      return record;
+    })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Returns "revoked", or "not_found" when there is no such key
+export async function revokeApiKey(keyId) {
+  const removed = await redis.hdel(authKeys().apiKeys, keyId);
+  return removed > 0 ? "revoked" : "not_found";
+}
+
+// Resolves with the identity of an API key, or null
+export async function verifyApiKey(token) {
+  const match = KEY_PATTERN.exec(token);
+  if (!match) return null;
+  const [, keyId, secret] = match;
+
+  const data = await redis.hget(authKeys().apiKeys, keyId);
+  if (!data) return null;
+  const { name, role, queues, secretHash } = JSON.parse(data);
+  if (!safeEqual(hashSecret(secret), secretHash)) return null;
+
+  return { type: "api_key", id: keyId, name, role, queues: queues ?? null };
+}
+
+// Returns the identity of an HS256 JWT signed with secret, or null when the
+// token is malformed, badly signed, expired or not valid yet, or its claims
+// don't name a subject and a role
+export function verifyJwt(token, secret, { now = Date.now() } = {}) {
+  if (!secret) return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+    if (alg !== "HS256") return null;
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${header}.${payload}`)
+    .digest("base64url");
+  if (!safeEqual(expected, signature)) return null;
+
+  const seconds = now / 1000;
+  if (typeof claims.exp === "number" && claims.exp <= seconds) return null;
+  if (typeof claims.nbf === "number" && claims.nbf > seconds) return null;
+  if (typeof claims.sub !== "string" || claims.sub === "") return null;
+  const queues = claims.queues ?? null;
+  try {
+    validateAccess({ role: claims.role, queues });
+  } catch (error) {
+    return null;
+  }
+
+  return { type: "jwt", id: claims.sub, role: claims.role, queues };
+}
+
+// Resolves with the identity of an API key or a JWT, or null
+export async function authenticate(
+  token,
+  { jwtSecret = process.env.SYNQ_JWT_SECRET } = {}
+) {
+  if (typeof token !== "string") return null;
+  if (token.startsWith("synq_")) {
+    return verifyApiKey(token);
+  }
+  return verifyJwt(token, jwtSecret);
+}
+
+// Whether identity has role or a role above it
+export function hasRole(identity, role) {
+  return (
+    Boolean(identity) && ROLES.indexOf(identity.role) >= ROLES.indexOf(role)
+  );
+}
+
+export function canAccessQueue(identity, queue) {
+  return (
+    Boolean(identity) &&
+    (identity.queues === null || identity.queues.includes(queue))
+  );
+}
+
+// What a job records about the identity that submitted it
+export function submitterOf(identity) {
+  return {
+    type: identity.type,
+    id: identity.id,
+    ...(identity.name !== undefined && { name: identity.name }),
+  };
+}
@@ -1,25 +1,578 @@
 #!/usr/bin/env node
-import { submitJob, getJobStatus, cancelJob } from "./queue.js";
+import {
+  addJob,
+  submitJobs,
+  getJobStatus,
+  cancelJob,
+  cancelJobs,
+  jobLabel,
+} from "./queue.js";
 import { startDashboard } from "./dashboard.js";
 import { runWorker } from "./worker.js";
+import {
+  addRecurringJob,
+  listRecurringJobs,
+  removeRecurringJob,
+} from "./recurring.js";
+import { listDeadJobs, replayDeadJobs, purgeDeadJobs } from "./dead-letter.js";
+import { submitFlow, getFlow } from "./flows.js";
+import { getJobLogs, followJobLogs } from "./logs.js";
+import { listJobs } from "./list-jobs.js";
+import { getRateLimit, setRateLimit, removeRateLimit } from "./rate-limit.js";
+import {
+  cleanJobs,
+  getRetention,
+  setRetention,
+  removeRetention,
+} from "./retention.js";
+import {
+  addQueueWebhook,
+  listQueueWebhooks,
+  removeQueueWebhook,
+  listWebhookDeliveries,
+} from "./webhooks.js";
+import { createApiKey, listApiKeys, revokeApiKey } from "./auth.js";
+import {
+  getCommandPolicy,
+  setCommandPolicy,
+  removeCommandPolicy,
+} from "./policy.js";
+import { redis } from "./db/redis.js";
+import { client } from "./db/mongodb.js";
+import fs from "fs";
 
 const [_, __, cmd, ...args] = process.argv;
 
+// Reads leading "--flag value" / "--flag=value" pairs (or bare "--switch"
+// flags), stopping at the first
+// positional argument (or "--") so flags inside the job command are kept.
+// Names in switches never take a value, names in lists may repeat and
+// collect every value.
+function parseFlags(args, switches = [], lists = []) {
+  const flags = {};
+  let i = 0;
+  while (i < args.length && args[i].startsWith("--")) {
+    const arg = args[i++];
+    if (arg === "--") break;
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    let value;
+    if (inline !== undefined) {
+      value = inline;
+    } else if (
+      !switches.includes(name) &&
+      i < args.length &&
+      !args[i].startsWith("--")
+    ) {
+      value = args[i++];
+    } else {
+      // bare switch such as --all
+      value = true;
+    }
+    flags[name] = lists.includes(name)
+      ? [...(flags[name] || []), value]
+      : value;
+  }
+  return { flags, rest: args.slice(i) };
+}
+
 if (cmd === "submit") {
-  const command = args.join(" ");
-  submitJob(command);
+  // --env NAME=value and --webhook <url> may be given more than once
+  const { flags, rest } = parseFlags(args, [], ["env", "webhook"]);
+  const command = rest.join(" ");
+  const priority = flags.priority !== undefined ? Number(flags.priority) : 0;
+  const delay = flags.delay !== undefined ? Number(flags.delay) : undefined;
+  const attempts = flags.attempts !== undefined ? Number(flags.attempts) : 1;
+  // --backoff exponential:1000 (type:delay in ms)
+  const [backoffType, backoffDelay] = (flags.backoff || "").split(":");
+  const backoff = flags.backoff
+    ? { type: backoffType, delay: Number(backoffDelay || 0) }
+    : undefined;
+  const env = flags.env
+    ? Object.fromEntries(
+        flags.env.map((pair) => {
+          const [name, value = ""] = pair.split(/=(.*)/s);
+          return [name, value];
+        })
+      )
+    : undefined;
+  const options = {
+    name: flags.name,
+    data: flags.data !== undefined ? JSON.parse(flags.data) : undefined,
+    group: flags.group,
+    queue: flags.queue,
+    priority,
+    delay,
+    runAt: flags["run-at"],
+    attempts,
+    backoff,
+    timeout: flags.timeout !== undefined ? Number(flags.timeout) : undefined,
+    cwd: flags.cwd,
+    env,
+    shell: flags.shell,
+    // resubmitting with the same key or ID within the window is a no-op
+    idempotencyKey: flags["idempotency-key"],
+    jobId: flags["job-id"],
+    // notified when the job succeeds, fails or is cancelled
+    webhooks: flags.webhook,
+  };
+  let submitted;
+  if (flags.file) {
+    // --file jobs.txt submits one command per line (blank lines and lines
+    // starting with # are skipped) with the other flags applied to each
+    const commands = fs
+      .readFileSync(flags.file, "utf8")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+    submitted = submitJobs(commands, options).then((results) => {
+      const duplicates = results.filter((result) => result.duplicate).length;
+      console.log(
+        `Jobs Submitted: ${results.length - duplicates} - Already Submitted: ${duplicates}`
+      );
+    });
+  } else {
+    // --name send-report --data '{"id": 1}' queues a job for a worker handler
+    submitted = addJob(flags.name ? undefined : command, options).then(
+      ({ jobID, status, duplicate }) =>
+        console.log(
+          `Job ${duplicate ? "Already Submitted" : "Submitted"}: ${jobID} - Status: ${status}`
+        )
+    );
+  }
+  submitted
+    .catch((error) => {
+      // invalid options and commands rejected by policy
+      console.log(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => redis.disconnect());
 } else if (cmd === "status") {
-  const jobID = args[0];
-  getJobStatus(jobID);
+  const { flags, rest } = parseFlags(args);
+  getJobStatus(rest[0], { queue: flags.queue });
 } else if (cmd === "cancel") {
-  const jobID = args[0];
-  cancelJob(jobID);
+  // --wait blocks until the worker killed a running job
+  const { flags, rest } = parseFlags(args, ["wait", "all-pending"]);
+  if (flags["all-pending"]) {
+    cancelJobs({ queue: flags.queue, status: "pending" })
+      .then(({ cancelled }) =>
+        console.log(`Cancelled ${cancelled.length} pending jobs`)
+      )
+      .catch((error) => {
+        console.log(error.message);
+        process.exitCode = 1;
+      })
+      .finally(() => redis.disconnect());
+  } else {
+    cancelJob(rest[0], { queue: flags.queue, wait: Boolean(flags.wait) });
+  }
+} else if (cmd === "list") {
+  // synq list --status failed,cancelled --command deploy --json
+  const { flags } = parseFlags(args, ["json"]);
+  const fields = flags.fields?.split(",");
+  listJobs({
+    queue: flags.queue,
+    status: flags.status,
+    from: flags.from,
+    to: flags.to,
+    command: flags.command,
+    order: flags.order,
+    limit: flags.limit !== undefined ? Number(flags.limit) : undefined,
+    cursor: flags.cursor,
+    fields,
+  })
+    .then(({ jobs, nextCursor }) => {
+      if (flags.json) {
+        console.log(JSON.stringify({ jobs, nextCursor }, null, 2));
+        return;
+      }
+      const columns = fields ? ["jobID", ...fields] : null;
+      console.log(
+        (columns ?? ["JOB ID", "STATUS", "CREATED", "COMMAND"]).join("\t")
+      );
+      for (const job of jobs) {
+        const row = columns
+          ? columns.map((field) =>
+              typeof job[field] === "object"
+                ? JSON.stringify(job[field])
+                : (job[field] ?? "-")
+            )
+          : [job.jobID, job.status, job.createdAt, jobLabel(job)];
+        console.log(row.join("\t"));
+      }
+      if (nextCursor) {
+        console.log(`More jobs: synq list --cursor ${nextCursor}`);
+      }
+    })
+    .catch((error) => console.log(error.message))
+    .finally(() => redis.disconnect());
+} else if (cmd === "logs") {
+  // -f is short for --follow
+  const { flags, rest } = parseFlags(
+    args.map((arg) => (arg === "-f" ? "--follow" : arg)),
+    ["follow"]
+  );
+  const printEntry = (entry) => {
+    if (entry.event === "end") {
+      console.log(`-- attempt ${entry.attempt} ended: ${entry.status}`);
+    } else {
+      const out = entry.stream === "stderr" ? process.stderr : process.stdout;
+      out.write(`${entry.time} [${entry.stream}] ${entry.line}\n`);
+    }
+  };
+
+  if (!rest[0]) {
+    console.log("Usage:\n  node cli.js logs [--queue <name>] [-f] <jobID>");
+  } else if (flags.follow) {
+    (async () => {
+      for await (const entry of followJobLogs(rest[0], {
+        queue: flags.queue,
+      })) {
+        printEntry(entry);
+      }
+    })()
+      .catch((error) => console.log(error.message))
+      .finally(() => redis.disconnect());
+  } else {
+    getJobLogs(rest[0], { queue: flags.queue, limit: 10000 })
+      .then((entries) => entries.forEach(printEntry))
+      .catch((error) => console.log(error.message))
+      .finally(() => redis.disconnect());
+  }
+} else if (cmd === "cron") {
+  const [sub, ...subArgs] = args;
+  const { flags, rest } = parseFlags(subArgs);
+
+  if (sub === "add") {
+    const [name, cronExpression, ...commandParts] = rest;
+    const priority = flags.priority !== undefined ? Number(flags.priority) : 0;
+    addRecurringJob(name, cronExpression, commandParts.join(" "), {
+      timezone: flags.timezone,
+      priority,
+      queue: flags.queue,
+    }).catch((error) => console.log(error.message));
+  } else if (sub === "list") {
+    listRecurringJobs().then((jobs) => {
+      if (jobs.length === 0) {
+        console.log("No recurring jobs");
+      }
+      for (const job of jobs) {
+        const next = job.nextRunAt
+          ? new Date(job.nextRunAt).toISOString()
+          : "-";
+        console.log(
+          `${job.name}\t${job.cron}${job.timezone ? ` (${job.timezone})` : ""}\tnext: ${next}\t${job.command}`
+        );
+      }
+    });
+  } else if (sub === "rm") {
+    removeRecurringJob(rest[0]).then((result) =>
+      console.log(`Recurring job ${rest[0]}: ${result}`)
+    );
+  } else {
+    console.log(
+      "Usage:\n  node cli.js cron add [--queue <name>] [--timezone <tz>] [--priority <n>] <name> <cron> <cmd>\n  node cli.js cron list\n  node cli.js cron rm <name>"
+    );
+  }
+} else if (cmd === "dlq") {
+  const [sub, ...subArgs] = args;
+  const { flags, rest } = parseFlags(subArgs, ["all"]);
+
+  if (sub === "list") {
+    const limit = flags.limit !== undefined ? Number(flags.limit) : 50;
+    listDeadJobs({ queue: flags.queue, limit }).then(({ total, jobs }) => {
+      console.log(`Dead-letter queue: ${total} job(s)`);
+      for (const job of jobs) {
+        console.log(
+          `${job.jobID}\t${new Date(job.deadAt).toISOString()}\t${job.failedReason}\t${jobLabel(job)}`
+        );
+      }
+    });
+  } else if (sub === "replay" && (flags.all || rest.length > 0)) {
+    replayDeadJobs(flags.all ? undefined : rest, {
+      queue: flags.queue,
+    }).then((replayed) => console.log(`Replayed ${replayed.length} job(s)`));
+  } else if (sub === "purge" && (flags.all || rest.length > 0)) {
+    purgeDeadJobs(flags.all ? undefined : rest, {
+      queue: flags.queue,
+    }).then((purged) => console.log(`Purged ${purged} job(s)`));
+  } else {
+    console.log(
+      "Usage:\n  node cli.js dlq list [--queue <name>] [--limit <n>]\n  node cli.js dlq replay [--queue <name>] <jobID...> | --all\n  node cli.js dlq purge [--queue <name>] <jobID...> | --all"
+    );
+  }
+} else if (cmd === "limit") {
+  const [sub, ...subArgs] = args;
+  const { flags } = parseFlags(subArgs);
+  const toNumber = (value) => (value !== undefined ? Number(value) : undefined);
+
+  if (sub === "set") {
+    // --max 50 --duration 60000 and / or --group-max 5 --group-duration 1000
+    setRateLimit({
+      queue: flags.queue,
+      max: toNumber(flags.max),
+      duration: toNumber(flags.duration),
+      groupMax: toNumber(flags["group-max"]),
+      groupDuration: toNumber(flags["group-duration"]),
+    })
+      .catch((error) => console.log(error.message))
+      .finally(() => redis.disconnect());
+  } else if (sub === "show") {
+    getRateLimit({ queue: flags.queue })
+      .then((rateLimit) =>
+        console.log(
+          rateLimit ? JSON.stringify(rateLimit, null, 2) : "No rate limit"
+        )
+      )
+      .finally(() => redis.disconnect());
+  } else if (sub === "rm") {
+    removeRateLimit({ queue: flags.queue })
+      .then((result) => console.log(`Rate limit: ${result}`))
+      .finally(() => redis.disconnect());
+  } else {
+    console.log(
+      "Usage:\n  node cli.js limit set [--queue <name>] [--max <n> --duration <ms>] [--group-max <n> --group-duration <ms>]\n  node cli.js limit show [--queue <name>]\n  node cli.js limit rm [--queue <name>]"
+    );
+  }
+} else if (cmd === "policy") {
+  // --deny may be given more than once
+  const [sub, ...subArgs] = args;
+  const { flags } = parseFlags(subArgs, [], ["deny"]);
+
+  if (sub === "set") {
+    // --allow echo,./scripts/report.sh --deny 'rm\s+-rf' --max-length 500
+    setCommandPolicy({
+      queue: flags.queue,
+      allow: flags.allow?.split(","),
+      deny: flags.deny,
+      maxLength:
+        flags["max-length"] !== undefined
+          ? Number(flags["max-length"])
+          : undefined,
+    })
+      .catch((error) => {
+        console.log(error.message);
+        process.exitCode = 1;
+      })
+      .finally(() => redis.disconnect());
+  } else if (sub === "show") {
+    getCommandPolicy({ queue: flags.queue })
+      .then((policy) =>
+        console.log(
+          policy ? JSON.stringify(policy, null, 2) : "No command policy"
+        )
+      )
+      .finally(() => redis.disconnect());
+  } else if (sub === "rm") {
+    removeCommandPolicy({ queue: flags.queue })
+      .then((result) => console.log(`Command policy: ${result}`))
+      .finally(() => redis.disconnect());
+  } else {
+    console.log(
+      "Usage:\n  node cli.js policy set [--queue <name>] [--allow <executable,...>] [--deny <regex>...] [--max-length <n>]\n  node cli.js policy show [--queue <name>]\n  node cli.js policy rm [--queue <name>]"
+    );
+  }
+} else if (cmd === "clean") {
+  // synq clean --status succeeded --older-than 7d [--keep 100] [--archive]
+  const { flags } = parseFlags(args, ["archive"]);
+  cleanJobs({
+    queue: flags.queue,
+    status: flags.status,
+    olderThan: flags["older-than"],
+    keep: flags.keep !== undefined ? Number(flags.keep) : undefined,
+    archive: Boolean(flags.archive),
+  })
+    .then(({ removed, archived }) =>
+      console.log(
+        `Removed ${removed} ${flags.status} jobs` +
+          (flags.archive ? `, archived ${archived} to MongoDB` : "")
+      )
+    )
+    .catch((error) => console.log(error.message))
+    .finally(() => {
+      redis.disconnect();
+      client.close();
+    });
+} else if (cmd === "retention") {
+  const [sub, ...subArgs] = args;
+  const { flags, rest } = parseFlags(subArgs, ["archive"]);
+
+  if (sub === "set") {
+    // --max-count 1000 keeps the newest jobs, --max-age 24h the recent ones
+    setRetention({
+      queue: flags.queue,
+      status: rest[0],
+      maxCount:
+        flags["max-count"] !== undefined
+          ? Number(flags["max-count"])
+          : undefined,
+      maxAge: flags["max-age"],
+      archive: Boolean(flags.archive),
+    })
+      .catch((error) => console.log(error.message))
+      .finally(() => redis.disconnect());
+  } else if (sub === "show") {
+    getRetention({ queue: flags.queue })
+      .then((rules) =>
+        console.log(
+          Object.keys(rules).length > 0
+            ? JSON.stringify(rules, null, 2)
+            : "No retention rules, finished jobs are kept"
+        )
+      )
+      .finally(() => redis.disconnect());
+  } else if (sub === "rm") {
+    removeRetention({ queue: flags.queue, status: rest[0] })
+      .then((result) => console.log(`Retention of ${rest[0]}: ${result}`))
+      .finally(() => redis.disconnect());
+  } else {
+    console.log(
+      "Usage:\n  node cli.js retention set [--queue <name>] [--max-count <n>] [--max-age <duration>] [--archive] <status>\n  node cli.js retention show [--queue <name>]\n  node cli.js retention rm [--queue <name>] <status>"
+    );
+  }
+} else if (cmd === "webhooks") {
+  const [sub, ...subArgs] = args;
+  const { flags, rest } = parseFlags(subArgs);
+
+  if (sub === "add" && rest[0]) {
+    // --events succeeded,failed (default: every event)
+    addQueueWebhook({
+      queue: flags.queue,
+      url: rest[0],
+      events: flags.events?.split(","),
+      secret: flags.secret,
+    })
+      .then(({ webhookId, secret }) => {
+        console.log(`Webhook added: ${webhookId}`);
+        console.log(`Signing secret: ${secret}`);
+      })
+      .catch((error) => console.log(error.message))
+      .finally(() => redis.disconnect());
+  } else if (sub === "list") {
+    listQueueWebhooks({ queue: flags.queue })
+      .then((webhooks) => {
+        if (webhooks.length === 0) {
+          console.log("No webhooks");
+        }
+        for (const { webhookId, url, events } of webhooks) {
+          console.log(`${webhookId}\t${events.join(",")}\t${url}`);
+        }
+      })
+      .finally(() => redis.disconnect());
+  } else if (sub === "rm" && rest[0]) {
+    removeQueueWebhook({ queue: flags.queue, webhookId: rest[0] })
+      .then((result) => console.log(`Webhook ${rest[0]}: ${result}`))
+      .finally(() => redis.disconnect());
+  } else if (sub === "deliveries") {
+    listWebhookDeliveries({
+      queue: flags.queue,
+      jobID: flags.job,
+      status: flags.status,
+      limit: flags.limit !== undefined ? Number(flags.limit) : undefined,
+    })
+      .then((deliveries) => {
+        if (deliveries.length === 0) {
+          console.log("No deliveries");
+        }
+        for (const delivery of deliveries) {
+          const last = delivery.attempts.at(-1);
+          const outcome = last ? (last.error ?? last.statusCode) : "-";
+          console.log(
+            `${delivery.deliveryId}\t${delivery.jobID}\t${delivery.event}\t${delivery.status} (${delivery.attempts.length} attempts, ${outcome})\t${delivery.url}`
+          );
+        }
+      })
+      .finally(() => redis.disconnect());
+  } else {
+    console.log(
+      "Usage:\n  node cli.js webhooks add [--queue <name>] [--events <event,...>] [--secret <secret>] <url>\n  node cli.js webhooks list [--queue <name>]\n  node cli.js webhooks rm [--queue <name>] <webhookId>\n  node cli.js webhooks deliveries [--queue <name>] [--job <jobID>] [--status <status>] [--limit <n>]"
+    );
+  }
+} else if (cmd === "keys") {
+  const [sub, ...subArgs] = args;
+  const { flags, rest } = parseFlags(subArgs);
+
+  if (sub === "create" && rest[0]) {
+    // --role viewer|submitter|admin, --queues emails,reports (default: all)
+    createApiKey({
+      name: rest.join(" "),
+      role: flags.role,
+      queues: flags.queues ? flags.queues.split(",") : null,
+    })
+      .then(({ keyId, key }) => {
+        console.log(`API key created: ${keyId}`);
+        console.log(`Key (shown once): ${key}`);
+      })
+      .catch((error) => console.log(error.message))
+      .finally(() => redis.disconnect());
+  } else if (sub === "list") {
+    listApiKeys()
+      .then((keys) => {
+        if (keys.length === 0) {
+          console.log("No API keys");
+        }
+        for (const { keyId, name, role, queues, createdAt } of keys) {
+          console.log(
+            `${keyId}\t${role}\t${queues ? queues.join(",") : "*"}\t${createdAt}\t${name}`
+          );
+        }
+      })
+      .finally(() => redis.disconnect());
+  } else if (sub === "revoke" && rest[0]) {
+    revokeApiKey(rest[0])
+      .then((result) => console.log(`API key ${rest[0]}: ${result}`))
+      .finally(() => redis.disconnect());
+  } else {
+    console.log(
+      "Usage:\n  node cli.js keys create --role <viewer|submitter|admin> [--queues <name,...>] <name>\n  node cli.js keys list\n  node cli.js keys revoke <keyId>"
+    );
+  }
+} else if (cmd === "flow") {
+  const [sub, ...subArgs] = args;
+  const { flags, rest } = parseFlags(subArgs);
+
+  if (sub === "submit" && rest[0]) {
+    // the file holds { jobs, edges, onFailure }, see README
+    Promise.resolve()
+      .then(() => JSON.parse(fs.readFileSync(rest[0], "utf8")))
+      .then((flow) => submitFlow({ ...flow, queue: flags.queue }))
+      .then(({ flowId, jobs }) => {
+        console.log(flowId);
+        for (const [name, jobID] of Object.entries(jobs)) {
+          console.log(`  ${name}\t${jobID}`);
+        }
+      })
+      .catch((error) => console.log(error.message));
+  } else if (sub === "status" && rest[0]) {
+    getFlow(rest[0], { queue: flags.queue }).then((flow) => {
+      if (!flow) {
+        console.log(`Flow ${rest[0]} not found`);
+        return;
+      }
+      console.log(`Flow ${flow.flowId}: ${flow.status}`);
+      for (const node of flow.nodes) {
+        const detail = node.waitingOn
+          ? `waiting on ${node.waitingOn.join(", ")}`
+          : node.reason || "";
+        console.log(`  ${node.name}\t${node.status}\t${detail}`);
+      }
+    });
+  } else {
+    console.log(
+      "Usage:\n  node cli.js flow submit [--queue <name>] <file.json>\n  node cli.js flow status [--queue <name>] <flowID>"
+    );
+  }
 } else if (cmd === "dashboard") {
-  startDashboard();
+  const { flags } = parseFlags(args);
+  startDashboard({ queue: flags.queue });
 } else if (cmd === "worker") {
-  runWorker();
+  // --queues high,default (claimed round-robin)
+  const { flags } = parseFlags(args);
+  runWorker({
+    queues: flags.queues ? flags.queues.split(",") : undefined,
+    concurrency: flags.concurrency ? Number(flags.concurrency) : undefined,
+  });
 } else {
   console.log(
-    "Usage:\n  node cli.js submit <cmd>\n  node cli.js status <jobID>\n  node cli.js cancel <jobID>\n  node cli.js dashboard"
+    "Usage:\n  node cli.js submit [--queue <name>] [--name <handler> [--data <json>]] [--group <key>] [--priority <n>] [--delay <ms> | --run-at <date>] [--attempts <n>] [--backoff <fixed|exponential>:<ms>] [--timeout <ms>] [--cwd <dir>] [--env <NAME=value>...] [--shell <path>] [--idempotency-key <key> | --job-id <id>] [--webhook <url>...] <cmd>\n  node cli.js submit [options] --file <jobs.txt>\n  node cli.js status [--queue <name>] <jobID>\n  node cli.js list [--queue <name>] [--status <status,...>] [--from <date>] [--to <date>] [--command <text>] [--order asc|desc] [--limit <n>] [--cursor <cursor>] [--fields <field,...>] [--json]\n  node cli.js cancel [--queue <name>] [--wait] <jobID>\n  node cli.js cancel [--queue <name>] --all-pending\n  node cli.js logs [--queue <name>] [-f] <jobID>\n  node cli.js cron add|list|rm\n  node cli.js dlq list|replay|purge\n  node cli.js flow submit|status\n  node cli.js limit set|show|rm\n  node cli.js retention set|show|rm\n  node cli.js policy set|show|rm\n  node cli.js webhooks add|list|rm|deliveries\n  node cli.js keys create|list|revoke\n  node cli.js clean [--queue <name>] --status <status> [--older-than <duration>] [--keep <n>] [--archive]\n  node cli.js dashboard [--queue <name>]\n  node cli.js worker [--queues <name,...>] [--concurrency <n>]"
   );
 }
@@ -1,69 +1,148 @@
 import { redis } from "./db/redis.js";
+import { formatAttempt, jobLabel } from "./queue.js";
+import { getDeadLetterCount } from "./dead-letter.js";
+import { DEFAULT_QUEUE, queueKeys } from "./keys.js";
+import { listActiveFlows } from "./flows.js";
+import { getQueueStats } from "./stats.js";
 
-export async function startDashboard() {
+// "↺2" for a job that was recovered from stalled workers twice
+function stallTag(job) {
+  return job.stalls > 0 ? ` ↺${job.stalls}` : "";
+}
+
+// "850ms", "12.4s", "3.5m"; "-" without samples
+function formatMs(ms) {
+  if (ms === null) return "-";
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${(ms / 60000).toFixed(1)}m`;
+}
+
+// Flow nodes that are pending are ready and only wait for a free worker
+function nodeState(node) {
+  if (node.status === "pending") return "ready";
+  if (node.status === "blocked") {
+    return `blocked on ${node.waitingOn.join(", ")}`;
+  }
+  return node.status;
+}
+
+export async function startDashboard({ queue = DEFAULT_QUEUE } = {}) {
+  const keys = queueKeys(queue);
   console.clear();
   console.log("📊 Synq Dashboard - Press Ctrl+C to exit\n");
 
   const refreshDashboard = async () => {
     process.stdout.write("\x1b[H\x1b[2J");
 
-    const queueLength = await redis.llen("jobs:queue");
-    const hashSize = await redis.hlen("jobs:hash");
-    const queueJobs =
-      queueLength > 0 ? await redis.lrange("jobs:queue", 0, 9) : [];
-
-    const allJobIds = hashSize > 0 ? await redis.hkeys("jobs:hash") : [];
-    const jobStatuses = {
-      pending: 0,
-      running: 0,
-      completed: 0,
-      failed: 0,
-      cancelled: 0,
-    };
-    const runningJobs = [];
-    for (const jobId of allJobIds) {
-      const jobData = await redis.hget("jobs:hash", jobId);
-      const job = JSON.parse(jobData);
-
-      if (job.status === "succeeded") jobStatuses.completed++;
-      else if (job.status === "failed") jobStatuses.failed++;
-      else if (job.status === "cancelled") jobStatuses.cancelled++;
-      else if (job.status === "running") {
-        jobStatuses.running++;
-        runningJobs.push({ id: jobId, ...job });
-      } else {
-        jobStatuses.pending++;
-      }
+    // Pending jobs sit in one list per priority lane, highest lane first
+    const lanePriorities = await redis.zrange(keys.lanes, 0, -1);
+    const lanes = [...lanePriorities.map(Number), 0]
+      .sort((a, b) => b - a)
+      .map(keys.lane);
+
+    const queueJobs = [];
+    for (const lane of lanes) {
+      if (queueJobs.length >= 10) break;
+      queueJobs.push(...(await redis.lrange(lane, 0, 9 - queueJobs.length)));
     }
 
+    const scheduledJobs = await redis.zrange(
+      keys.scheduled,
+      0,
+      2,
+      "WITHSCORES"
+    );
+
+    const stats = await getQueueStats({ queue });
+    const { counts, totals, throughput } = stats;
+    const deadLetterCount = await getDeadLetterCount({ queue });
+
+    // running jobs come from their status index, oldest first
+    const runningIds = await redis.zrange(keys.statusIndex("running"), 0, 2);
+    const runningData =
+      runningIds.length > 0 ? await redis.hmget(keys.hash, ...runningIds) : [];
+    const runningJobs = runningIds
+      .map((id, i) => runningData[i] && { id, ...JSON.parse(runningData[i]) })
+      .filter(Boolean);
+
     const now = new Date();
 
     console.log("┌──────────────────────────────────────────────────────────┐");
     console.log("│                   📊 SYNQ DASHBOARD                      │");
     console.log("├──────────────────────────────────────────────────────────┤");
+    console.log(`│ Queue:   ${queue.padEnd(43)} │`);
     console.log(`│ Updated: ${now.toLocaleTimeString().padEnd(43)} │`);
     console.log("├──────────────────────────────────────────────────────────┤");
     console.log("│ QUEUE STATISTICS                                         │");
     console.log("├──────────────────────────────────────────────────────────┤");
     console.log(
-      `│ 📋 Pending:   ${jobStatuses.pending
+      `│ 📋 Pending:   ${counts.pending
         .toString()
-        .padEnd(6)} │ 🟡 Running:  ${jobStatuses.running
+        .padEnd(6)} │ 🟡 Running:  ${counts.running.toString().padEnd(6)} │`
+    );
+    console.log(
+      `│ ✅ Completed: ${counts.succeeded
+        .toString()
+        .padEnd(6)} │ ❌ Failed:   ${counts.failed.toString().padEnd(6)} │`
+    );
+    console.log(
+      `│ 🚫 Cancelled: ${counts.cancelled
+        .toString()
+        .padEnd(6)} │ ⏰ Scheduled: ${counts.scheduled.toString().padEnd(5)} │`
+    );
+    console.log(
+      `│ 🔁 Retrying:  ${counts.retrying
         .toString()
-        .padEnd(6)} │`
+        .padEnd(6)} │ 📊 Total:     ${stats.total.toString().padEnd(5)} │`
     );
     console.log(
-      `│ ✅ Completed: ${jobStatuses.completed
+      `│ 💀 DLQ:       ${deadLetterCount
         .toString()
-        .padEnd(6)} │ ❌ Failed:   ${jobStatuses.failed.toString().padEnd(6)} │`
+        .padEnd(6)} │ 🩺 Recovered: ${totals.recovered.toString().padEnd(5)} │`
     );
     console.log(
-      `│ 🚫 Cancelled: ${jobStatuses.cancelled
+      `│ 👷 Workers:   ${stats.workers
         .toString()
-        .padEnd(6)} │ 📊 Total:    ${hashSize.toString().padEnd(6)} │`
+        .padEnd(6)} │ ⛓  Blocked:   ${counts.blocked.toString().padEnd(5)} │`
+    );
+    console.log(`│ ⏭  Skipped:   ${counts.skipped.toString().padEnd(6)} │`);
+    console.log("├──────────────────────────────────────────────────────────┤");
+    const rate = `${throughput.perMinute}/min over ${stats.window} min`;
+    console.log(`│ ⚡ Throughput: ${rate.padEnd(41)} │`);
+    console.log(
+      `│ ⏳ Avg wait:  ${formatMs(stats.avgWaitMs).padEnd(
+        6
+      )} │ ⏱  Avg run:  ${formatMs(stats.avgRunMs).padEnd(6)} │`
     );
     console.log("├──────────────────────────────────────────────────────────┤");
 
+    // Flows that still have unfinished jobs, newest first
+    const activeFlows = await listActiveFlows({ queue, limit: 2 });
+
+    if (activeFlows.length > 0) {
+      console.log(
+        "│ 🔗 ACTIVE FLOWS                                          │"
+      );
+      console.log(
+        "├──────────────────────────────────────────────────────────┤"
+      );
+      for (const flow of activeFlows) {
+        const summary = `${flow.nodes.length} jobs`;
+        console.log(`│ ${flow.flowId.slice(-8)} │ ${summary.padEnd(38)} │`);
+        for (const node of flow.nodes.slice(0, 6)) {
+          const name =
+            node.name.length > 12 ? node.name.slice(0, 11) + "…" : node.name;
+          let state = nodeState(node);
+          if (state.length > 24) state = state.slice(0, 23) + "…";
+          console.log(`│          │ ${name.padEnd(13)} ${state.padEnd(24)} │`);
+        }
+      }
+      console.log(
+        "├──────────────────────────────────────────────────────────┤"
+      );
+    }
+
     if (runningJobs.length > 0) {
       console.log(
         "│ 🔄 CURRENTLY RUNNING                                     │"
@@ -73,13 +152,43 @@ export async function startDashboard() {
       );
       for (const job of runningJobs.slice(0, 3)) {
         const shortId = job.id.slice(-8);
-        const cmd =
-          job.command.length > 35
-            ? job.command.slice(0, 35) + "..."
-            : job.command;
+        const label = jobLabel(job);
+        const cmd = label.length > 35 ? label.slice(0, 35) + "..." : label;
         const startTime = new Date(job.startedAt * 1000).toLocaleTimeString();
+        const attempt = `attempt ${formatAttempt(job)}${stallTag(job)}`;
+        console.log(`│ ${shortId} │ ${cmd.padEnd(38)} │`);
+        console.log(
+          `│          │ Started: ${startTime.padEnd(12)} ${attempt.padEnd(14)} │`
+        );
+      }
+      console.log(
+        "├──────────────────────────────────────────────────────────┤"
+      );
+    }
+
+    if (scheduledJobs.length > 0) {
+      console.log(
+        "│ ⏰ SCHEDULED & RETRYING (Next 3)                         │"
+      );
+      console.log(
+        "├──────────────────────────────────────────────────────────┤"
+      );
+      for (let i = 0; i < scheduledJobs.length; i += 2) {
+        const jobId = scheduledJobs[i];
+        const job = JSON.parse(await redis.hget(keys.hash, jobId));
+        const shortId = jobId.slice(-8);
+        const label = jobLabel(job);
+        const cmd = label.length > 35 ? label.slice(0, 35) + "..." : label;
+        const runTime = new Date(Number(scheduledJobs[i + 1])).toLocaleString();
         console.log(`│ ${shortId} │ ${cmd.padEnd(38)} │`);
-        console.log(`│          │ Started: ${startTime.padEnd(27)} │`);
+        if (job.status === "retrying") {
+          const attempt = formatAttempt(job);
+          console.log(
+            `│          │ Retry ${attempt.padEnd(5)} at: ${runTime.padEnd(20)} │`
+          );
+        } else {
+          console.log(`│          │ Runs at: ${runTime.padEnd(27)} │`);
+        }
       }
       console.log(
         "├──────────────────────────────────────────────────────────┤"
@@ -95,16 +204,17 @@ export async function startDashboard() {
       );
     } else {
       for (const jobId of queueJobs.slice(0, 8)) {
-        const jobData = await redis.hget("jobs:hash", jobId);
+        const jobData = await redis.hget(keys.hash, jobId);
         const job = JSON.parse(jobData);
         const shortId = jobId.slice(-8);
-        const cmd =
-          job.command.length > 35
-            ? job.command.slice(0, 35) + "..."
-            : job.command;
+        const label = jobLabel(job);
+        const cmd = label.length > 35 ? label.slice(0, 35) + "..." : label;
         const createdTime = new Date(job.createdAt).toLocaleTimeString();
+        const priority = `P${job.priority || 0}${stallTag(job)}`;
         console.log(`│ ${shortId} │ ${cmd.padEnd(38)} │`);
-        console.log(`│          │ Created: ${createdTime.padEnd(27)} │`);
+        console.log(
+          `│          │ Created: ${createdTime.padEnd(20)} ${priority.padEnd(6)} │`
+        );
       }
     }
 
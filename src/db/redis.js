@@ -1,5 +1,8 @@
 import { Redis } from "ioredis";
 import 'dotenv/config';
+import { instrumentScripts } from "../metrics.js";
 
 const redisClient = process.env.REDIS_URL || "redis://localhost:6379";
 export const redis = new Redis(redisClient);
+// the latency of the Lua scripts is exported on /metrics
+instrumentScripts(redis);
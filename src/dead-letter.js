@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { redis } from "./db/redis.js";
+import { DEFAULT_QUEUE, queueKeys } from "./keys.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// replaying everything goes through the script in batches of this size
+const REPLAY_BATCH_SIZE = 500;
+
+const replayLuaScript = fs.readFileSync(
+  path.join(__dirname, "jobs_lua_scripts", "replay-dead-jobs.lua"),
+  "utf8"
+);
+
+redis.defineCommand("replayDeadJobs", {
+  numberOfKeys: 2,
+  lua: replayLuaScript,
+});
+
+export async function getDeadLetterCount({ queue = DEFAULT_QUEUE } = {}) {
+  return redis.zcard(queueKeys(queue).deadIndex);
+}
+
+// Newest dead jobs first
+export async function listDeadJobs({
+  queue = DEFAULT_QUEUE,
+  offset = 0,
+  limit = 50,
+} = {}) {
+  const keys = queueKeys(queue);
+  const total = await redis.zcard(keys.deadIndex);
+  const jobIDs = await redis.zrevrange(
+    keys.deadIndex,
+    offset,
+    offset + limit - 1
+  );
+
+  const jobs = [];
+  if (jobIDs.length > 0) {
+    const jobData = await redis.hmget(keys.dead, ...jobIDs);
+    jobIDs.forEach((jobID, i) => {
+      if (jobData[i]) {
+        jobs.push({ jobID, ...JSON.parse(jobData[i]) });
+      }
+    });
+  }
+
+  return { queue, total, offset, limit, jobs };
+}
+
+export async function getDeadJob(jobID, { queue = DEFAULT_QUEUE } = {}) {
+  const jobData = await redis.hget(queueKeys(queue).dead, jobID);
+  return jobData ? { jobID, ...JSON.parse(jobData) } : null;
+}
+
+// Puts dead jobs back on their queue with a fresh attempt budget and returns
+// the IDs that were replayed. Without IDs the whole dead-letter queue is
+// replayed.
+export async function replayDeadJobs(jobIDs, { queue = DEFAULT_QUEUE } = {}) {
+  const keys = queueKeys(queue);
+  const ids = jobIDs ?? (await redis.zrange(keys.deadIndex, 0, -1));
+  const replayed = [];
+
+  for (let i = 0; i < ids.length; i += REPLAY_BATCH_SIZE) {
+    const batch = ids.slice(i, i + REPLAY_BATCH_SIZE);
+    replayed.push(
+      ...(await redis.replayDeadJobs(keys.hash, keys.queue, ...batch))
+    );
+  }
+
+  return replayed;
+}
+
+export async function replayDeadJob(jobID, { queue = DEFAULT_QUEUE } = {}) {
+  const [replayed] = await replayDeadJobs([jobID], { queue });
+  return replayed ? "replayed" : "not_found";
+}
+
+// Deletes dead jobs for good and returns how many were removed. Without IDs
+// the whole dead-letter queue is purged.
+export async function purgeDeadJobs(jobIDs, { queue = DEFAULT_QUEUE } = {}) {
+  const keys = queueKeys(queue);
+
+  if (!jobIDs) {
+    const total = await redis.zcard(keys.deadIndex);
+    await redis.del(keys.dead, keys.deadIndex, keys.statusIndex("failed"));
+    return total;
+  }
+
+  if (jobIDs.length === 0) {
+    return 0;
+  }
+
+  const [[, removed]] = await redis
+    .multi()
+    .hdel(keys.dead, ...jobIDs)
+    .zrem(keys.deadIndex, ...jobIDs)
+    .zrem(keys.statusIndex("failed"), ...jobIDs)
+    .exec();
+  return removed;
+}
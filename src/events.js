@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { redis } from "./db/redis.js";
+import { DEFAULT_QUEUE, isValidQueueName, queueKeys } from "./keys.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+redis.defineCommand("updateProgress", {
+  numberOfKeys: 2,
+  lua: fs.readFileSync(
+    path.join(__dirname, "jobs_lua_scripts", "update-progress.lua"),
+    "utf8"
+  ),
+});
+
+// The Lua scripts append every state change of a job to the queue's event
+// stream (<queue>:events) in the same step as the change itself, so any
+// process can follow a queue and pick up where it left off.
+export const QUEUE_EVENTS = [
+  "waiting",
+  "active",
+  "progress",
+  "completed",
+  "failed",
+  "cancelled",
+  "stalled",
+];
+
+// ms to wait before reading again after an error
+const RETRY_DELAY = 1000;
+
+// ["event", "completed", "jobID", "job-1", "data", "{...}"] -> fields
+function toFields(list) {
+  const fields = {};
+  for (let i = 0; i < list.length; i += 2) {
+    fields[list[i]] = list[i + 1];
+  }
+  return fields;
+}
+
+// Stores the progress of a running job (a number or an object) and emits
+// a progress event. Handlers get it as job.updateProgress. Resolves with
+// "ok", "not_found" or "not_running".
+export async function updateJobProgress(
+  jobID,
+  progress,
+  { queue = DEFAULT_QUEUE } = {}
+) {
+  if (
+    !(typeof progress === "number" && Number.isFinite(progress)) &&
+    !(progress !== null && typeof progress === "object")
+  ) {
+    throw new Error("Progress must be a number or an object");
+  }
+  const keys = queueKeys(queue);
+  return redis.updateProgress(
+    keys.hash,
+    keys.queue,
+    jobID,
+    JSON.stringify(progress)
+  );
+}
+
+// Emits the events of a queue as they happen, e.g.
+//   events.on("completed", ({ jobID, returnValue }, eventId) => ...)
+// Every listener gets { jobID, ...data } and the stream ID of the event.
+// lastEventId is "$" for new events only (the default), "0" for every event
+// the stream still holds, or the ID of the last event seen before. It moves
+// along as events are emitted, so a subscriber can store it and resume.
+export class QueueEvents extends EventEmitter {
+  constructor({ queue = DEFAULT_QUEUE, lastEventId = "$", block = 5000 } = {}) {
+    super();
+    if (!isValidQueueName(queue)) {
+      throw new Error(`Invalid queue name: ${queue}`);
+    }
+    this.queue = queue;
+    this.lastEventId = lastEventId;
+    this.block = block;
+    this.closing = false;
+    // XREAD BLOCK holds its connection, so every subscriber gets its own
+    this.reader = redis.duplicate();
+    this.ready = this.resolveStart();
+    this.running = this.ready.then(() => this.run());
+  }
+
+  // Resolves once events after lastEventId are being read
+  waitUntilReady() {
+    return this.ready;
+  }
+
+  // "$" reads whatever comes after the newest event now, not after the
+  // newest one at the time of each read
+  async resolveStart() {
+    if (this.lastEventId !== "$") return;
+    const [newest] = await redis.xrevrange(
+      queueKeys(this.queue).events,
+      "+",
+      "-",
+      "COUNT",
+      1
+    );
+    this.lastEventId = newest ? newest[0] : "0-0";
+  }
+
+  async run() {
+    const key = queueKeys(this.queue).events;
+
+    while (!this.closing) {
+      let reply;
+      try {
+        reply = await this.reader.xread(
+          "BLOCK",
+          this.block,
+          "STREAMS",
+          key,
+          this.lastEventId
+        );
+      } catch (error) {
+        if (this.closing) return;
+        this.reportError(error);
+        await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY));
+        continue;
+      }
+      if (!reply) continue;
+
+      for (const [id, list] of reply[0][1]) {
+        const { event, jobID, data } = toFields(list);
+        this.lastEventId = id;
+        this.emit(event, { jobID, ...JSON.parse(data || "{}") }, id);
+      }
+    }
+  }
+
+  reportError(error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    } else {
+      console.log(`Event stream of ${this.queue} failed:`, error.message);
+    }
+  }
+
+  // Stops reading, the last event emitted stays in lastEventId
+  async close() {
+    this.closing = true;
+    this.reader.disconnect();
+    await this.running.catch(() => {});
+  }
+}
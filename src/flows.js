@@ -0,0 +1,301 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { v4 as uuidv4 } from "uuid";
+import { redis } from "./db/redis.js";
+import {
+  getJob,
+  isValidPriority,
+  validateRetryOptions,
+  validateExecOptions,
+  execOptions,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+} from "./queue.js";
+import {
+  DEFAULT_QUEUE,
+  isValidQueueName,
+  queueKeys,
+  queueRegistryKey,
+} from "./keys.js";
+import { checkCommand } from "./policy.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const addFlowLuaScript = fs.readFileSync(
+  path.join(__dirname, "jobs_lua_scripts", "add-flow.lua"),
+  "utf8"
+);
+
+redis.defineCommand("addFlow", {
+  numberOfKeys: 2,
+  lua: addFlowLuaScript,
+});
+
+// What happens to a job when one of its parents did not succeed
+export const FAILURE_POLICIES = ["skip", "cancel", "run"];
+
+const FINISHED_STATUSES = ["succeeded", "failed", "cancelled", "skipped"];
+const MAX_FLOW_JOBS = 500;
+
+// Edges are [parent, child] pairs or { from, to } objects
+function normalizeEdges(edges = []) {
+  return edges.map((edge) =>
+    Array.isArray(edge) ? { from: edge[0], to: edge[1] } : edge
+  );
+}
+
+// Throws when the flow can't be submitted, e.g. unknown nodes or a cycle
+export function validateFlow({ jobs, edges = [], onFailure = "skip" } = {}) {
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    throw new Error("A flow needs a non-empty jobs array");
+  }
+  if (jobs.length > MAX_FLOW_JOBS) {
+    throw new Error(`A flow can have at most ${MAX_FLOW_JOBS} jobs`);
+  }
+  if (!Array.isArray(edges)) {
+    throw new Error("edges must be an array of [parent, child] pairs");
+  }
+  if (!FAILURE_POLICIES.includes(onFailure)) {
+    throw new Error(`onFailure must be one of ${FAILURE_POLICIES.join(", ")}`);
+  }
+
+  const names = new Set();
+  for (const job of jobs) {
+    if (!job || typeof job.name !== "string" || job.name === "") {
+      throw new Error("Every flow job needs a name");
+    }
+    if (names.has(job.name)) {
+      throw new Error(`Duplicate flow job name: ${job.name}`);
+    }
+    names.add(job.name);
+
+    if (typeof job.command !== "string" || job.command.trim() === "") {
+      throw new Error(`Flow job ${job.name} needs a command`);
+    }
+    if (job.priority !== undefined && !isValidPriority(job.priority)) {
+      throw new Error(
+        `Priority of ${job.name} must be an integer between ${MIN_PRIORITY} and ${MAX_PRIORITY}`
+      );
+    }
+    if (
+      job.onParentFailure !== undefined &&
+      !FAILURE_POLICIES.includes(job.onParentFailure)
+    ) {
+      throw new Error(
+        `onParentFailure of ${job.name} must be one of ${FAILURE_POLICIES.join(", ")}`
+      );
+    }
+    validateRetryOptions(job);
+    validateExecOptions(job);
+  }
+
+  const children = new Map([...names].map((name) => [name, []]));
+  const parentCount = new Map([...names].map((name) => [name, 0]));
+  for (const { from, to } of normalizeEdges(edges)) {
+    if (!names.has(from) || !names.has(to)) {
+      throw new Error(`Edge ${from} -> ${to} refers to an unknown job`);
+    }
+    if (from === to) {
+      throw new Error(`Job ${from} can't depend on itself`);
+    }
+    children.get(from).push(to);
+    parentCount.set(to, parentCount.get(to) + 1);
+  }
+
+  // Kahn's algorithm: whatever can't be ordered is part of a cycle
+  const ready = [...names].filter((name) => parentCount.get(name) === 0);
+  let ordered = 0;
+  while (ready.length > 0) {
+    const name = ready.pop();
+    ordered++;
+    for (const child of children.get(name)) {
+      parentCount.set(child, parentCount.get(child) - 1);
+      if (parentCount.get(child) === 0) ready.push(child);
+    }
+  }
+  if (ordered !== names.size) {
+    throw new Error("Flow edges must not contain a cycle");
+  }
+}
+
+// Submits a DAG of jobs. Each job is queued only once its parents succeeded,
+// onFailure (or a job's own onParentFailure) decides what happens otherwise.
+// Resolves to { flowId, queue, jobs: { name: jobID } }. submittedBy is
+// recorded on the flow and each of its jobs.
+export async function submitFlow({
+  jobs,
+  edges = [],
+  queue = DEFAULT_QUEUE,
+  onFailure = "skip",
+  submittedBy,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  validateFlow({ jobs, edges, onFailure });
+  for (const job of jobs) {
+    await checkCommand(job.command, {
+      queue,
+      shell: job.shell,
+      cwd: job.cwd,
+      env: job.env,
+    });
+  }
+
+  const flowId = `flow-${uuidv4()}`;
+  const jobIDs = Object.fromEntries(
+    jobs.map((job) => [job.name, `job-${uuidv4()}`])
+  );
+  const parents = new Map(jobs.map((job) => [job.name, []]));
+  const children = new Map(jobs.map((job) => [job.name, []]));
+  for (const { from, to } of normalizeEdges(edges)) {
+    parents.get(to).push(jobIDs[from]);
+    children.get(from).push(jobIDs[to]);
+  }
+
+  const createdAt = new Date();
+  const entries = jobs.map((job) => ({
+    jobID: jobIDs[job.name],
+    job: {
+      command: job.command,
+      queue,
+      createdAt,
+      attempts: job.attempts ?? 1,
+      ...(job.backoff && {
+        backoff: { type: job.backoff.type, delay: job.backoff.delay },
+      }),
+      priority: job.priority ?? 0,
+      ...execOptions(job),
+      ...(submittedBy && { submittedBy }),
+      flowId,
+      flowNode: job.name,
+      onParentFailure: job.onParentFailure ?? onFailure,
+      // empty arrays would come back from Lua as objects, so leave them out
+      ...(parents.get(job.name).length > 0 && {
+        parents: parents.get(job.name),
+      }),
+      ...(children.get(job.name).length > 0 && {
+        children: children.get(job.name),
+      }),
+    },
+  }));
+
+  const flow = {
+    flowId,
+    queue,
+    onFailure,
+    ...(submittedBy && { submittedBy }),
+    createdAt,
+    jobs: jobIDs,
+    edges: normalizeEdges(edges).map(({ from, to }) => [from, to]),
+  };
+
+  const keys = queueKeys(queue);
+  await redis.sadd(queueRegistryKey(), queue);
+  await redis.addFlow(
+    keys.hash,
+    keys.queue,
+    flowId,
+    JSON.stringify(flow),
+    JSON.stringify(entries)
+  );
+
+  console.log(`Flow ${flowId} submitted with ${jobs.length} job(s)`);
+  return { flowId, queue, jobs: jobIDs };
+}
+
+// "active" while any job is unfinished, then "succeeded", "failed" or
+// "cancelled" depending on how the jobs ended
+function flowStatus(nodes) {
+  const statuses = nodes.map((node) => node.status);
+  if (statuses.some((status) => !FINISHED_STATUSES.includes(status))) {
+    return "active";
+  }
+  if (statuses.every((status) => status === "succeeded")) return "succeeded";
+  if (statuses.includes("failed")) return "failed";
+  return "cancelled";
+}
+
+// The flow with the state of every job: "blocked" jobs list the parents
+// they are waitingOn, "pending" jobs are ready and waiting for a worker
+export async function getFlow(flowId, { queue = DEFAULT_QUEUE } = {}) {
+  const data = await redis.hget(queueKeys(queue).flows, flowId);
+  if (!data) return null;
+
+  const flow = JSON.parse(data);
+  const names = Object.fromEntries(
+    Object.entries(flow.jobs).map(([name, jobID]) => [jobID, name])
+  );
+
+  const jobs = await Promise.all(
+    Object.values(flow.jobs).map((jobID) => getJob(jobID, { queue }))
+  );
+  const statusById = Object.fromEntries(
+    jobs.filter(Boolean).map((job) => [job.jobID, job.status])
+  );
+
+  const nodes = Object.entries(flow.jobs).map(([name, jobID]) => {
+    const job = jobs.find((entry) => entry?.jobID === jobID);
+    const parents = (job?.parents ?? []).map((id) => names[id]);
+    const node = {
+      name,
+      jobID,
+      // purged jobs are reported as failed, like settle-flow-jobs.lua does
+      status: job?.status ?? "failed",
+      parents,
+    };
+    if (node.status === "blocked") {
+      node.waitingOn = (job.parents ?? [])
+        .filter((id) => !FINISHED_STATUSES.includes(statusById[id]))
+        .map((id) => names[id]);
+    }
+    if (job?.skippedReason) node.reason = job.skippedReason;
+    if (job?.cancelledReason) node.reason = job.cancelledReason;
+    return node;
+  });
+
+  return { ...flow, status: flowStatus(nodes), nodes };
+}
+
+// Flows of a queue, newest first
+export async function listFlows({ queue = DEFAULT_QUEUE } = {}) {
+  const flows = await redis.hvals(queueKeys(queue).flows);
+  return flows
+    .map((data) => JSON.parse(data))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Flows of a queue that still have unfinished jobs, newest first, at most
+// limit of them. Reads only the flows' active index and drops the flows it
+// finds finished from it, so it doesn't get slower as flows pile up.
+export async function listActiveFlows({
+  queue = DEFAULT_QUEUE,
+  limit = 10,
+} = {}) {
+  const key = queueKeys(queue).flowsActive;
+  const active = [];
+  let offset = 0;
+
+  while (active.length < limit) {
+    const flowIds = await redis.zrevrange(
+      key,
+      offset,
+      offset + limit - active.length - 1
+    );
+    if (flowIds.length === 0) break;
+
+    for (const flowId of flowIds) {
+      const flow = await getFlow(flowId, { queue });
+      if (flow?.status === "active") {
+        active.push(flow);
+        offset++;
+      } else {
+        await redis.zrem(key, flowId);
+      }
+    }
+  }
+  return active;
+}
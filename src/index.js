@@ -1,4 +1,50 @@
-export { submitJob, getJobStatus, cancelJob } from "./queue.js";
+export {
+  submitJob,
+  addJob,
+  submitJobs,
+  getJobStatus,
+  cancelJob,
+  cancelJobs,
+  listQueues,
+} from "./queue.js";
+export { DEFAULT_QUEUE, setKeyPrefix, getKeyPrefix } from "./keys.js";
 export { runWorker } from "./worker.js";
+export {
+  addRecurringJob,
+  listRecurringJobs,
+  removeRecurringJob,
+} from "./recurring.js";
+export {
+  listDeadJobs,
+  replayDeadJob,
+  replayDeadJobs,
+  purgeDeadJobs,
+} from "./dead-letter.js";
+export { submitFlow, getFlow, listFlows, listActiveFlows } from "./flows.js";
+export { getJobLogs, followJobLogs } from "./logs.js";
+export { listJobs } from "./list-jobs.js";
+export { getQueueStats, collectQueueMetrics } from "./stats.js";
+export { registry as metricsRegistry, METRICS_CONTENT_TYPE } from "./metrics.js";
+export { QueueEvents, updateJobProgress } from "./events.js";
+export {
+  addQueueWebhook,
+  listQueueWebhooks,
+  removeQueueWebhook,
+  listWebhookDeliveries,
+  verifySignature,
+} from "./webhooks.js";
+export { setRateLimit, getRateLimit, removeRateLimit } from "./rate-limit.js";
+export {
+  setRetention,
+  getRetention,
+  removeRetention,
+  cleanJobs,
+} from "./retention.js";
+export { createApiKey, listApiKeys, revokeApiKey } from "./auth.js";
+export {
+  setCommandPolicy,
+  getCommandPolicy,
+  removeCommandPolicy,
+} from "./policy.js";
 export { redis } from "./db/redis.js";
 export { connect as connectMongoDB } from "./db/mongodb.js";
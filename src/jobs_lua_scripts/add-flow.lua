@@ -0,0 +1,70 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: flow_id
+-- ARGV[2]: flow record (JSON)
+-- ARGV[3]: flow jobs (JSON array of {jobID, job})
+
+-- Creates every job of a flow at once. Jobs without parents are queued right
+-- away, the others wait as "blocked" until settle-flow-jobs.lua releases them.
+
+local flowsKey = KEYS[2] .. ":flows"
+if redis.call("HEXISTS", flowsKey, ARGV[1]) == 1 then
+  return "exists"
+end
+
+local clock = redis.call("TIME")
+local now = tonumber(clock[1])
+local nowMs = now * 1000 + math.floor(tonumber(clock[2]) / 1000)
+local queued = 0
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+for _, entry in ipairs(cjson.decode(ARGV[3])) do
+  local job = entry.job
+  local priority = tonumber(job.priority) or 0
+
+  if job.parents == nil or #job.parents == 0 then
+    job.status = "pending"
+    job.queuedAt = now
+    redis.call("HSET", KEYS[1], entry.jobID, cjson.encode(job))
+    indexStatus(entry.jobID, nil, "pending")
+    emitEvent("waiting", entry.jobID)
+    if priority == 0 then
+      redis.call("RPUSH", KEYS[2], entry.jobID)
+    else
+      redis.call("RPUSH", KEYS[2] .. ":priority:" .. priority, entry.jobID)
+      redis.call("ZADD", KEYS[2] .. ":lanes", priority, tostring(priority))
+    end
+    queued = queued + 1
+  else
+    job.status = "blocked"
+    redis.call("HSET", KEYS[1], entry.jobID, cjson.encode(job))
+    indexStatus(entry.jobID, nil, "blocked")
+  end
+end
+
+redis.call("HSET", flowsKey, ARGV[1], ARGV[2])
+-- flows.js drops it from here once it finds the flow finished
+redis.call("ZADD", flowsKey .. ":active", nowMs, ARGV[1])
+
+if queued > 0 then
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "queued")
+end
+
+return "created"
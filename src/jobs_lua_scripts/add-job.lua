@@ -2,12 +2,90 @@
 -- KEYS[2]: jobs queue
 -- ARGV[1]: job_id
 -- ARGV[2]: job_data
+-- ARGV[3]: priority (optional, defaults to 0)
+-- ARGV[4]: runAt in epoch milliseconds (optional)
+-- ARGV[5]: delay in milliseconds (optional, ignored when runAt is set)
+-- ARGV[6]: idempotency key (optional)
+-- ARGV[7]: dedup window in seconds (optional, defaults to 86400)
+--
+-- Returns the status of the new job, "exists" when job_id is taken, or
+-- {"exists", job_id} of the earlier job when the idempotency key was used
+-- within the dedup window.
 
 if redis.call("HEXISTS", KEYS[1], ARGV[1]) == 1 then
   return "exists"
 end
 
-redis.call("HSET", KEYS[1], ARGV[1], ARGV[2])
-redis.call("RPUSH", KEYS[2], ARGV[1])
+if ARGV[6] and ARGV[6] ~= "" then
+  local dedupKey = KEYS[2] .. ":dedup:" .. ARGV[6]
+  local existingID = redis.call("GET", dedupKey)
+  if existingID then
+    return { "exists", existingID }
+  end
+  -- the entry expires on its own once the window is over
+  redis.call("SET", dedupKey, ARGV[1], "EX", tonumber(ARGV[7]) or 86400)
+end
+
+local clock = redis.call("TIME")
+local now = tonumber(clock[1])
+local nowMs = now * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+local priority = tonumber(ARGV[3]) or 0
+local runAt = tonumber(ARGV[4])
+if not runAt and tonumber(ARGV[5]) then
+  runAt = nowMs + tonumber(ARGV[5])
+end
+
+local job = cjson.decode(ARGV[2])
+job.priority = priority
+
+-- jobs that are not due yet wait in the scheduled set until a worker
+-- promotes them into their lane
+if runAt and runAt > nowMs then
+  job.status = "scheduled"
+  job.runAt = runAt
+  redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+  indexStatus(ARGV[1], nil, "scheduled")
+  redis.call("ZADD", KEYS[2] .. ":scheduled", runAt, ARGV[1])
+  -- idle workers re-read when the next scheduled job is due
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "scheduled")
+  return "scheduled"
+end
+
+job.queuedAt = now
+
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+indexStatus(ARGV[1], nil, "pending")
+emitEvent("waiting", ARGV[1])
+
+-- priority 0 keeps using the plain queue list, every other priority gets
+-- its own lane which is tracked in a sorted set so workers can find it
+if priority == 0 then
+  redis.call("RPUSH", KEYS[2], ARGV[1])
+else
+  redis.call("RPUSH", KEYS[2] .. ":priority:" .. priority, ARGV[1])
+  redis.call("ZADD", KEYS[2] .. ":lanes", priority, tostring(priority))
+end
+
+-- wakes idle workers blocked on this queue
+redis.call("PUBLISH", KEYS[2] .. ":wake", "queued")
 
-return "queued"       
\ No newline at end of file
+return "queued"
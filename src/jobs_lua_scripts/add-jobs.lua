@@ -0,0 +1,98 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: jobs (JSON array of {jobID, job, priority, runAt, delay,
+--          dedupKey, dedupWindow}, see add-job.lua for the fields)
+--
+-- Adds every job of a batch at once, the way add-job.lua adds one. Returns
+-- the result of each job in order: its status, "exists" when its job_id is
+-- taken, or {"exists", job_id} of the earlier job when its idempotency key
+-- was used within the dedup window.
+
+local clock = redis.call("TIME")
+local now = tonumber(clock[1])
+local nowMs = now * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+local function addJob(entry)
+  local jobID = entry.jobID
+  if redis.call("HEXISTS", KEYS[1], jobID) == 1 then
+    return "exists"
+  end
+
+  if type(entry.dedupKey) == "string" and entry.dedupKey ~= "" then
+    local dedupKey = KEYS[2] .. ":dedup:" .. entry.dedupKey
+    local existingID = redis.call("GET", dedupKey)
+    if existingID then
+      return { "exists", existingID }
+    end
+    redis.call("SET", dedupKey, jobID, "EX",
+      tonumber(entry.dedupWindow) or 86400)
+  end
+
+  local priority = tonumber(entry.priority) or 0
+  local runAt = tonumber(entry.runAt)
+  if not runAt and tonumber(entry.delay) then
+    runAt = nowMs + tonumber(entry.delay)
+  end
+
+  local job = entry.job
+  job.priority = priority
+
+  if runAt and runAt > nowMs then
+    job.status = "scheduled"
+    job.runAt = runAt
+    redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+    indexStatus(jobID, nil, "scheduled")
+    redis.call("ZADD", KEYS[2] .. ":scheduled", runAt, jobID)
+    return "scheduled"
+  end
+
+  job.queuedAt = now
+  redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+  indexStatus(jobID, nil, "pending")
+  emitEvent("waiting", jobID)
+
+  if priority == 0 then
+    redis.call("RPUSH", KEYS[2], jobID)
+  else
+    redis.call("RPUSH", KEYS[2] .. ":priority:" .. priority, jobID)
+    redis.call("ZADD", KEYS[2] .. ":lanes", priority, tostring(priority))
+  end
+  return "queued"
+end
+
+local results = {}
+local queued = false
+local scheduled = false
+for i, entry in ipairs(cjson.decode(ARGV[1])) do
+  results[i] = addJob(entry)
+  queued = queued or results[i] == "queued"
+  scheduled = scheduled or results[i] == "scheduled"
+end
+
+-- one wake-up per batch rather than per job
+if queued then
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "queued")
+end
+if scheduled then
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "scheduled")
+end
+
+return results
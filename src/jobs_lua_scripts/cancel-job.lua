@@ -2,6 +2,9 @@
 -- KEYS[2]: jobs queue
 -- ARGV[1]: job_id
 -- ARGV[2]: cancelledAt
+--
+-- Returns "cancelled", "not_found", or "already_finished" for a job that
+-- succeeded, failed or was skipped, which is left as it is.
 
 if redis.call("HEXISTS", KEYS[1], ARGV[1]) == 0 then
   return "not_found"
@@ -10,9 +13,98 @@ end
 local jobData = redis.call("HGET", KEYS[1], ARGV[1])
 local job = cjson.decode(jobData)
 
-redis.call("LREM", KEYS[2], 0, ARGV[1])
+if job.status == "succeeded" or job.status == "failed"
+    or job.status == "skipped" then
+  return "already_finished"
+end
+
+redis.call("ZREM", KEYS[2] .. ":scheduled", ARGV[1])
+
+local priority = tonumber(job.priority) or 0
+if priority == 0 then
+  redis.call("LREM", KEYS[2], 0, ARGV[1])
+else
+  local lane = KEYS[2] .. ":priority:" .. priority
+  redis.call("LREM", lane, 0, ARGV[1])
+  if redis.call("LLEN", lane) == 0 then
+    redis.call("ZREM", KEYS[2] .. ":lanes", tostring(priority))
+  end
+end
+
+local clock = redis.call("TIME")
+local nowMs = tonumber(clock[1]) * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+-- adds to the queue's totals and to those of the current minute, which
+-- getQueueStats() reads for throughput and average times (see stats.js)
+local function recordStats(counts)
+  local minuteKey = KEYS[2] .. ":stats:" .. math.floor(nowMs / 60000)
+  for field, value in pairs(counts) do
+    redis.call("HINCRBY", KEYS[2] .. ":stats", field, value)
+    redis.call("HINCRBY", minuteKey, field, value)
+  end
+  redis.call("EXPIRE", minuteKey, 3900)
+end
+
+-- hands a job that finished with a webhook event to the dispatcher in
+-- webhooks.js and wakes it, when the job or its queue has webhooks
+local function notifyWebhooks(jobID, job)
+  local event = job.status
+  if event ~= "succeeded" and event ~= "failed" and event ~= "cancelled" then
+    return
+  end
+  if job.webhooks or redis.call("EXISTS", KEYS[2] .. ":webhooks") == 1 then
+    redis.call("RPUSH", KEYS[2] .. ":webhooks:outbox", cjson.encode({
+      jobID = jobID, event = event, at = nowMs, job = job
+    }))
+    redis.call("PUBLISH", KEYS[2] .. ":webhooks:wake", jobID)
+  end
+end
+
+local wasRunning = job.status == "running"
+
+local alreadyCancelled = job.status == "cancelled"
+if not alreadyCancelled then
+  recordStats({cancelled = 1})
+end
+indexStatus(ARGV[1], job.status, "cancelled")
 job.status = "cancelled"
 job.cancelledAt = ARGV[2]
+if not alreadyCancelled then
+  emitEvent("cancelled", ARGV[1])
+  notifyWebhooks(ARGV[1], job)
+end
 
 redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
-return "cancelled" 
\ No newline at end of file
+
+-- indexed for retention like the jobs that finished, see complete-job.lua
+redis.call("ZADD", KEYS[2] .. ":finished:cancelled", nowMs, ARGV[1])
+
+-- tell the worker that owns the job to kill its process tree, it confirms
+-- on the ":cancelled" channel once the killed run has been recorded
+if wasRunning and job.workerId then
+  redis.call("PUBLISH", KEYS[2] .. ":cancel", ARGV[1])
+elseif job.flowId then
+  -- the flow's children follow their failure policy, for a running job this
+  -- happens once its worker recorded the kill
+  redis.call("RPUSH", KEYS[2] .. ":flows:settled", ARGV[1])
+end
+
+return "cancelled"
@@ -0,0 +1,120 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: job IDs (JSON array)
+-- ARGV[2]: statuses a job has to be in to be cancelled (JSON array)
+-- ARGV[3]: cancelledAt
+--
+-- Cancels a batch of jobs the way cancel-job.lua cancels one. Returns the
+-- IDs of the jobs that were {cancelled, skipped, not found}; skipped jobs
+-- were in another status, e.g. finished by the time the batch ran.
+
+local clock = redis.call("TIME")
+local nowMs = tonumber(clock[1]) * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+-- hands a cancelled job to the dispatcher in webhooks.js and wakes it, when
+-- the job or its queue has webhooks
+local function notifyWebhooks(jobID, job)
+  if job.webhooks or redis.call("EXISTS", KEYS[2] .. ":webhooks") == 1 then
+    redis.call("RPUSH", KEYS[2] .. ":webhooks:outbox", cjson.encode({
+      jobID = jobID, event = "cancelled", at = nowMs, job = job
+    }))
+    redis.call("PUBLISH", KEYS[2] .. ":webhooks:wake", jobID)
+  end
+end
+
+-- drops the jobs in ids (a set) from a queue list, rewriting it once rather
+-- than running an LREM over the whole list per job
+local function removeFromList(list, ids)
+  local kept = {}
+  for _, jobID in ipairs(redis.call("LRANGE", list, 0, -1)) do
+    if not ids[jobID] then
+      table.insert(kept, jobID)
+    end
+  end
+  redis.call("DEL", list)
+  -- pushed in chunks, unpack can't take a list of any length
+  for start = 1, #kept, 1000 do
+    redis.call("RPUSH", list, unpack(kept, start, math.min(start + 999, #kept)))
+  end
+  return #kept
+end
+
+local statuses = {}
+for _, status in ipairs(cjson.decode(ARGV[2])) do
+  statuses[status] = true
+end
+
+local cancelled, skipped, notFound = {}, {}, {}
+-- the cancelled jobs of each priority lane, removed from it after the loop
+local lanes = {}
+
+for _, jobID in ipairs(cjson.decode(ARGV[1])) do
+  local jobData = redis.call("HGET", KEYS[1], jobID)
+  local job = jobData and cjson.decode(jobData)
+
+  if not job then
+    table.insert(notFound, jobID)
+  elseif not statuses[job.status] then
+    table.insert(skipped, jobID)
+  else
+    redis.call("ZREM", KEYS[2] .. ":scheduled", jobID)
+    if job.status == "pending" then
+      local priority = tonumber(job.priority) or 0
+      lanes[priority] = lanes[priority] or {}
+      lanes[priority][jobID] = true
+    end
+
+    local wasRunning = job.status == "running"
+    indexStatus(jobID, job.status, "cancelled")
+    job.status = "cancelled"
+    job.cancelledAt = ARGV[3]
+    emitEvent("cancelled", jobID)
+    notifyWebhooks(jobID, job)
+    redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+    redis.call("ZADD", KEYS[2] .. ":finished:cancelled", nowMs, jobID)
+
+    -- the owning worker kills a running job, flow children are settled once
+    -- the kill is recorded (see cancel-job.lua)
+    if wasRunning and job.workerId then
+      redis.call("PUBLISH", KEYS[2] .. ":cancel", jobID)
+    elseif job.flowId then
+      redis.call("RPUSH", KEYS[2] .. ":flows:settled", jobID)
+    end
+    table.insert(cancelled, jobID)
+  end
+end
+
+for priority, ids in pairs(lanes) do
+  if priority == 0 then
+    removeFromList(KEYS[2], ids)
+  elseif removeFromList(KEYS[2] .. ":priority:" .. priority, ids) == 0 then
+    redis.call("ZREM", KEYS[2] .. ":lanes", tostring(priority))
+  end
+end
+
+if #cancelled > 0 then
+  local minuteKey = KEYS[2] .. ":stats:" .. math.floor(nowMs / 60000)
+  redis.call("HINCRBY", KEYS[2] .. ":stats", "cancelled", #cancelled)
+  redis.call("HINCRBY", minuteKey, "cancelled", #cancelled)
+  redis.call("EXPIRE", minuteKey, 3900)
+end
+
+return { cancelled, skipped, notFound }
@@ -0,0 +1,14 @@
+-- KEYS[1]: recurring next-run set
+-- ARGV[1]: recurring job name
+-- ARGV[2]: tick being fired (epoch ms)
+-- ARGV[3]: following tick (epoch ms)
+
+-- only the scheduler that still sees the expected tick may fire it,
+-- everyone else lost the race (or the job was removed meanwhile)
+local current = redis.call("ZSCORE", KEYS[1], ARGV[1])
+if not current or tonumber(current) ~= tonumber(ARGV[2]) then
+  return 0
+end
+
+redis.call("ZADD", KEYS[1], ARGV[3], ARGV[1])
+return 1
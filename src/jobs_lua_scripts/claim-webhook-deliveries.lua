@@ -0,0 +1,32 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: now (epoch ms)
+-- ARGV[2]: most deliveries to claim
+-- ARGV[3]: ms the claim lasts
+
+-- Claims the webhook deliveries that are due for one dispatcher: they move
+-- from the retry set to the claimed set, scored by when the claim runs out,
+-- until the dispatcher recorded the attempt. Deliveries whose claim ran out,
+-- e.g. of a dispatcher that died mid-attempt, are claimed again first.
+-- Returns the claimed delivery ids.
+
+local retries = KEYS[2] .. ":webhooks:retries"
+local claims = KEYS[2] .. ":webhooks:processing"
+local now = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+
+local claimed = redis.call("ZRANGEBYSCORE", claims, "-inf", now, "LIMIT", 0, limit)
+if #claimed < limit then
+  local due = redis.call("ZRANGEBYSCORE", retries, "-inf", now,
+    "LIMIT", 0, limit - #claimed)
+  for _, deliveryID in ipairs(due) do
+    redis.call("ZREM", retries, deliveryID)
+    table.insert(claimed, deliveryID)
+  end
+end
+
+for _, deliveryID in ipairs(claimed) do
+  redis.call("ZADD", claims, now + tonumber(ARGV[3]), deliveryID)
+end
+
+return claimed
@@ -0,0 +1,31 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: now (epoch ms)
+-- ARGV[2]: most outbox entries to claim
+-- ARGV[3]: ms the claim lasts
+
+-- Claims finished jobs from the webhook outbox for one dispatcher. They stay
+-- in the claimed set, scored by when the claim runs out, until the
+-- dispatcher saved their deliveries. Entries whose claim ran out, e.g. of a
+-- dispatcher that died, are claimed again first.
+-- Returns the claimed entries.
+
+local outbox = KEYS[2] .. ":webhooks:outbox"
+local claims = outbox .. ":processing"
+local now = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+
+local claimed = redis.call("ZRANGEBYSCORE", claims, "-inf", now, "LIMIT", 0, limit)
+while #claimed < limit do
+  local entry = redis.call("LPOP", outbox)
+  if not entry then
+    break
+  end
+  table.insert(claimed, entry)
+end
+
+for _, entry in ipairs(claimed) do
+  redis.call("ZADD", claims, now + tonumber(ARGV[3]), entry)
+end
+
+return claimed
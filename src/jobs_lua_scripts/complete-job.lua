@@ -0,0 +1,214 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: job_id
+-- ARGV[2]: attempt result (JSON with status, output, exitCode, error, cause,
+--          finishedAt and the returnValue of a handler)
+-- ARGV[3]: id of the completing worker (optional)
+
+local jobData = redis.call("HGET", KEYS[1], ARGV[1])
+if not jobData then
+  return "not_found"
+end
+
+local job = cjson.decode(jobData)
+local result = cjson.decode(ARGV[2])
+
+-- release the job from the worker's processing list, a worker that holds
+-- nothing any more needs no lease
+local workerID = ARGV[3]
+if workerID and workerID ~= "" then
+  -- the worker's lease expired and the job was recovered, its result is stale
+  if job.workerId ~= workerID then
+    return "lease_lost"
+  end
+
+  local processingKey = KEYS[2] .. ":processing:" .. workerID
+  redis.call("LREM", processingKey, 0, ARGV[1])
+  if redis.call("LLEN", processingKey) == 0 then
+    redis.call("ZREM", KEYS[2] .. ":workers", workerID)
+  end
+end
+job.workerId = nil
+
+-- a flow job that reached a final state lets settle-flow-jobs.lua decide
+-- about its children
+local function settleFlowJob()
+  if job.flowId then
+    redis.call("RPUSH", KEYS[2] .. ":flows:settled", ARGV[1])
+  end
+end
+
+local clock = redis.call("TIME")
+local nowMs = tonumber(clock[1]) * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+-- adds to the queue's totals and to those of the current minute, which
+-- getQueueStats() reads for throughput and average times (see stats.js)
+local function recordStats(counts)
+  local minuteKey = KEYS[2] .. ":stats:" .. math.floor(nowMs / 60000)
+  for field, value in pairs(counts) do
+    redis.call("HINCRBY", KEYS[2] .. ":stats", field, value)
+    redis.call("HINCRBY", minuteKey, field, value)
+  end
+  redis.call("EXPIRE", minuteKey, 3900)
+end
+
+-- hands a job that finished with a webhook event to the dispatcher in
+-- webhooks.js and wakes it, when the job or its queue has webhooks
+local function notifyWebhooks(jobID, job)
+  local event = job.status
+  if event ~= "succeeded" and event ~= "failed" and event ~= "cancelled" then
+    return
+  end
+  if job.webhooks or redis.call("EXISTS", KEYS[2] .. ":webhooks") == 1 then
+    redis.call("RPUSH", KEYS[2] .. ":webhooks:outbox", cjson.encode({
+      jobID = jobID, event = event, at = nowMs, job = job
+    }))
+    redis.call("PUBLISH", KEYS[2] .. ":webhooks:wake", jobID)
+  end
+end
+
+local attemptsMade = tonumber(job.attemptsMade) or 1
+local maxAttempts = tonumber(job.attempts) or 1
+
+-- keep every attempt's outcome on the job record, with only the end of its
+-- output: the job keeps the last attempt's output and the job's log all of it
+local HISTORY_OUTPUT_BYTES = 4096
+local historyOutput = result.output
+if type(historyOutput) == "string" and #historyOutput > HISTORY_OUTPUT_BYTES then
+  historyOutput = "[...]\n" .. string.sub(historyOutput, -HISTORY_OUTPUT_BYTES)
+end
+local history = job.attemptHistory or {}
+table.insert(history, {
+  attempt = attemptsMade,
+  status = result.status,
+  exitCode = result.exitCode,
+  signal = result.signal,
+  cause = result.cause,
+  output = historyOutput,
+  startedAt = job.startedAt,
+  finishedAt = result.finishedAt
+})
+job.attemptHistory = history
+job.output = result.output
+job.exitCode = result.exitCode
+-- what a JavaScript handler returned
+job.result = result.returnValue
+-- why the last attempt failed: "timeout", "exit_code", "signal" or "spawn_error"
+job.failureCause = result.cause
+
+-- finished jobs are indexed by the time they finished, the cleaner in
+-- retention.js removes the oldest ones first
+local function indexFinished(status)
+  redis.call("ZADD", KEYS[2] .. ":finished:" .. status, nowMs, ARGV[1])
+end
+
+-- the run time of the attempt, jobs completed without being claimed have
+-- none
+local attemptStats = {}
+if tonumber(job.startedAt) then
+  attemptStats.ran = 1
+  attemptStats.runMs = math.max(nowMs - tonumber(job.startedAt) * 1000, 0)
+end
+
+-- a job cancelled while it was running stays cancelled, cancel-job.lua
+-- counted it
+if job.status == "cancelled" then
+  recordStats(attemptStats)
+  redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+  indexFinished("cancelled")
+  redis.call("PUBLISH", KEYS[2] .. ":cancelled", ARGV[1])
+  settleFlowJob()
+  return "cancelled"
+end
+
+-- a command the policy rejected would be rejected on every attempt
+if result.status == "failed" and attemptsMade < maxAttempts
+    and result.cause ~= "policy" then
+  local delay = 0
+  if type(job.backoff) == "table" then
+    delay = tonumber(job.backoff.delay) or 0
+    if job.backoff.type == "exponential" then
+      delay = delay * 2 ^ (attemptsMade - 1)
+    end
+  end
+
+  emitEvent("failed", ARGV[1], {
+    attempt = attemptsMade,
+    error = result.error,
+    cause = result.cause,
+    exitCode = result.exitCode,
+    willRetry = true
+  })
+  attemptStats.retried = 1
+  recordStats(attemptStats)
+  indexStatus(ARGV[1], job.status, "retrying")
+  job.status = "retrying"
+  job.nextRetryAt = nowMs + delay
+  job.runAt = job.nextRetryAt
+  redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+  redis.call("ZADD", KEYS[2] .. ":scheduled", job.nextRetryAt, ARGV[1])
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "scheduled")
+  return "retrying"
+end
+
+attemptStats[result.status] = 1
+recordStats(attemptStats)
+indexStatus(ARGV[1], job.status, result.status)
+job.status = result.status
+job.finishedAt = result.finishedAt
+job.nextRetryAt = nil
+
+-- out of attempts: move the job from the jobs hash to the dead-letter queue
+if result.status == "failed" then
+  local deadKey = KEYS[2] .. ":dead"
+  if type(result.error) == "string" and result.error ~= "" then
+    job.failedReason = result.error
+  else
+    job.failedReason = "Command exited with code " .. tostring(result.exitCode)
+  end
+  job.deadAt = nowMs
+  emitEvent("failed", ARGV[1], {
+    attempt = attemptsMade,
+    error = job.failedReason,
+    cause = result.cause,
+    exitCode = result.exitCode,
+    willRetry = false
+  })
+  redis.call("HDEL", KEYS[1], ARGV[1])
+  redis.call("HSET", deadKey, ARGV[1], cjson.encode(job))
+  redis.call("ZADD", deadKey .. ":index", nowMs, ARGV[1])
+  notifyWebhooks(ARGV[1], job)
+  settleFlowJob()
+  return job.status
+end
+
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+indexFinished(job.status)
+if job.status == "succeeded" then
+  emitEvent("completed", ARGV[1], {
+    attempt = attemptsMade,
+    exitCode = result.exitCode,
+    returnValue = result.returnValue
+  })
+end
+notifyWebhooks(ARGV[1], job)
+settleFlowJob()
+return job.status
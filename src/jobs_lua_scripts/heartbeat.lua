@@ -0,0 +1,13 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: worker id
+-- ARGV[2]: worker lease in milliseconds
+
+-- Extends the lease of a worker that still holds jobs. XX keeps a worker the
+-- reaper already gave up on from coming back. Uses the Redis clock, like the
+-- reaper, so worker clock skew can't expire a lease early.
+
+local clock = redis.call("TIME")
+local nowMs = tonumber(clock[1]) * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+return redis.call("ZADD", KEYS[2] .. ":workers", "XX", "CH", nowMs + tonumber(ARGV[2]), ARGV[1])
@@ -1,13 +1,153 @@
 -- KEYS[1]: jobs hash
 -- KEYS[2]: jobs queue
+-- ARGV[1]: aging interval in seconds (optional, defaults to 60, 0 disables)
+-- ARGV[2]: worker id (optional), the claimed job is held in this worker's processing list
+-- ARGV[3]: worker lease in milliseconds (optional, defaults to 30000)
+-- ARGV[4]: names of the handlers the worker has (JSON array, optional). A
+--          named job is only claimed by a worker with its handler, jobs
+--          without a name run their command on any worker.
 
-local jobID = redis.call("LINDEX", KEYS[2], 0)
+-- Rate limits set with rate-limit.js are enforced here, so they hold across
+-- every worker. When the queue is over its limit nothing is claimed and the
+-- reply carries the time the window has room again (retryAt, in ms). A job
+-- whose group is over its limit is moved to the scheduled set until then,
+-- and the caller may claim again right away. Jobs over a limit never fail.
+
+local agingInterval = tonumber(ARGV[1]) or 60
+local handlers
+if ARGV[4] and ARGV[4] ~= "" then
+  handlers = {}
+  for _, name in ipairs(cjson.decode(ARGV[4])) do
+    handlers[name] = true
+  end
+end
+-- jobs of a lane looked at for one the worker has a handler for
+local MAX_SCAN = 100
+local clock = redis.call("TIME")
+local now = tonumber(clock[1])
+local nowMs = now * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+-- adds to the queue's totals and to those of the current minute, which
+-- getQueueStats() reads for throughput and average times (see stats.js)
+local function recordStats(counts)
+  local minuteKey = KEYS[2] .. ":stats:" .. math.floor(nowMs / 60000)
+  for field, value in pairs(counts) do
+    redis.call("HINCRBY", KEYS[2] .. ":stats", field, value)
+    redis.call("HINCRBY", minuteKey, field, value)
+  end
+  redis.call("EXPIRE", minuteKey, 3900)
+end
+
+local function laneKey(priority)
+  if priority == 0 then
+    return KEYS[2]
+  end
+  return KEYS[2] .. ":priority:" .. priority
+end
+
+-- the first job of a lane the worker can run and its data; jobs it has no
+-- handler for stay where they are for other workers
+local function laneHead(priority)
+  if not handlers then
+    local headID = redis.call("LINDEX", laneKey(priority), 0)
+    return headID, headID and redis.call("HGET", KEYS[1], headID)
+  end
+  for _, headID in ipairs(redis.call("LRANGE", laneKey(priority), 0, MAX_SCAN - 1)) do
+    local headData = redis.call("HGET", KEYS[1], headID)
+    local name = headData and cjson.decode(headData).name
+    if type(name) ~= "string" or handlers[name] then
+      return headID, headData
+    end
+  end
+end
+
+-- promote scheduled jobs that are due into their lane before picking
+local scheduledKey = KEYS[2] .. ":scheduled"
+local dueIDs = redis.call("ZRANGEBYSCORE", scheduledKey, "-inf", nowMs, "LIMIT", 0, 100)
+
+for _, dueID in ipairs(dueIDs) do
+  redis.call("ZREM", scheduledKey, dueID)
+  local dueData = redis.call("HGET", KEYS[1], dueID)
+
+  if dueData then
+    local due = cjson.decode(dueData)
+    -- delayed jobs and failed jobs waiting out their retry backoff
+    if due.status == "scheduled" or due.status == "retrying" then
+      local priority = tonumber(due.priority) or 0
+      indexStatus(dueID, due.status, "pending")
+      emitEvent("waiting", dueID)
+      due.status = "pending"
+      due.queuedAt = now
+      due.nextRetryAt = nil
+      redis.call("HSET", KEYS[1], dueID, cjson.encode(due))
+      redis.call("RPUSH", laneKey(priority), dueID)
+      if priority ~= 0 then
+        redis.call("ZADD", KEYS[2] .. ":lanes", priority, tostring(priority))
+      end
+    end
+  end
+end
+
+-- the head of every lane competes on its effective priority: the lane's
+-- priority plus one step for every aging interval the job has waited
+local lanes = redis.call("ZRANGE", KEYS[2] .. ":lanes", 0, -1)
+table.insert(lanes, "0")
+
+local jobID, jobData, lane
+local bestScore, bestQueuedAt
+
+for _, member in ipairs(lanes) do
+  local priority = tonumber(member)
+  local headID, headData = laneHead(priority)
+
+  if headID then
+    local score = priority
+    local queuedAt = now
+
+    if headData then
+      local head = cjson.decode(headData)
+      if tonumber(head.queuedAt) then
+        queuedAt = tonumber(head.queuedAt)
+      end
+      if agingInterval > 0 then
+        score = priority + math.floor((now - queuedAt) / agingInterval)
+      end
+    end
+
+    local better = not jobID
+      or score > bestScore
+      or (score == bestScore and queuedAt < bestQueuedAt)
+      or (score == bestScore and queuedAt == bestQueuedAt and priority > lane)
+
+    if better then
+      jobID, jobData, lane = headID, headData, priority
+      bestScore, bestQueuedAt = score, queuedAt
+    end
+  end
+end
 
 if not jobID then
   return cjson.encode({error = "no job found"})
 end
 
-local jobData = redis.call("HGET", KEYS[1], jobID)
 if not jobData then
   return cjson.encode({error = "job not found"})
 end
@@ -22,8 +162,97 @@ if job.status ~= "pending" then
     return cjson.encode({error = "job not runnable"})
 end
 
-redis.call("LPOP", KEYS[2])
+local limiterKey = KEYS[2] .. ":limiter"
+local limit = redis.call("HMGET", limiterKey, "max", "duration", "groupMax", "groupDuration")
+local max, duration = tonumber(limit[1]), tonumber(limit[2])
+local groupMax, groupDuration = tonumber(limit[3]), tonumber(limit[4])
+local groupKey
+
+-- claims inside the sliding window; nil while there is room, else the time
+-- the oldest claim that has to expire leaves the window
+local function windowFullUntil(key, windowMax, window)
+  redis.call("ZREMRANGEBYSCORE", key, "-inf", nowMs - window)
+  local used = redis.call("ZCARD", key)
+  if used < windowMax then
+    return nil
+  end
+  local oldest = redis.call("ZRANGE", key, used - windowMax, used - windowMax, "WITHSCORES")
+  return tonumber(oldest[2]) + window
+end
+
+if max and duration then
+  local retryAt = windowFullUntil(limiterKey .. ":hits", max, duration)
+  if retryAt then
+    return cjson.encode({error = "rate_limited", retryAt = retryAt})
+  end
+end
+
+if groupMax and groupDuration and type(job.group) == "string" then
+  groupKey = limiterKey .. ":group:" .. job.group
+  local retryAt = windowFullUntil(groupKey, groupMax, groupDuration)
+  if retryAt then
+    redis.call("LREM", laneKey(lane), 1, jobID)
+    if lane ~= 0 and redis.call("LLEN", laneKey(lane)) == 0 then
+      redis.call("ZREM", KEYS[2] .. ":lanes", tostring(lane))
+    end
+    indexStatus(jobID, job.status, "scheduled")
+    job.status = "scheduled"
+    job.runAt = retryAt
+    job.rateLimitDelays = (tonumber(job.rateLimitDelays) or 0) + 1
+    redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+    redis.call("ZADD", scheduledKey, retryAt, jobID)
+    return cjson.encode({error = "group_rate_limited", jobID = jobID, retryAt = retryAt})
+  end
+end
+
+redis.call("LREM", laneKey(lane), 1, jobID)
+if lane ~= 0 and redis.call("LLEN", laneKey(lane)) == 0 then
+  redis.call("ZREM", KEYS[2] .. ":lanes", tostring(lane))
+end
+
+indexStatus(jobID, job.status, "running")
 job.status = "running"
 job.startedAt = redis.call("TIME")[1]
+job.attemptsMade = (tonumber(job.attemptsMade) or 0) + 1
+emitEvent("active", jobID, {attempt = job.attemptsMade, workerId = ARGV[2]})
+-- time the job waited in its lane
+local waitMs = math.max(nowMs - (tonumber(job.queuedAt) or now) * 1000, 0)
+recordStats({claimed = 1, waitMs = waitMs})
+
+-- the worker holds the job until it completes it; if its lease runs out
+-- first the reaper puts the job back (see reap-stalled-jobs.lua)
+local workerID = ARGV[2]
+if workerID and workerID ~= "" then
+  local lease = tonumber(ARGV[3]) or 30000
+  job.workerId = workerID
+  redis.call("RPUSH", KEYS[2] .. ":processing:" .. workerID, jobID)
+  redis.call("ZADD", KEYS[2] .. ":workers", nowMs + lease, workerID)
+end
+
+-- count the claim against the limits
+local hit = jobID .. ":" .. job.attemptsMade
+if max and duration then
+  redis.call("ZADD", limiterKey .. ":hits", nowMs, hit)
+  redis.call("PEXPIRE", limiterKey .. ":hits", duration)
+end
+if groupKey then
+  redis.call("ZADD", groupKey, nowMs, hit)
+  redis.call("PEXPIRE", groupKey, groupDuration)
+  redis.call("ZADD", limiterKey .. ":groups", nowMs, job.group)
+  redis.call("PEXPIRE", limiterKey .. ":groups", groupDuration)
+end
+
 redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
-return cjson.encode({jobID = jobID, command = job.command})
\ No newline at end of file
+return cjson.encode({
+  jobID = jobID,
+  command = job.command,
+  name = job.name,
+  data = job.data,
+  attempt = job.attemptsMade,
+  attempts = tonumber(job.attempts) or 1,
+  timeout = job.timeout,
+  cwd = job.cwd,
+  env = job.env,
+  shell = job.shell,
+  waitMs = waitMs
+})
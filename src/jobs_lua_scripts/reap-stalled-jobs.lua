@@ -0,0 +1,143 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: max stalls, a job that stalls more often fails for good (optional, defaults to 1)
+
+-- Workers whose lease expired are presumed dead. Every job still held in
+-- their processing list goes back to the front of its lane, or to the
+-- dead-letter queue once it stalled more than max stalls times.
+-- Returns {requeued ids, failed ids}.
+
+local maxStalls = tonumber(ARGV[1]) or 1
+local clock = redis.call("TIME")
+local now = tonumber(clock[1])
+local nowMs = now * 1000 + math.floor(tonumber(clock[2]) / 1000)
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+-- adds to the queue's totals and to those of the current minute, which
+-- getQueueStats() reads for throughput and average times (see stats.js)
+local function recordStats(counts)
+  local minuteKey = KEYS[2] .. ":stats:" .. math.floor(nowMs / 60000)
+  for field, value in pairs(counts) do
+    redis.call("HINCRBY", KEYS[2] .. ":stats", field, value)
+    redis.call("HINCRBY", minuteKey, field, value)
+  end
+  redis.call("EXPIRE", minuteKey, 3900)
+end
+
+-- hands a job that finished with a webhook event to the dispatcher in
+-- webhooks.js and wakes it, when the job or its queue has webhooks
+local function notifyWebhooks(jobID, job)
+  local event = job.status
+  if event ~= "succeeded" and event ~= "failed" and event ~= "cancelled" then
+    return
+  end
+  if job.webhooks or redis.call("EXISTS", KEYS[2] .. ":webhooks") == 1 then
+    redis.call("RPUSH", KEYS[2] .. ":webhooks:outbox", cjson.encode({
+      jobID = jobID, event = event, at = nowMs, job = job
+    }))
+    redis.call("PUBLISH", KEYS[2] .. ":webhooks:wake", jobID)
+  end
+end
+
+local workersKey = KEYS[2] .. ":workers"
+local requeued = {}
+local failed = {}
+
+local expired = redis.call("ZRANGEBYSCORE", workersKey, "-inf", nowMs)
+
+for _, workerID in ipairs(expired) do
+  local processingKey = KEYS[2] .. ":processing:" .. workerID
+
+  for _, jobID in ipairs(redis.call("LRANGE", processingKey, 0, -1)) do
+    local jobData = redis.call("HGET", KEYS[1], jobID)
+
+    if jobData then
+      local job = cjson.decode(jobData)
+
+      -- jobs that finished or were cancelled in the meantime are left alone
+      if job.status == "running" and job.workerId == workerID then
+        local attemptsMade = tonumber(job.attemptsMade) or 1
+        job.stalls = (tonumber(job.stalls) or 0) + 1
+
+        local history = job.attemptHistory or {}
+        table.insert(history, {
+          attempt = attemptsMade,
+          status = "stalled",
+          workerId = workerID,
+          startedAt = job.startedAt,
+          stalledAt = nowMs
+        })
+        job.attemptHistory = history
+        job.workerId = nil
+
+        emitEvent("stalled", jobID, {workerId = workerID, stalls = job.stalls})
+
+        if job.stalls > maxStalls then
+          local deadKey = KEYS[2] .. ":dead"
+          recordStats({failed = 1})
+          indexStatus(jobID, job.status, "failed")
+          job.status = "failed"
+          job.failedReason = "Job stalled " .. job.stalls .. " times"
+          job.deadAt = nowMs
+          redis.call("HDEL", KEYS[1], jobID)
+          redis.call("HSET", deadKey, jobID, cjson.encode(job))
+          redis.call("ZADD", deadKey .. ":index", nowMs, jobID)
+          emitEvent("failed", jobID, {
+            attempt = attemptsMade,
+            error = job.failedReason,
+            cause = "stalled",
+            willRetry = false
+          })
+          notifyWebhooks(jobID, job)
+          if job.flowId then
+            redis.call("RPUSH", KEYS[2] .. ":flows:settled", jobID)
+          end
+          table.insert(failed, jobID)
+        else
+          -- a stalled run doesn't use up one of the job's attempts
+          local priority = tonumber(job.priority) or 0
+          recordStats({recovered = 1})
+          indexStatus(jobID, job.status, "pending")
+          emitEvent("waiting", jobID)
+          job.status = "pending"
+          job.queuedAt = now
+          job.attemptsMade = attemptsMade - 1
+          redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+          if priority == 0 then
+            redis.call("LPUSH", KEYS[2], jobID)
+          else
+            redis.call("LPUSH", KEYS[2] .. ":priority:" .. priority, jobID)
+            redis.call("ZADD", KEYS[2] .. ":lanes", priority, tostring(priority))
+          end
+          table.insert(requeued, jobID)
+        end
+      end
+    end
+  end
+
+  redis.call("DEL", processingKey)
+  redis.call("ZREM", workersKey, workerID)
+end
+
+if #requeued > 0 then
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "queued")
+end
+
+return {requeued, failed}
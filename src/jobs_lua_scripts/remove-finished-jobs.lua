@@ -0,0 +1,83 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: status the jobs finished with: succeeded, failed, cancelled or skipped
+-- ARGV[2...]: job ids, taken from the status's finished index
+
+-- Deletes finished jobs together with their logs. Failed jobs live in the
+-- dead-letter queue, the others in the jobs hash. A job is kept while its
+-- worker is still recording a kill, and while it is the parent of a blocked
+-- flow job (settle-flow-jobs.lua would take it for failed). Jobs that moved
+-- on to another status only leave this index.
+-- A flow is deleted with the last of its jobs.
+-- Returns {ids that left the index, jobs deleted}; stale ids whose job is
+-- gone or moved on leave the index without counting as deleted.
+
+local status = ARGV[1]
+local hashKey = KEYS[1]
+local indexKey = KEYS[2] .. ":finished:" .. status
+if status == "failed" then
+  hashKey = KEYS[2] .. ":dead"
+  indexKey = hashKey .. ":index"
+end
+
+local function inUse(job)
+  if job.workerId then
+    return true
+  end
+  if type(job.children) == "table" then
+    for _, childID in ipairs(job.children) do
+      local childData = redis.call("HGET", KEYS[1], childID)
+      if childData and cjson.decode(childData).status == "blocked" then
+        return true
+      end
+    end
+  end
+  return false
+end
+
+local left = 0
+local deleted = 0
+-- flows that lost a job, checked once every job was handled
+local flows = {}
+
+for i = 2, #ARGV do
+  local jobID = ARGV[i]
+  local jobData = redis.call("HGET", hashKey, jobID)
+  local job = jobData and cjson.decode(jobData)
+
+  if not job or job.status ~= status then
+    redis.call("ZREM", indexKey, jobID)
+    left = left + 1
+  elseif not inUse(job) then
+    redis.call("HDEL", hashKey, jobID)
+    redis.call("ZREM", indexKey, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. status, jobID)
+    redis.call("DEL", KEYS[2] .. ":logs:" .. jobID)
+    left = left + 1
+    deleted = deleted + 1
+    if job.flowId then
+      flows[job.flowId] = true
+    end
+  end
+end
+
+local flowsKey = KEYS[2] .. ":flows"
+for flowID in pairs(flows) do
+  local flowData = redis.call("HGET", flowsKey, flowID)
+  local remaining = false
+  if flowData then
+    for _, jobID in pairs(cjson.decode(flowData).jobs) do
+      if redis.call("HEXISTS", KEYS[1], jobID) == 1
+        or redis.call("HEXISTS", KEYS[2] .. ":dead", jobID) == 1 then
+        remaining = true
+        break
+      end
+    end
+  end
+  if not remaining then
+    redis.call("HDEL", flowsKey, flowID)
+    redis.call("ZREM", flowsKey .. ":active", flowID)
+  end
+end
+
+return { left, deleted }
@@ -0,0 +1,70 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV: ids of the dead-letter jobs to replay
+
+local deadKey = KEYS[2] .. ":dead"
+local clock = redis.call("TIME")
+local now = tonumber(clock[1])
+local nowMs = now * 1000 + math.floor(tonumber(clock[2]) / 1000)
+local replayed = {}
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+for _, jobID in ipairs(ARGV) do
+  local jobData = redis.call("HGET", deadKey, jobID)
+
+  -- skip unknown ids and ids that are already live again
+  if jobData and redis.call("HEXISTS", KEYS[1], jobID) == 0 then
+    local job = cjson.decode(jobData)
+    local priority = tonumber(job.priority) or 0
+
+    -- a replayed job starts over with its full attempt and stall budgets
+    indexStatus(jobID, job.status, "pending")
+    emitEvent("waiting", jobID, {replays = (tonumber(job.replays) or 0) + 1})
+    job.status = "pending"
+    job.attemptsMade = 0
+    job.stalls = 0
+    job.queuedAt = now
+    job.replays = (tonumber(job.replays) or 0) + 1
+    job.lastFailedReason = job.failedReason
+    job.failedReason = nil
+    job.deadAt = nil
+    job.finishedAt = nil
+    job.runAt = nil
+
+    redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+    redis.call("HDEL", deadKey, jobID)
+    redis.call("ZREM", deadKey .. ":index", jobID)
+
+    if priority == 0 then
+      redis.call("RPUSH", KEYS[2], jobID)
+    else
+      redis.call("RPUSH", KEYS[2] .. ":priority:" .. priority, jobID)
+      redis.call("ZADD", KEYS[2] .. ":lanes", priority, tostring(priority))
+    end
+
+    table.insert(replayed, jobID)
+  end
+end
+
+if #replayed > 0 then
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "queued")
+end
+
+return replayed
@@ -0,0 +1,191 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: now as an ISO string, used for cancelledAt
+-- ARGV[2]: max entries to settle (optional, defaults to 100)
+
+-- complete-job.lua, cancel-job.lua and the reaper push flow jobs that reached
+-- a final state onto the ":flows:settled" list. For each of them this checks
+-- the blocked children: once every parent succeeded a child is queued, and
+-- when a parent did not succeed the child's onParentFailure policy decides:
+--   skip   - the child (and in turn its children) is skipped
+--   cancel - every unfinished job of the flow is cancelled
+--   run    - the child is queued once all of its parents are finished
+-- Returns the number of entries settled.
+
+local settledKey = KEYS[2] .. ":flows:settled"
+local deadKey = KEYS[2] .. ":dead"
+local limit = tonumber(ARGV[2]) or 100
+local clock = redis.call("TIME")
+local now = tonumber(clock[1])
+local nowMs = now * 1000 + math.floor(tonumber(clock[2]) / 1000)
+local finished = {succeeded = true, failed = true, cancelled = true, skipped = true}
+local released = 0
+
+-- keeps a job in the index of its status, scored by when it was created
+-- (see list-jobs.js); from is nil for a new job
+local function indexStatus(jobID, from, to)
+  local score
+  if from then
+    score = redis.call("ZSCORE", KEYS[2] .. ":status:" .. from, jobID)
+    redis.call("ZREM", KEYS[2] .. ":status:" .. from, jobID)
+  end
+  redis.call("ZADD", KEYS[2] .. ":status:" .. to, score or nowMs, jobID)
+end
+
+-- appends to the queue's event stream that QueueEvents reads (see
+-- events.js), which keeps about the last 10000 events
+local function emitEvent(event, jobID, data)
+  redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+    "event", event, "jobID", jobID, "data", cjson.encode(data or {}))
+end
+
+-- adds to the queue's totals and to those of the current minute, which
+-- getQueueStats() reads for throughput and average times (see stats.js)
+local function recordStats(counts)
+  local minuteKey = KEYS[2] .. ":stats:" .. math.floor(nowMs / 60000)
+  for field, value in pairs(counts) do
+    redis.call("HINCRBY", KEYS[2] .. ":stats", field, value)
+    redis.call("HINCRBY", minuteKey, field, value)
+  end
+  redis.call("EXPIRE", minuteKey, 3900)
+end
+
+-- hands a job that finished with a webhook event to the dispatcher in
+-- webhooks.js and wakes it, when the job or its queue has webhooks
+local function notifyWebhooks(jobID, job)
+  local event = job.status
+  if event ~= "succeeded" and event ~= "failed" and event ~= "cancelled" then
+    return
+  end
+  if job.webhooks or redis.call("EXISTS", KEYS[2] .. ":webhooks") == 1 then
+    redis.call("RPUSH", KEYS[2] .. ":webhooks:outbox", cjson.encode({
+      jobID = jobID, event = event, at = nowMs, job = job
+    }))
+    redis.call("PUBLISH", KEYS[2] .. ":webhooks:wake", jobID)
+  end
+end
+
+-- live jobs first, jobs that ran out of attempts are in the dead-letter queue
+local function readJob(jobID)
+  local jobData = redis.call("HGET", KEYS[1], jobID) or redis.call("HGET", deadKey, jobID)
+  if jobData then
+    return cjson.decode(jobData)
+  end
+  return nil
+end
+
+local function removeFromLane(jobID, job)
+  local priority = tonumber(job.priority) or 0
+  redis.call("ZREM", KEYS[2] .. ":scheduled", jobID)
+  if priority == 0 then
+    redis.call("LREM", KEYS[2], 0, jobID)
+  else
+    local lane = KEYS[2] .. ":priority:" .. priority
+    redis.call("LREM", lane, 0, jobID)
+    if redis.call("LLEN", lane) == 0 then
+      redis.call("ZREM", KEYS[2] .. ":lanes", tostring(priority))
+    end
+  end
+end
+
+local function cancelFlow(flowID, reason)
+  local flowData = redis.call("HGET", KEYS[2] .. ":flows", flowID)
+  if not flowData then
+    return
+  end
+
+  for _, jobID in pairs(cjson.decode(flowData).jobs) do
+    local jobData = redis.call("HGET", KEYS[1], jobID)
+    if jobData then
+      local job = cjson.decode(jobData)
+      if not finished[job.status] then
+        local wasRunning = job.status == "running"
+        removeFromLane(jobID, job)
+        recordStats({cancelled = 1})
+        indexStatus(jobID, job.status, "cancelled")
+        job.status = "cancelled"
+        job.cancelledAt = ARGV[1]
+        job.cancelledReason = reason
+        redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+        redis.call("ZADD", KEYS[2] .. ":finished:cancelled", nowMs, jobID)
+        emitEvent("cancelled", jobID, {reason = reason})
+        notifyWebhooks(jobID, job)
+        -- running jobs are killed by their worker, like cancel-job.lua does
+        if wasRunning and job.workerId then
+          redis.call("PUBLISH", KEYS[2] .. ":cancel", jobID)
+        end
+      end
+    end
+  end
+end
+
+local function release(jobID, job)
+  local priority = tonumber(job.priority) or 0
+  indexStatus(jobID, job.status, "pending")
+  emitEvent("waiting", jobID)
+  job.status = "pending"
+  job.queuedAt = now
+  redis.call("HSET", KEYS[1], jobID, cjson.encode(job))
+  if priority == 0 then
+    redis.call("RPUSH", KEYS[2], jobID)
+  else
+    redis.call("RPUSH", KEYS[2] .. ":priority:" .. priority, jobID)
+    redis.call("ZADD", KEYS[2] .. ":lanes", priority, tostring(priority))
+  end
+  released = released + 1
+end
+
+local settled = 0
+
+while settled < limit do
+  local parentID = redis.call("LPOP", settledKey)
+  if not parentID then
+    break
+  end
+  settled = settled + 1
+
+  local parent = readJob(parentID)
+  if parent and parent.children then
+    for _, childID in ipairs(parent.children) do
+      local childData = redis.call("HGET", KEYS[1], childID)
+      local child = childData and cjson.decode(childData)
+
+      if child and child.status == "blocked" then
+        local unfinished = false
+        local failedParent
+
+        for _, otherID in ipairs(child.parents) do
+          -- a parent that was purged in the meantime counts as failed
+          local other = readJob(otherID) or {status = "failed", flowNode = otherID}
+          if not finished[other.status] then
+            unfinished = true
+          elseif other.status ~= "succeeded" and not failedParent then
+            failedParent = other
+          end
+        end
+
+        local policy = child.onParentFailure or "skip"
+        if failedParent and policy == "skip" then
+          recordStats({skipped = 1})
+          indexStatus(childID, child.status, "skipped")
+          child.status = "skipped"
+          child.skippedReason = "Parent " .. tostring(failedParent.flowNode) .. " " .. failedParent.status
+          redis.call("HSET", KEYS[1], childID, cjson.encode(child))
+          redis.call("ZADD", KEYS[2] .. ":finished:skipped", nowMs, childID)
+          -- its own children are skipped in turn
+          redis.call("RPUSH", settledKey, childID)
+        elseif failedParent and policy == "cancel" then
+          cancelFlow(child.flowId, "Parent " .. tostring(failedParent.flowNode) .. " " .. failedParent.status)
+        elseif not unfinished then
+          release(childID, child)
+        end
+      end
+    end
+  end
+end
+
+if released > 0 then
+  redis.call("PUBLISH", KEYS[2] .. ":wake", "queued")
+end
+
+return settled
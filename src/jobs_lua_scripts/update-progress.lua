@@ -0,0 +1,27 @@
+-- KEYS[1]: jobs hash
+-- KEYS[2]: jobs queue
+-- ARGV[1]: job_id
+-- ARGV[2]: progress (JSON, a number or an object)
+--
+-- Stores the progress a running job reported and emits a progress event.
+-- Returns "ok", "not_found", or "not_running" once the job moved on.
+
+local jobData = redis.call("HGET", KEYS[1], ARGV[1])
+if not jobData then
+  return "not_found"
+end
+
+local job = cjson.decode(jobData)
+if job.status ~= "running" then
+  return "not_running"
+end
+
+job.progress = cjson.decode(ARGV[2])
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+
+-- the same entry as emitEvent() in the other scripts writes
+redis.call("XADD", KEYS[2] .. ":events", "MAXLEN", "~", 10000, "*",
+  "event", "progress", "jobID", ARGV[1],
+  "data", cjson.encode({progress = job.progress, attempt = job.attemptsMade}))
+
+return "ok"
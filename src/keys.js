@@ -0,0 +1,111 @@
+// Redis key layout. The default queue keeps the original "jobs:hash" and
+// "jobs:queue" keys, named queues live under "<prefix>:queues:<name>". The
+// Lua scripts derive lanes, the scheduled set and the dead-letter queue from
+// the queue key in the same way as queueKeys() below.
+export const DEFAULT_QUEUE = "default";
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+let keyPrefix = process.env.SYNQ_KEY_PREFIX || "jobs";
+
+export function isValidQueueName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+// Lets several Synq deployments share one Redis without seeing each other
+export function setKeyPrefix(prefix) {
+  if (!isValidQueueName(prefix)) {
+    throw new Error(`Invalid key prefix: ${prefix}`);
+  }
+  keyPrefix = prefix;
+}
+
+export function getKeyPrefix() {
+  return keyPrefix;
+}
+
+export function queueKeys(queue = DEFAULT_QUEUE) {
+  const base =
+    queue === DEFAULT_QUEUE ? keyPrefix : `${keyPrefix}:queues:${queue}`;
+  const list = `${base}:queue`;
+
+  return {
+    hash: `${base}:hash`,
+    queue: list,
+    lanes: `${list}:lanes`,
+    scheduled: `${list}:scheduled`,
+    dead: `${list}:dead`,
+    deadIndex: `${list}:dead:index`,
+    // pub/sub channel the Lua scripts publish on when work arrives
+    wake: `${list}:wake`,
+    // cancel-job.lua asks the owning worker to kill a running job here, and
+    // complete-job.lua confirms the kill on the second channel
+    cancel: `${list}:cancel`,
+    cancelled: `${list}:cancelled`,
+    // lease expiry per worker that holds jobs, and the jobs it holds
+    workers: `${list}:workers`,
+    processing: (workerId) => `${list}:processing:${workerId}`,
+    // flow records, the flows that may still be running by creation time,
+    // and flow jobs whose children still need settling
+    flows: `${list}:flows`,
+    flowsActive: `${list}:flows:active`,
+    flowsSettled: `${list}:flows:settled`,
+    // rate limit settings, claims in the current window (per queue and per
+    // group) and the groups that claimed lately, see rate-limit.js
+    limiter: `${list}:limiter`,
+    limiterHits: `${list}:limiter:hits`,
+    limiterGroup: (group) => `${list}:limiter:group:${group}`,
+    limiterGroups: `${list}:limiter:groups`,
+    // jobs of one status by the time they were created, see list-jobs.js
+    statusIndex: (status) => `${list}:status:${status}`,
+    // lifetime totals and per-minute totals (expiring), see stats.js
+    stats: `${list}:stats`,
+    statsMinute: (minute) => `${list}:stats:${minute}`,
+    // finished jobs by the time they finished, failed ones are in deadIndex,
+    // and the retention rules per status, see retention.js
+    finished: (status) => `${list}:finished:${status}`,
+    retention: `${list}:retention`,
+    // the queue's command policy, see policy.js
+    policy: `${list}:policy`,
+    // job ID submitted under an idempotency key, expires after the window
+    dedup: (key) => `${list}:dedup:${key}`,
+    // webhooks of the queue, finished jobs waiting to be dispatched and those
+    // a dispatcher claimed, the deliveries with their index, those due for a
+    // retry and those being attempted, and the channel that wakes the
+    // dispatchers, see webhooks.js
+    webhooks: `${list}:webhooks`,
+    webhookOutbox: `${list}:webhooks:outbox`,
+    webhookOutboxClaims: `${list}:webhooks:outbox:processing`,
+    webhookDeliveries: `${list}:webhooks:deliveries`,
+    webhookDeliveryIndex: `${list}:webhooks:deliveries:index`,
+    webhookRetries: `${list}:webhooks:retries`,
+    webhookClaims: `${list}:webhooks:processing`,
+    webhookWake: `${list}:webhooks:wake`,
+    // stream of job state changes, see events.js
+    events: `${list}:events`,
+    // capped stream of a job's output lines, see logs.js
+    logs: (jobID) => `${list}:logs:${jobID}`,
+    lane: (priority) =>
+      priority === 0 ? list : `${list}:priority:${priority}`,
+  };
+}
+
+// Set of every queue name that has seen a job
+export function queueRegistryKey() {
+  return `${keyPrefix}:queues`;
+}
+
+// API keys by key ID, see auth.js
+export function authKeys() {
+  return {
+    apiKeys: `${keyPrefix}:auth:keys`,
+  };
+}
+
+export function recurringKeys() {
+  return {
+    registry: `${keyPrefix}:recurring`,
+    nextRun: `${keyPrefix}:recurring:next`,
+    wake: `${keyPrefix}:recurring:wake`,
+  };
+}
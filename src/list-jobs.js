@@ -0,0 +1,221 @@
+import { redis } from "./db/redis.js";
+import { DEFAULT_QUEUE, isValidQueueName, queueKeys } from "./keys.js";
+import { JOB_STATUSES, jobLabel } from "./queue.js";
+
+// The Lua scripts keep every job in the sorted set of its status, scored by
+// the time it was created (<queue>:status:<status>). Listing walks those
+// sets instead of the jobs hash: statuses are merged in creation order and
+// a page ends behind the last entry it looked at, which the cursor encodes.
+
+export const MAX_LIST_LIMIT = 1000;
+
+// index entries read per ZRANGEBYSCORE
+const INDEX_PAGE_SIZE = 200;
+// entries one page may look at when most of them are filtered out by
+// command; the page then comes back short with a cursor to go on
+const MAX_SCANNED = 5000;
+
+// Dates, ISO strings and epoch milliseconds (also as strings) in ms
+export function toTimestamp(value) {
+  if (typeof value === "string" && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const timestamp =
+    value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return timestamp;
+}
+
+export function encodeCursor({ score, jobID }) {
+  return Buffer.from(JSON.stringify([score, jobID])).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const [score, jobID] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    if (Number.isFinite(score) && typeof jobID === "string") {
+      return { score, jobID };
+    }
+  } catch (error) {
+    // reported below
+  }
+  throw new Error("Invalid cursor");
+}
+
+function toList(value) {
+  if (value === undefined) return undefined;
+  return Array.isArray(value) ? value : String(value).split(",");
+}
+
+// Throws when the query can't be run, returns it with defaults applied
+export function validateListQuery({
+  queue = DEFAULT_QUEUE,
+  status,
+  from,
+  to,
+  command,
+  order = "desc",
+  limit = 50,
+  cursor,
+  fields,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  const statuses = toList(status) ?? JOB_STATUSES;
+  for (const entry of statuses) {
+    if (!JOB_STATUSES.includes(entry)) {
+      throw new Error(
+        `Invalid status: ${entry} (one of ${JOB_STATUSES.join(", ")})`
+      );
+    }
+  }
+  if (!["asc", "desc"].includes(order)) {
+    throw new Error("order must be asc or desc");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw new Error(`limit must be an integer from 1 to ${MAX_LIST_LIMIT}`);
+  }
+  if (command !== undefined && typeof command !== "string") {
+    throw new Error("command must be a string");
+  }
+
+  return {
+    queue,
+    statuses: [...new Set(statuses)],
+    from: from !== undefined ? toTimestamp(from) : -Infinity,
+    to: to !== undefined ? toTimestamp(to) : Infinity,
+    command,
+    order,
+    limit,
+    after: cursor !== undefined ? decodeCursor(cursor) : null,
+    fields: toList(fields),
+  };
+}
+
+// Whether a comes before b in the listing order. Entries with the same
+// score are ordered by ID, like Redis orders them.
+function precedes(a, b, desc) {
+  if (a.score !== b.score) {
+    return desc ? a.score > b.score : a.score < b.score;
+  }
+  return desc ? a.jobID > b.jobID : a.jobID < b.jobID;
+}
+
+// Entries of one status index in listing order, starting behind after
+async function* readIndex(key, { from, to, desc, after }) {
+  const min = desc ? from : (after?.score ?? from);
+  const max = desc ? (after?.score ?? to) : to;
+  const bound = (value) =>
+    Number.isFinite(value) ? value : value > 0 ? "+inf" : "-inf";
+
+  for (let offset = 0; ; offset += INDEX_PAGE_SIZE) {
+    const page = desc
+      ? await redis.zrevrangebyscore(
+          key,
+          bound(max),
+          bound(min),
+          "WITHSCORES",
+          "LIMIT",
+          offset,
+          INDEX_PAGE_SIZE
+        )
+      : await redis.zrangebyscore(
+          key,
+          bound(min),
+          bound(max),
+          "WITHSCORES",
+          "LIMIT",
+          offset,
+          INDEX_PAGE_SIZE
+        );
+
+    for (let i = 0; i < page.length; i += 2) {
+      const entry = { jobID: page[i], score: Number(page[i + 1]) };
+      if (!after || precedes(after, entry, desc)) yield entry;
+    }
+    if (page.length < INDEX_PAGE_SIZE * 2) return;
+  }
+}
+
+function project(job, fields) {
+  if (!fields) return job;
+  return Object.fromEntries(
+    ["jobID", ...fields]
+      .filter((field) => field in job)
+      .map((field) => [field, job[field]])
+  );
+}
+
+// Jobs of a queue, newest first unless order is "asc". status (one or
+// several), from / to (creation time) and command (a substring of the
+// command or handler name) filter, fields picks the fields of each job.
+// Resolves with { queue, jobs, nextCursor }; nextCursor is null on the
+// last page and is passed back as cursor for the next one.
+export async function listJobs(query = {}) {
+  const { queue, statuses, from, to, command, order, limit, after, fields } =
+    validateListQuery(query);
+  const keys = queueKeys(queue);
+  const desc = order === "desc";
+  const needle = command?.toLowerCase();
+
+  const indexes = statuses.map((status) =>
+    readIndex(keys.statusIndex(status), { from, to, desc, after })
+  );
+  const heads = await Promise.all(indexes.map((index) => index.next()));
+
+  const jobs = [];
+  const seen = new Set();
+  let last = null;
+  let scanned = 0;
+
+  while (jobs.length < limit && scanned < MAX_SCANNED) {
+    // the next entries in order across every status
+    const batch = [];
+    while (batch.length < limit - jobs.length) {
+      let next = -1;
+      heads.forEach((head, i) => {
+        if (
+          !head.done &&
+          (next < 0 || precedes(head.value, heads[next].value, desc))
+        ) {
+          next = i;
+        }
+      });
+      if (next < 0) break;
+      batch.push(heads[next].value);
+      heads[next] = await indexes[next].next();
+    }
+    if (batch.length === 0) break;
+
+    const ids = batch.map((entry) => entry.jobID);
+    const [live, dead] = await Promise.all([
+      redis.hmget(keys.hash, ...ids),
+      redis.hmget(keys.dead, ...ids),
+    ]);
+    batch.forEach((entry, i) => {
+      const data = live[i] ?? dead[i];
+      // a job that changed status while we read shows up once
+      if (!data || seen.has(entry.jobID)) return;
+      const job = { jobID: entry.jobID, ...JSON.parse(data) };
+      if (!statuses.includes(job.status)) return;
+      if (needle && !jobLabel(job).toLowerCase().includes(needle)) return;
+      seen.add(entry.jobID);
+      jobs.push(project(job, fields));
+    });
+    last = batch.at(-1);
+    scanned += batch.length;
+  }
+
+  const exhausted = heads.every((head) => head.done);
+  await Promise.all(indexes.map((index) => index.return()));
+  return {
+    queue,
+    jobs,
+    nextCursor: exhausted || !last ? null : encodeCursor(last),
+  };
+}
@@ -0,0 +1,165 @@
+import { redis } from "./db/redis.js";
+import { getJob } from "./queue.js";
+import { DEFAULT_QUEUE, queueKeys } from "./keys.js";
+
+// Each job's output goes into a Redis stream of timestamped lines, capped at
+// JOB_LOG_MAX_LINES and kept for JOB_LOG_TTL seconds after the job finished
+const MAX_LOG_LINES = Number(process.env.JOB_LOG_MAX_LINES) || 10000;
+const LOG_TTL = Number(process.env.JOB_LOG_TTL) || 7 * 24 * 60 * 60;
+// output without a newline is cut into lines of this size
+const MAX_LINE_LENGTH = 16 * 1024;
+
+const FINAL_STATUSES = ["succeeded", "failed", "cancelled", "skipped"];
+
+// [id, ["stream", "stdout", "line", "...", ...]] -> { id, stream, line, ... }
+function toEntry([id, fields]) {
+  const entry = { id };
+  for (let i = 0; i < fields.length; i += 2) {
+    entry[fields[i]] = fields[i + 1];
+  }
+  if (entry.attempt !== undefined) entry.attempt = Number(entry.attempt);
+  return entry;
+}
+
+// The stream ID right after id, so XRANGE can continue behind a cursor
+function nextId(id) {
+  const [ms, seq = "0"] = String(id).split("-");
+  return `${ms}-${Number(seq) + 1}`;
+}
+
+// Splits a running attempt's output into lines and appends them to the job's
+// log. write() takes raw chunks, end() flushes what's left and, given the
+// status complete-job.lua returned, marks the end of the attempt.
+export function createJobLog(
+  jobID,
+  { queue = DEFAULT_QUEUE, attempt = 1 } = {}
+) {
+  const key = queueKeys(queue).logs(jobID);
+  const partial = { stdout: "", stderr: "" };
+  // appends run one after another so lines keep their order
+  let appending = Promise.resolve();
+
+  function append(entries) {
+    const pipeline = redis.pipeline();
+    for (const fields of entries) {
+      pipeline.xadd(key, "MAXLEN", "~", MAX_LOG_LINES, "*", ...fields);
+    }
+    appending = appending
+      .then(() => pipeline.exec())
+      .catch((error) =>
+        console.error(`Failed to store logs of ${jobID}:`, error)
+      );
+  }
+
+  function lineFields(stream, line) {
+    return [
+      "stream",
+      stream,
+      "line",
+      line.replace(/\r$/, ""),
+      "time",
+      new Date().toISOString(),
+      "attempt",
+      attempt,
+    ];
+  }
+
+  function write(stream, chunk) {
+    const lines = (partial[stream] + chunk).split("\n");
+    partial[stream] = lines.pop();
+    while (partial[stream].length > MAX_LINE_LENGTH) {
+      lines.push(partial[stream].slice(0, MAX_LINE_LENGTH));
+      partial[stream] = partial[stream].slice(MAX_LINE_LENGTH);
+    }
+    if (lines.length > 0) {
+      append(lines.map((line) => lineFields(stream, line)));
+    }
+  }
+
+  async function end(status) {
+    const rest = ["stdout", "stderr"]
+      .filter((stream) => partial[stream] !== "")
+      .map((stream) => lineFields(stream, partial[stream]));
+    partial.stdout = partial.stderr = "";
+
+    if (status) {
+      rest.push([
+        "event",
+        "end",
+        "status",
+        status,
+        "time",
+        new Date().toISOString(),
+        "attempt",
+        attempt,
+      ]);
+    }
+    if (rest.length > 0) append(rest);
+    await appending;
+    await redis.expire(key, LOG_TTL);
+  }
+
+  return { write, end };
+}
+
+// Log lines of a job, oldest first. after is the id of the last entry the
+// caller has seen. Entries with event "end" close an attempt; their status is
+// "retrying" when another attempt follows.
+export async function getJobLogs(
+  jobID,
+  { queue = DEFAULT_QUEUE, after, limit = 1000 } = {}
+) {
+  const entries = await redis.xrange(
+    queueKeys(queue).logs(jobID),
+    after ? nextId(after) : "-",
+    "+",
+    "COUNT",
+    limit
+  );
+  return entries.map(toEntry);
+}
+
+// Yields a job's log entries as they are written, starting after the entry
+// with id after (from the start by default). Ends after the "end" entry of
+// the final attempt, when the job finished without running (e.g. cancelled
+// while pending) or when signal aborts.
+export async function* followJobLogs(
+  jobID,
+  { queue = DEFAULT_QUEUE, after = "0-0", block = 5000, signal } = {}
+) {
+  const key = queueKeys(queue).logs(jobID);
+  // XREAD BLOCK holds its connection, so every follower gets its own
+  const reader = redis.duplicate();
+  const abort = () => reader.disconnect();
+  signal?.addEventListener("abort", abort);
+
+  try {
+    let lastId = after;
+    while (!signal?.aborted) {
+      let reply;
+      try {
+        reply = await reader.xread("BLOCK", block, "STREAMS", key, lastId);
+      } catch (error) {
+        if (signal?.aborted) return;
+        throw error;
+      }
+
+      if (!reply) {
+        // nothing new for a while, stop if the job can't write more
+        const job = await getJob(jobID, { queue });
+        if (!job || FINAL_STATUSES.includes(job.status)) return;
+        continue;
+      }
+
+      for (const raw of reply[0][1]) {
+        const entry = toEntry(raw);
+        lastId = entry.id;
+        yield entry;
+        if (entry.event === "end" && entry.status !== "retrying") return;
+      }
+    }
+  } finally {
+    signal?.removeEventListener("abort", abort);
+    reader.disconnect();
+  }
+}
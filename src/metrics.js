@@ -0,0 +1,217 @@
+// Prometheus metrics in the text exposition format. Counters, gauges and
+// histograms are kept in memory per process; the queue metrics are read from
+// Redis when /metrics is scraped (see collectQueueMetrics in stats.js).
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// seconds, from a quick job to a long one
+export const DURATION_BUCKETS = [
+  0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600,
+];
+// seconds, a script call is a round trip to Redis
+export const SCRIPT_BUCKETS = [
+  0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1,
+];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+// Label values in the order of labelNames, the key of a series
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function seriesLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+// Creates a set of metrics rendered together. Every metric keeps one value
+// (or one set of buckets) per combination of its labels.
+export function createRegistry() {
+  const metrics = new Map();
+
+  function define(type, name, help, labelNames) {
+    if (metrics.has(name)) {
+      throw new Error(`Metric ${name} is already defined`);
+    }
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function valueMetric(type, name, help, labelNames = []) {
+    const metric = define(type, name, help, labelNames);
+    const add = (labels, by) => {
+      const key = seriesKey(labelNames, labels);
+      metric.series.set(key, (metric.series.get(key) ?? 0) + by);
+    };
+    return {
+      inc: (labels, by = 1) => add(labels, by),
+      ...(type === "gauge" && { dec: (labels, by = 1) => add(labels, -by) }),
+      // counters mirrored from Redis totals are set rather than increased
+      set: (labels, value) =>
+        metric.series.set(seriesKey(labelNames, labels), value),
+      reset: () => metric.series.clear(),
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const metric = define("histogram", name, help, labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+
+    function observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let series = metric.series.get(key);
+      if (!series) {
+        series = { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+        metric.series.set(key, series);
+      }
+      metric.buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+
+    // Returns a function that observes the seconds since the timer started
+    function startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return () =>
+        observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    return { observe, startTimer, reset: () => metric.series.clear() };
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      const { type, name, help, labelNames, buckets, series } = metric;
+      const sample = (suffix, labels, value) =>
+        lines.push(
+          `${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`
+        );
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [key, value] of series) {
+        const labels = seriesLabels(labelNames, key);
+        if (type !== "histogram") {
+          sample("", labels, value);
+          continue;
+        }
+        buckets.forEach((bound, i) =>
+          sample(
+            "_bucket",
+            { ...labels, le: formatValue(bound) },
+            value.counts[i]
+          )
+        );
+        sample("_bucket", { ...labels, le: "+Inf" }, value.count);
+        sample("_sum", labels, value.sum);
+        sample("_count", labels, value.count);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return {
+    counter: (name, help, labelNames) =>
+      valueMetric("counter", name, help, labelNames),
+    gauge: (name, help, labelNames) =>
+      valueMetric("gauge", name, help, labelNames),
+    histogram,
+    render,
+  };
+}
+
+// The registry /metrics renders, in the API server and in the worker
+export const registry = createRegistry();
+
+export const metrics = {
+  // read from Redis on every scrape
+  queueJobs: registry.gauge("synq_queue_jobs", "Jobs in the queue by status", [
+    "queue",
+    "status",
+  ]),
+  queueWorkers: registry.gauge(
+    "synq_queue_workers",
+    "Workers holding jobs of the queue",
+    ["queue"]
+  ),
+  jobsCompleted: registry.counter(
+    "synq_jobs_completed_total",
+    "Jobs of the queue that succeeded",
+    ["queue"]
+  ),
+  jobsFailed: registry.counter(
+    "synq_jobs_failed_total",
+    "Jobs of the queue that failed after their last attempt",
+    ["queue"]
+  ),
+  // kept by the workers of this process
+  workerSlots: registry.gauge(
+    "synq_worker_slots",
+    "Jobs the worker may run at the same time",
+    ["worker_id"]
+  ),
+  workerBusySlots: registry.gauge(
+    "synq_worker_busy_slots",
+    "Slots of the worker running a job",
+    ["worker_id"]
+  ),
+  workerAttempts: registry.counter(
+    "synq_worker_attempts_total",
+    "Attempts the worker finished, by the status they left the job in",
+    ["queue", "worker_id", "status"]
+  ),
+  jobWait: registry.histogram(
+    "synq_job_wait_seconds",
+    "Time claimed jobs waited in their lane",
+    ["queue", "worker_id"]
+  ),
+  jobRun: registry.histogram("synq_job_run_seconds", "Time attempts ran", [
+    "queue",
+    "worker_id",
+  ]),
+  scriptDuration: registry.histogram(
+    "synq_redis_script_duration_seconds",
+    "Time Lua script calls took, including the round trip to Redis",
+    ["script"],
+    SCRIPT_BUCKETS
+  ),
+};
+
+// Times every Lua script defined on client from now on. Scripts run through
+// a pipeline or transaction aren't timed.
+export function instrumentScripts(client) {
+  const defineCommand = client.defineCommand.bind(client);
+  client.defineCommand = (name, definition) => {
+    defineCommand(name, definition);
+    const run = client[name];
+    client[name] = async (...args) => {
+      const end = metrics.scriptDuration.startTimer({ script: name });
+      try {
+        return await run.apply(client, args);
+      } finally {
+        end();
+      }
+    };
+  };
+}
@@ -0,0 +1,216 @@
+import { redis } from "./db/redis.js";
+import { DEFAULT_QUEUE, isValidQueueName, queueKeys } from "./keys.js";
+
+// A command policy limits the shell commands a queue accepts:
+//   allow      executables commands may run, by name ("echo") or path
+//              ("/opt/bin/deploy"); any executable when left out
+//   deny       regular expressions no command may match
+//   maxLength  longest command, in characters
+// The default policy (SYNQ_COMMAND_POLICY, JSON) applies to every queue and a
+// queue's own policy, stored in Redis, applies on top of it. Commands are
+// checked when a job is added and again by the worker right before it runs
+// one, which also catches replayed jobs and policies tightened since.
+// Handler jobs run no command and aren't checked.
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Throws when the policy can't be enforced
+export function validateCommandPolicy({ allow, deny, maxLength } = {}) {
+  if (allow === undefined && deny === undefined && maxLength === undefined) {
+    throw new Error("Set allow, deny or maxLength");
+  }
+  if (
+    allow !== undefined &&
+    !(
+      Array.isArray(allow) &&
+      allow.length > 0 &&
+      allow.every((name) => typeof name === "string" && /^\S+$/.test(name))
+    )
+  ) {
+    throw new Error("allow must be a non-empty list of executables");
+  }
+  if (deny !== undefined) {
+    if (!Array.isArray(deny) || deny.length === 0) {
+      throw new Error("deny must be a non-empty list of regular expressions");
+    }
+    for (const pattern of deny) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid deny rule: ${pattern}`);
+      }
+    }
+  }
+  if (maxLength !== undefined && !isPositiveInteger(maxLength)) {
+    throw new Error("maxLength must be a positive integer");
+  }
+}
+
+// The policy of every queue, null when SYNQ_COMMAND_POLICY isn't set
+export function defaultCommandPolicy() {
+  const setting = process.env.SYNQ_COMMAND_POLICY;
+  if (!setting) return null;
+  let policy;
+  try {
+    policy = JSON.parse(setting);
+  } catch (error) {
+    throw new Error("SYNQ_COMMAND_POLICY must be a JSON policy");
+  }
+  validateCommandPolicy(policy);
+  return policy;
+}
+
+// Replaces the queue's policy, e.g. { allow: ["./scripts/report.sh"] }
+export async function setCommandPolicy({
+  queue = DEFAULT_QUEUE,
+  allow,
+  deny,
+  maxLength,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  validateCommandPolicy({ allow, deny, maxLength });
+
+  const policy = {
+    ...(allow !== undefined && { allow: [...new Set(allow)] }),
+    ...(deny !== undefined && { deny }),
+    ...(maxLength !== undefined && { maxLength }),
+  };
+  await redis.set(queueKeys(queue).policy, JSON.stringify(policy));
+  console.log(`Command policy of ${queue} set: ${JSON.stringify(policy)}`);
+  return { queue, ...policy };
+}
+
+// The queue's own policy, null when it has none
+export async function getCommandPolicy({ queue = DEFAULT_QUEUE } = {}) {
+  const data = await redis.get(queueKeys(queue).policy);
+  return data ? { queue, ...JSON.parse(data) } : null;
+}
+
+// Returns "removed", or "not_found" when the queue had no policy
+export async function removeCommandPolicy({ queue = DEFAULT_QUEUE } = {}) {
+  const removed = await redis.del(queueKeys(queue).policy);
+  return removed ? "removed" : "not_found";
+}
+
+// The policies a command of queue has to pass
+export async function commandPolicies(queue = DEFAULT_QUEUE) {
+  return [defaultCommandPolicy(), await getCommandPolicy({ queue })].filter(
+    Boolean
+  );
+}
+
+// Splits a command list at the operators that start another command (; & |
+// and newlines) outside quotes. unchecked names what the command uses that
+// this can't follow the way the shell would, null when there is nothing:
+// commands run by $(...), backticks or subshells, $'...' quoting, redirects
+// and heredocs, comments and unterminated quotes.
+function splitCommandList(command) {
+  const commands = [];
+  let current = "";
+  let quote = null;
+  let unchecked = null;
+
+  for (let i = 0; i < command.length && !unchecked; i++) {
+    const char = command[i];
+    const next = command[i + 1];
+
+    if (char === "\\" && quote !== "'") {
+      current += char + (next ?? "");
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+      if (quote === '"' && (char === "`" || (char === "$" && next === "("))) {
+        unchecked = "Command substitution";
+      }
+      current += char;
+    } else if (char === "$" && (next === "'" || next === '"')) {
+      unchecked = `${char}${next}...${next} quoting`;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      current += char;
+    } else if (char === "`" || char === "(" || char === ")") {
+      unchecked = "Command substitution and subshells";
+    } else if (char === "<" || char === ">") {
+      unchecked = "Redirects and heredocs";
+    } else if (char === "#" && /(^|\s)$/.test(current)) {
+      unchecked = "Comments";
+    } else if (char === ";" || char === "\n" || char === "|" || char === "&") {
+      commands.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  commands.push(current);
+  if (quote && !unchecked) unchecked = "Unterminated quotes";
+
+  return {
+    commands: commands.map((part) => part.trim()).filter(Boolean),
+    unchecked,
+  };
+}
+
+// Job options that change what a command does: the shell that reads it, the
+// directory relative paths resolve in and variables like PATH, BASH_ENV or
+// LD_PRELOAD
+function setExecOption({ shell, cwd, env } = {}) {
+  if (shell !== undefined) return "shell";
+  if (cwd !== undefined) return "cwd";
+  if (env && Object.keys(env).length > 0) return "env";
+  return null;
+}
+
+// Returns why policies reject command, or null when they all accept it.
+// exec holds the job's own shell, cwd and env, which an allow or deny policy
+// doesn't let jobs set.
+export function findPolicyViolation(command, policies, exec) {
+  for (const { allow, deny, maxLength } of policies) {
+    if (maxLength !== undefined && command.length > maxLength) {
+      return `Command is longer than ${maxLength} characters`;
+    }
+    for (const pattern of deny ?? []) {
+      if (new RegExp(pattern).test(command)) {
+        return `Command matches the deny rule ${pattern}`;
+      }
+    }
+    if (allow === undefined && deny === undefined) continue;
+
+    const option = setExecOption(exec);
+    if (option) {
+      return `Jobs may not set ${option} while the queue has an allow or deny policy`;
+    }
+    if (allow === undefined) continue;
+
+    const { commands, unchecked } = splitCommandList(command);
+    if (unchecked) {
+      return `${unchecked} can't be checked against the allowlist`;
+    }
+    for (const part of commands) {
+      const executable = part.split(/\s+/)[0].replace(/["']/g, "");
+      if (!allow.includes(executable)) {
+        return `${executable} is not an allowed executable`;
+      }
+    }
+  }
+  return null;
+}
+
+// Throws when the policies of queue reject command, run with the job's
+// shell, cwd and env
+export async function checkCommand(
+  command,
+  { queue = DEFAULT_QUEUE, shell, cwd, env } = {}
+) {
+  const violation = findPolicyViolation(command, await commandPolicies(queue), {
+    shell,
+    cwd,
+    env,
+  });
+  if (violation) {
+    throw new Error(`Command rejected by policy: ${violation}`);
+  }
+}
@@ -5,6 +5,18 @@ import { dirname } from "path";
 import { redis } from "./db/redis.js";
 import { connect } from "./db/mongodb.js";
 import { v4 as uuidv4 } from "uuid";
+import {
+  DEFAULT_QUEUE,
+  isValidQueueName,
+  queueKeys,
+  queueRegistryKey,
+} from "./keys.js";
+import { normalizeJobWebhooks } from "./webhooks.js";
+import {
+  checkCommand,
+  commandPolicies,
+  findPolicyViolation,
+} from "./policy.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -29,46 +41,661 @@ redis.defineCommand("cancelJob", {
   lua: cancelLuaScript,
 });
 
-// Job submission logic
-export async function submitJob(command) {
-  try {
-    const jobID = `job-${uuidv4()}`;
-    const payload = JSON.stringify({
-      command,
+redis.defineCommand("enqueueJobs", {
+  numberOfKeys: 2,
+  lua: fs.readFileSync(
+    path.join(__dirname, "jobs_lua_scripts", "add-jobs.lua"),
+    "utf8"
+  ),
+});
+
+redis.defineCommand("cancelJobs", {
+  numberOfKeys: 2,
+  lua: fs.readFileSync(
+    path.join(__dirname, "jobs_lua_scripts", "cancel-jobs.lua"),
+    "utf8"
+  ),
+});
+
+redis.defineCommand("settleFlowJobs", {
+  numberOfKeys: 2,
+  lua: fs.readFileSync(
+    path.join(__dirname, "jobs_lua_scripts", "settle-flow-jobs.lua"),
+    "utf8"
+  ),
+});
+
+// Jobs run highest priority first, 0 is the default lane
+export const MIN_PRIORITY = -100;
+export const MAX_PRIORITY = 100;
+
+export function isValidPriority(priority) {
+  return (
+    Number.isInteger(priority) &&
+    priority >= MIN_PRIORITY &&
+    priority <= MAX_PRIORITY
+  );
+}
+
+// Throws when the delay / runAt options can't be scheduled, returns the
+// runAt timestamp in milliseconds (or null when the job runs right away)
+export function resolveRunAt({ delay, runAt } = {}) {
+  if (runAt !== undefined && runAt !== null) {
+    const timestamp = new Date(runAt).getTime();
+    if (Number.isNaN(timestamp)) {
+      throw new Error("runAt must be a valid date or epoch milliseconds");
+    }
+    return timestamp;
+  }
+
+  if (delay !== undefined && delay !== null) {
+    if (!Number.isFinite(delay) || delay < 0) {
+      throw new Error("delay must be a non-negative number of milliseconds");
+    }
+  }
+  return null;
+}
+
+export const BACKOFF_TYPES = ["fixed", "exponential"];
+
+// Throws when attempts / backoff can't be used to retry a failed job
+export function validateRetryOptions({ attempts = 1, backoff } = {}) {
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new Error("attempts must be a positive integer");
+  }
+
+  if (backoff !== undefined && backoff !== null) {
+    if (!BACKOFF_TYPES.includes(backoff.type)) {
+      throw new Error(
+        `backoff.type must be one of ${BACKOFF_TYPES.join(", ")}`
+      );
+    }
+    if (!Number.isFinite(backoff.delay) || backoff.delay < 0) {
+      throw new Error(
+        "backoff.delay must be a non-negative number of milliseconds"
+      );
+    }
+  }
+}
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_ENV_VARS = 100;
+
+// Throws when timeout / cwd / env / shell can't be used to run a job. The
+// worker applies its own defaults and caps the timeout (see worker.js).
+export function validateExecOptions({ timeout, cwd, env, shell } = {}) {
+  if (timeout !== undefined && timeout !== null) {
+    if (!Number.isInteger(timeout) || timeout < 1) {
+      throw new Error("timeout must be a positive number of milliseconds");
+    }
+  }
+
+  if (cwd !== undefined && cwd !== null) {
+    if (typeof cwd !== "string" || cwd.trim() === "") {
+      throw new Error("cwd must be a non-empty path");
+    }
+  }
+
+  if (env !== undefined && env !== null) {
+    if (typeof env !== "object" || Array.isArray(env)) {
+      throw new Error("env must be an object of variable names to values");
+    }
+    const entries = Object.entries(env);
+    if (entries.length > MAX_ENV_VARS) {
+      throw new Error(`env can have at most ${MAX_ENV_VARS} variables`);
+    }
+    for (const [name, value] of entries) {
+      if (!ENV_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid environment variable name: ${name}`);
+      }
+      if (!["string", "number", "boolean"].includes(typeof value)) {
+        throw new Error(`Environment variable ${name} must be a string`);
+      }
+    }
+  }
+
+  if (shell !== undefined && shell !== null) {
+    if (typeof shell !== "string" || shell.trim() === "") {
+      throw new Error("shell must be the path of a shell");
+    }
+  }
+}
+
+// The execution options stored on a job record, unset ones are left out
+export function execOptions({ timeout, cwd, env, shell } = {}) {
+  return {
+    ...(timeout && { timeout }),
+    ...(cwd && { cwd }),
+    // an empty object would come back from Lua as an array
+    ...(env &&
+      Object.keys(env).length > 0 && {
+        env: Object.fromEntries(
+          Object.entries(env).map(([name, value]) => [name, String(value)])
+        ),
+      }),
+    ...(shell && { shell }),
+  };
+}
+
+const NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+export function isValidHandlerName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+// Group keys such as "tenant:42" share a per-group rate limit
+export function isValidGroupKey(group) {
+  return typeof group === "string" && NAME_PATTERN.test(group);
+}
+
+// Every status a job can be in, failed jobs are in the dead-letter queue
+export const JOB_STATUSES = [
+  "pending",
+  "scheduled",
+  "retrying",
+  "running",
+  "blocked",
+  "succeeded",
+  "failed",
+  "cancelled",
+  "skipped",
+];
+
+// What a job runs: its shell command, or the name of its handler
+export function jobLabel(job) {
+  return job.command ?? `${job.name} (handler)`;
+}
+
+// "2/5" style label: the running attempt, or the next one while retrying
+export function formatAttempt(job) {
+  const attemptsMade = job.attemptsMade || 0;
+  const current = job.status === "retrying" ? attemptsMade + 1 : attemptsMade;
+  return `${Math.max(current, 1)}/${job.attempts || 1}`;
+}
+
+// Idempotency keys are opaque to Synq, e.g. a request ID or a UUID
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,256}$/;
+
+export function isValidIdempotencyKey(key) {
+  return typeof key === "string" && IDEMPOTENCY_KEY_PATTERN.test(key);
+}
+
+// Caller supplied job IDs follow the handler name rules
+export function isValidJobId(jobId) {
+  return typeof jobId === "string" && NAME_PATTERN.test(jobId);
+}
+
+// Seconds a submission is remembered under its idempotency key or job ID
+export const DEFAULT_DEDUP_WINDOW =
+  parseInt(process.env.JOB_DEDUP_WINDOW, 10) || 86400;
+
+// Throws when the idempotency key / job ID / dedup window can't be used
+export function validateDedupOptions({
+  idempotencyKey,
+  jobId,
+  dedupWindow,
+} = {}) {
+  if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+    throw new Error(
+      "idempotencyKey must be 1-256 printable characters without spaces"
+    );
+  }
+  if (jobId !== undefined && !isValidJobId(jobId)) {
+    throw new Error(
+      "jobId may contain letters, digits, _, ., : and - (1-128 characters)"
+    );
+  }
+  if (dedupWindow !== undefined) {
+    if (!Number.isInteger(dedupWindow) || dedupWindow < 1) {
+      throw new Error("dedupWindow must be a positive number of seconds");
+    }
+  }
+}
+
+// Validates a job and builds what the enqueue scripts store, without the
+// command policy check (see addJob for the options)
+function prepareJob(
+  command,
+  {
+    name,
+    data,
+    group,
+    queue = DEFAULT_QUEUE,
+    priority = 0,
+    delay,
+    runAt,
+    attempts = 1,
+    backoff,
+    timeout,
+    cwd,
+    env,
+    shell,
+    idempotencyKey,
+    jobId,
+    dedupWindow = DEFAULT_DEDUP_WINDOW,
+    webhooks,
+    submittedBy,
+  } = {}
+) {
+  if (name !== undefined && !isValidHandlerName(name)) {
+    throw new Error(`Invalid handler name: ${name}`);
+  }
+  if (group !== undefined && !isValidGroupKey(group)) {
+    throw new Error(`Invalid group key: ${group}`);
+  }
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  if (!isValidPriority(priority)) {
+    throw new Error(
+      `Priority must be an integer between ${MIN_PRIORITY} and ${MAX_PRIORITY}`
+    );
+  }
+  const runAtMs = resolveRunAt({ delay, runAt });
+  validateRetryOptions({ attempts, backoff });
+  validateExecOptions({ timeout, cwd, env, shell });
+  validateDedupOptions({ idempotencyKey, jobId, dedupWindow });
+  const jobWebhooks =
+    webhooks !== undefined ? normalizeJobWebhooks(webhooks) : undefined;
+  if (
+    name === undefined &&
+    (typeof command !== "string" || command.trim() === "")
+  ) {
+    throw new Error("Command must be a non-empty string");
+  }
+
+  // keys and caller IDs are kept apart so one can't shadow the other
+  let dedupKey = "";
+  if (idempotencyKey !== undefined) {
+    dedupKey = `key:${idempotencyKey}`;
+  } else if (jobId !== undefined) {
+    dedupKey = `id:${jobId}`;
+  }
+
+  return {
+    jobID: jobId ?? `job-${uuidv4()}`,
+    queue,
+    command: name === undefined ? command : undefined,
+    // what the command policies check besides the command
+    exec: { shell, cwd, env },
+    job: {
+      ...(name !== undefined ? { name, data } : { command }),
+      ...(group !== undefined && { group }),
+      ...(idempotencyKey !== undefined && { idempotencyKey }),
+      queue,
       createdAt: new Date(),
       status: "pending",
-    });
+      attempts,
+      ...(backoff && {
+        backoff: { type: backoff.type, delay: backoff.delay },
+      }),
+      ...execOptions({ timeout, cwd, env, shell }),
+      ...(jobWebhooks?.length > 0 && { webhooks: jobWebhooks }),
+      ...(submittedBy && { submittedBy }),
+    },
+    priority,
+    runAt: runAtMs,
+    delay,
+    dedupKey,
+    dedupWindow,
+  };
+}
 
-    const result = await redis.enqueueJob(
-      "jobs:hash",
-      "jobs:queue",
-      jobID,
-      payload
-    );
-    console.log(`Job Submitted: ${jobID} - Status: ${result}`);
+// Throws when addJob would reject the job before checking the command
+// policies, e.g. for the API to answer with a 400
+export function validateJob(command, options) {
+  prepareJob(command, options);
+}
+
+// What a job's enqueue script returned, as addJob resolves it
+async function enqueueResult(result, { jobID, queue }) {
+  if (result === "exists" || Array.isArray(result)) {
+    const existingID = Array.isArray(result) ? result[1] : jobID;
+    // null once the earlier job left Redis
+    const existing = await getJob(existingID, { queue });
+    return {
+      jobID: existingID,
+      status: existing?.status ?? null,
+      duplicate: true,
+    };
+  }
+  // "queued" jobs are stored as pending
+  return {
+    jobID,
+    status: result === "queued" ? "pending" : result,
+    duplicate: false,
+  };
+}
+
+// Adds a job and resolves with { jobID, status, duplicate }. Throws when the
+// options are invalid or the queue's command policy rejects the command
+// (see policy.js). A submission that repeats the idempotencyKey or jobId
+// of one within the dedup window adds nothing and resolves with the earlier
+// job's ID and current status and duplicate: true. webhooks (a URL,
+// { url, events } or a list of them) are notified when the job finishes.
+// submittedBy records who submitted the job (see submitterOf in auth.js).
+// Options: name, data, group, queue, priority, delay, runAt, attempts,
+// backoff, timeout, cwd, env, shell, idempotencyKey, jobId, dedupWindow,
+// webhooks and submittedBy.
+export async function addJob(command, options) {
+  if (command !== null && typeof command === "object") {
+    return addJob(undefined, command);
+  }
+
+  const prepared = prepareJob(command, options);
+  const { jobID, queue, job, priority, runAt, delay } = prepared;
+  if (prepared.command !== undefined) {
+    await checkCommand(prepared.command, { queue, ...prepared.exec });
+  }
+
+  const keys = queueKeys(queue);
+  await redis.sadd(queueRegistryKey(), queue);
+  const result = await redis.enqueueJob(
+    keys.hash,
+    keys.queue,
+    jobID,
+    JSON.stringify(job),
+    priority,
+    runAt ?? "",
+    delay ?? "",
+    prepared.dedupKey,
+    prepared.dedupWindow
+  );
+  return enqueueResult(result, prepared);
+}
+
+// Jobs submitJobs adds with one script call
+export const DEFAULT_BATCH_SIZE = 500;
+
+// Throws when a job of submitJobs can't be added, naming its index
+function prepareJobs(jobs, options = {}) {
+  if (!Array.isArray(jobs)) {
+    throw new Error("jobs must be a list of commands or job options");
+  }
+  return jobs.map((job, i) => {
+    try {
+      // a command, or addJob options with a command or a handler name
+      const { command, ...jobOptions } =
+        typeof job === "string" ? { command: job } : (job ?? {});
+      return prepareJob(command, { ...options, ...jobOptions });
+    } catch (error) {
+      throw new Error(`jobs[${i}]: ${error.message}`);
+    }
+  });
+}
+
+// Throws when submitJobs would reject jobs before checking the command
+// policies, e.g. for the API to answer with a 400
+export function validateJobs(jobs, options) {
+  prepareJobs(jobs, options);
+}
+
+// Adds many jobs and resolves with { jobID, status, duplicate } for each, in
+// order. jobs are commands or addJob options with a command or a name, and
+// options (e.g. queue or priority) apply to every one of them. Every job is
+// validated and checked against its queue's command policies first, so one
+// invalid job adds none. The jobs of a queue are then added with one script
+// call per batchSize jobs, each batch atomically.
+export async function submitJobs(
+  jobs,
+  { batchSize = DEFAULT_BATCH_SIZE, ...options } = {}
+) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("batchSize must be a positive integer");
+  }
+  const prepared = prepareJobs(jobs, options);
+
+  const byQueue = new Map();
+  for (const [i, job] of prepared.entries()) {
+    if (!byQueue.has(job.queue)) byQueue.set(job.queue, []);
+    byQueue.get(job.queue).push(i);
+  }
+  for (const [queue, indexes] of byQueue) {
+    const policies = await commandPolicies(queue);
+    for (const i of indexes) {
+      const { command, exec } = prepared[i];
+      const violation =
+        command !== undefined && findPolicyViolation(command, policies, exec);
+      if (violation) {
+        throw new Error(`jobs[${i}]: Command rejected by policy: ${violation}`);
+      }
+    }
+  }
+
+  const results = new Array(prepared.length);
+  for (const [queue, indexes] of byQueue) {
+    const keys = queueKeys(queue);
+    await redis.sadd(queueRegistryKey(), queue);
+    for (let start = 0; start < indexes.length; start += batchSize) {
+      const batch = indexes.slice(start, start + batchSize);
+      const batchResults = await redis.enqueueJobs(
+        keys.hash,
+        keys.queue,
+        JSON.stringify(
+          batch.map((i) => {
+            const { jobID, job, priority, runAt, delay } = prepared[i];
+            const { dedupKey, dedupWindow } = prepared[i];
+            return {
+              jobID,
+              job,
+              priority,
+              runAt,
+              delay,
+              dedupKey,
+              dedupWindow,
+            };
+          })
+        )
+      );
+      for (const [j, i] of batch.entries()) {
+        results[i] = await enqueueResult(batchResults[j], prepared[i]);
+      }
+    }
+  }
+  return results;
+}
+
+// Job submission logic. submitJob(command, options) runs a shell command,
+// submitJob({ name, data, ...options }) runs the handler registered under
+// name (see worker.process) with data. Errors are logged, use addJob to get
+// the job ID back.
+export async function submitJob(command, options) {
+  try {
+    const { jobID, status, duplicate } = await addJob(command, options);
+    if (duplicate) {
+      console.log(`Job Already Submitted: ${jobID} - Status: ${status}`);
+    } else {
+      console.log(`Job Submitted: ${jobID} - Status: ${status}`);
+    }
   } catch (error) {
     console.log(error);
   }
 }
 
-export async function cancelJob(jobID) {
+// Cancelling a running job makes its worker kill the command. With wait the
+// call resolves once the worker confirmed the kill ("killed"), or after
+// timeout ms without confirmation ("kill_pending").
+export async function cancelJob(
+  jobID,
+  { queue = DEFAULT_QUEUE, wait = false, timeout = 10000 } = {}
+) {
+  let subscriber;
+  let timer;
   try {
-    const result = await redis.cancelJob(
-      "jobs:hash",
-      "jobs:queue",
+    const keys = queueKeys(queue);
+    let confirmed;
+
+    if (wait) {
+      // subscribe first so a fast confirmation can't be missed
+      subscriber = redis.duplicate();
+      confirmed = new Promise((resolve) => {
+        subscriber.on(
+          "message",
+          (channel, id) => id === jobID && resolve(true)
+        );
+        timer = setTimeout(() => resolve(false), timeout);
+      });
+      await subscriber.subscribe(keys.cancelled);
+    }
+
+    let result = await redis.cancelJob(
+      keys.hash,
+      keys.queue,
       jobID,
       new Date().toISOString()
     );
+    await settleFlowJobs(queue);
+
+    if (wait && result === "cancelled") {
+      const job = await getJob(jobID, { queue });
+      // the worker clears workerId when it records the killed run
+      if (job?.workerId) {
+        result = (await confirmed) ? "killed" : "kill_pending";
+      } else if (job?.attemptHistory?.at(-1)?.status === "cancelled") {
+        result = "killed";
+      }
+    }
+
     console.log(`Job ${jobID} cancellation: ${result}`);
     return result;
   } catch (error) {
     console.log(error);
     return "error";
+  } finally {
+    clearTimeout(timer);
+    subscriber?.disconnect();
+  }
+}
+
+// Statuses cancelJobs cancels, finished jobs are left alone
+export const CANCELLABLE_STATUSES = [
+  "pending",
+  "scheduled",
+  "retrying",
+  "running",
+  "blocked",
+];
+
+// Throws when cancelJobs can't use the filter, returns the statuses it
+// cancels
+export function validateCancelFilter({ jobIDs, status } = {}) {
+  if (
+    jobIDs !== undefined &&
+    !(Array.isArray(jobIDs) && jobIDs.every((id) => typeof id === "string"))
+  ) {
+    throw new Error("jobIDs must be a list of job IDs");
+  }
+  if (status === undefined) return CANCELLABLE_STATUSES;
+  const statuses = Array.isArray(status) ? status : String(status).split(",");
+  for (const name of statuses) {
+    if (!CANCELLABLE_STATUSES.includes(name)) {
+      throw new Error(
+        `Invalid status: ${name} (one of ${CANCELLABLE_STATUSES.join(", ")})`
+      );
+    }
+  }
+  return statuses;
+}
+
+// Cancels the jobs of queue given as jobIDs, those in status (one or a list
+// of CANCELLABLE_STATUSES), or both, and resolves with the IDs of the jobs
+// { cancelled, skipped, notFound }. With only a queue every unfinished job
+// of it is cancelled. Jobs that finished or aren't in status are skipped,
+// running ones are killed by their workers as with cancelJob.
+export async function cancelJobs({
+  queue,
+  jobIDs,
+  status,
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) {
+  if (queue === undefined && jobIDs === undefined && status === undefined) {
+    throw new Error("Give jobIDs, a status or a queue");
+  }
+  queue ??= DEFAULT_QUEUE;
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  const statuses = validateCancelFilter({ jobIDs, status });
+  const keys = queueKeys(queue);
+
+  let ids = jobIDs;
+  if (ids === undefined) {
+    // the jobs in status now, later ones aren't cancelled
+    const indexes = await Promise.all(
+      statuses.map((name) => redis.zrange(keys.statusIndex(name), 0, -1))
+    );
+    ids = indexes.flat();
   }
+
+  const cancelled = [];
+  const skipped = [];
+  const notFound = [];
+  const cancelledAt = new Date().toISOString();
+  for (let start = 0; start < ids.length; start += batchSize) {
+    const [batchCancelled, batchSkipped, batchNotFound] =
+      await redis.cancelJobs(
+        keys.hash,
+        keys.queue,
+        JSON.stringify(ids.slice(start, start + batchSize)),
+        JSON.stringify(statuses),
+        cancelledAt
+      );
+    cancelled.push(...batchCancelled);
+    skipped.push(...batchSkipped);
+    notFound.push(...batchNotFound);
+  }
+  await settleFlowJobs(queue);
+
+  return { cancelled, skipped, notFound };
+}
+
+// Releases, skips or cancels the children of flow jobs that reached a final
+// state (see settle-flow-jobs.lua), in batches until none are left
+export async function settleFlowJobs(queue = DEFAULT_QUEUE) {
+  const keys = queueKeys(queue);
+  const batch = 100;
+  let settled;
+  do {
+    settled = await redis.settleFlowJobs(
+      keys.hash,
+      keys.queue,
+      new Date().toISOString(),
+      batch
+    );
+  } while (settled === batch);
+}
+
+// Every queue that has seen a job, the default queue always included
+export async function listQueues() {
+  const queues = await redis.smembers(queueRegistryKey());
+  return [...new Set([DEFAULT_QUEUE, ...queues])].sort();
 }
 
-export async function getJobStatus(jobID) {
-  const db = await connect();
-  const job = await db.findOne({ jobID });
+// Reads a job from Redis, live jobs first and then the dead-letter queue
+export async function getJob(jobID, { queue = DEFAULT_QUEUE } = {}) {
+  const keys = queueKeys(queue);
+  const jobData =
+    (await redis.hget(keys.hash, jobID)) ??
+    (await redis.hget(keys.dead, jobID));
+  return jobData ? { jobID, ...JSON.parse(jobData) } : null;
+}
+
+// Live state comes from Redis, jobs that are no longer there from MongoDB
+export async function getJobStatus(jobID, { queue = DEFAULT_QUEUE } = {}) {
+  let job = await getJob(jobID, { queue });
+
+  if (!job) {
+    const db = await connect();
+    // records written before named queues have no queue and belong to the
+    // default one
+    job = await db.findOne({
+      jobID,
+      ...(queue === DEFAULT_QUEUE
+        ? { $or: [{ queue }, { queue: { $exists: false } }] }
+        : { queue }),
+    });
+  }
+
   console.log(job || "No such job");
-} 
\ No newline at end of file
+  return job;
+}
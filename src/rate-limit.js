@@ -0,0 +1,122 @@
+import { redis } from "./db/redis.js";
+import { DEFAULT_QUEUE, isValidQueueName, queueKeys } from "./keys.js";
+
+// A rate limit allows max claims per duration ms for the whole queue, and
+// groupMax claims per groupDuration ms for each job group. Either part may
+// be left out. process-jobs.lua enforces both when a worker claims a job.
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Throws when the limit can't be enforced
+export function validateRateLimit({ max, duration, groupMax, groupDuration }) {
+  const queuePart = max !== undefined || duration !== undefined;
+  const groupPart = groupMax !== undefined || groupDuration !== undefined;
+
+  if (!queuePart && !groupPart) {
+    throw new Error("Set max and duration, or groupMax and groupDuration");
+  }
+  if (queuePart && !(isPositiveInteger(max) && isPositiveInteger(duration))) {
+    throw new Error(
+      "max and duration must both be positive integers (jobs per ms)"
+    );
+  }
+  if (
+    groupPart &&
+    !(isPositiveInteger(groupMax) && isPositiveInteger(groupDuration))
+  ) {
+    throw new Error(
+      "groupMax and groupDuration must both be positive integers (jobs per ms)"
+    );
+  }
+}
+
+// Replaces the queue's rate limit, e.g. { max: 50, duration: 60000 }
+export async function setRateLimit({
+  queue = DEFAULT_QUEUE,
+  max,
+  duration,
+  groupMax,
+  groupDuration,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  validateRateLimit({ max, duration, groupMax, groupDuration });
+
+  const limit = {
+    ...(max !== undefined && { max, duration }),
+    ...(groupMax !== undefined && { groupMax, groupDuration }),
+  };
+  const key = queueKeys(queue).limiter;
+  await redis.multi().del(key).hset(key, limit).exec();
+  console.log(`Rate limit of ${queue} set: ${JSON.stringify(limit)}`);
+  return { queue, ...limit };
+}
+
+// Returns "removed", or "not_found" when the queue had no limit
+export async function removeRateLimit({ queue = DEFAULT_QUEUE } = {}) {
+  const removed = await redis.del(queueKeys(queue).limiter);
+  return removed ? "removed" : "not_found";
+}
+
+// Claims in a sliding window and the time it has room again (null if it has)
+async function windowState(key, max, duration, now) {
+  await redis.zremrangebyscore(key, "-inf", now - duration);
+  const used = await redis.zcard(key);
+  let resetAt = null;
+  if (used >= max) {
+    const [, oldest] = await redis.zrange(
+      key,
+      used - max,
+      used - max,
+      "WITHSCORES"
+    );
+    resetAt = Number(oldest) + duration;
+  }
+  return { used, remaining: Math.max(max - used, 0), resetAt };
+}
+
+// The queue's limit with how much of it is used right now, null when the
+// queue has no limit. groups lists the groups that claimed within their window.
+export async function getRateLimit({ queue = DEFAULT_QUEUE } = {}) {
+  const keys = queueKeys(queue);
+  const settings = await redis.hgetall(keys.limiter);
+  if (Object.keys(settings).length === 0) return null;
+
+  const max = Number(settings.max) || undefined;
+  const duration = Number(settings.duration) || undefined;
+  const groupMax = Number(settings.groupMax) || undefined;
+  const groupDuration = Number(settings.groupDuration) || undefined;
+  const now = Date.now();
+  const state = { queue };
+
+  if (max && duration) {
+    Object.assign(state, {
+      max,
+      duration,
+      ...(await windowState(keys.limiterHits, max, duration, now)),
+    });
+  }
+
+  if (groupMax && groupDuration) {
+    await redis.zremrangebyscore(
+      keys.limiterGroups,
+      "-inf",
+      now - groupDuration
+    );
+    const groups = {};
+    for (const group of await redis.zrange(keys.limiterGroups, 0, -1)) {
+      groups[group] = await windowState(
+        keys.limiterGroup(group),
+        groupMax,
+        groupDuration,
+        now
+      );
+    }
+    Object.assign(state, { groupMax, groupDuration, groups });
+  }
+
+  return state;
+}
@@ -0,0 +1,235 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import cronParser from "cron-parser";
+import { redis } from "./db/redis.js";
+import { addJob, isValidPriority } from "./queue.js";
+import { DEFAULT_QUEUE, isValidQueueName, recurringKeys } from "./keys.js";
+import { checkCommand } from "./policy.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const claimLuaScript = fs.readFileSync(
+  path.join(__dirname, "jobs_lua_scripts", "claim-recurring.lua"),
+  "utf8"
+);
+
+redis.defineCommand("claimRecurringTick", {
+  numberOfKeys: 1,
+  lua: claimLuaScript,
+});
+
+export function getNextRunAt(
+  cronExpression,
+  timezone,
+  currentDate = new Date()
+) {
+  return cronParser
+    .parseExpression(cronExpression, { currentDate, tz: timezone })
+    .next()
+    .getTime();
+}
+
+export function isValidCronExpression(cronExpression, timezone) {
+  try {
+    getNextRunAt(cronExpression, timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Creates (or replaces) a named job that is submitted on every cron tick
+export async function addRecurringJob(
+  name,
+  cronExpression,
+  command,
+  { timezone, priority = 0, queue = DEFAULT_QUEUE, submittedBy } = {}
+) {
+  if (!name || !command) {
+    throw new Error("Recurring jobs need a name and a command");
+  }
+  if (!isValidCronExpression(cronExpression, timezone)) {
+    throw new Error(`Invalid cron expression: ${cronExpression}`);
+  }
+  if (!isValidPriority(priority)) {
+    throw new Error("Invalid priority");
+  }
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  // every tick is checked again when it is submitted
+  await checkCommand(command, { queue });
+
+  const nextRunAt = getNextRunAt(cronExpression, timezone);
+  const definition = {
+    name,
+    cron: cronExpression,
+    command,
+    timezone: timezone || null,
+    priority,
+    queue,
+    ...(submittedBy && { submittedBy }),
+    createdAt: new Date(),
+  };
+
+  // name -> definition, and name -> next tick (epoch ms)
+  const { registry, nextRun, wake } = recurringKeys();
+  await redis
+    .multi()
+    .hset(registry, name, JSON.stringify(definition))
+    .zadd(nextRun, nextRunAt, name)
+    .publish(wake, name)
+    .exec();
+
+  console.log(
+    `Recurring job ${name} registered - next run ${new Date(nextRunAt).toISOString()}`
+  );
+  return { ...definition, nextRunAt };
+}
+
+export async function listRecurringJobs() {
+  const { registry, nextRun } = recurringKeys();
+  const entries = await redis.hgetall(registry);
+  const jobs = [];
+
+  for (const [name, data] of Object.entries(entries)) {
+    const nextRunAt = await redis.zscore(nextRun, name);
+    jobs.push({
+      ...JSON.parse(data),
+      nextRunAt: nextRunAt ? Number(nextRunAt) : null,
+    });
+  }
+
+  return jobs.sort((a, b) => a.nextRunAt - b.nextRunAt);
+}
+
+export async function removeRecurringJob(name) {
+  const { registry, nextRun } = recurringKeys();
+  const [[, removed]] = await redis
+    .multi()
+    .hdel(registry, name)
+    .zrem(nextRun, name)
+    .exec();
+
+  return removed === 1 ? "removed" : "not_found";
+}
+
+// How long a tick whose job could not be submitted waits before it is retried
+const TICK_RETRY_DELAY = 10 * 1000;
+
+// Submits every recurring job whose tick is due. Several schedulers may run
+// this at once, claimRecurringTick makes sure each tick fires exactly once.
+export async function fireDueRecurringJobs(now = Date.now()) {
+  const { registry, nextRun } = recurringKeys();
+  const due = await redis.zrangebyscore(nextRun, "-inf", now, "WITHSCORES");
+  let fired = 0;
+
+  for (let i = 0; i < due.length; i += 2) {
+    const name = due[i];
+    const tick = Number(due[i + 1]);
+    const data = await redis.hget(registry, name);
+
+    if (!data) {
+      await redis.zrem(nextRun, name);
+      continue;
+    }
+
+    const definition = JSON.parse(data);
+    // ticks missed while no scheduler was running are skipped, not replayed
+    const nextRunAt = getNextRunAt(
+      definition.cron,
+      definition.timezone || undefined,
+      new Date(Math.max(now, tick))
+    );
+
+    const claimed = await redis.claimRecurringTick(
+      nextRun,
+      name,
+      tick,
+      nextRunAt
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    try {
+      await addJob(definition.command, {
+        priority: definition.priority,
+        queue: definition.queue || DEFAULT_QUEUE,
+        // ticks are submitted by whoever registered the recurring job
+        submittedBy: definition.submittedBy,
+      });
+    } catch (error) {
+      // hand the tick back so it is retried shortly, unless the next regular
+      // tick comes first or another scheduler already moved it
+      const retryAt = now + TICK_RETRY_DELAY;
+      if (retryAt < nextRunAt) {
+        await redis.claimRecurringTick(nextRun, name, nextRunAt, retryAt);
+      }
+      console.log(
+        `Recurring job ${name} could not submit tick ${new Date(tick).toISOString()}: ${error.message}`
+      );
+      continue;
+    }
+    fired++;
+    console.log(
+      `Recurring job ${name} fired for tick ${new Date(tick).toISOString()}`
+    );
+  }
+
+  return fired;
+}
+
+// Longest the scheduler sleeps before it re-reads the next tick
+const MAX_SLEEP = 60 * 60 * 1000;
+
+// Fires due ticks, then sleeps until the next one instead of polling.
+// wake() re-reads the next tick, e.g. after a recurring job was added.
+export function startScheduler() {
+  let timer;
+  let running = false;
+  let again = false;
+
+  async function tick() {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+    let sleep = null;
+
+    try {
+      do {
+        again = false;
+        await fireDueRecurringJobs();
+        const [, next] = await redis.zrange(
+          recurringKeys().nextRun,
+          0,
+          0,
+          "WITHSCORES"
+        );
+        sleep = next === undefined ? null : Number(next) - Date.now();
+      } while (again);
+    } catch (error) {
+      console.log("Recurring scheduler error:", error.message);
+      sleep = 1000;
+    } finally {
+      running = false;
+    }
+
+    // with no recurring jobs at all the scheduler waits for wake()
+    if (sleep !== null) {
+      timer = setTimeout(tick, Math.min(Math.max(sleep, 10), MAX_SLEEP));
+    }
+  }
+
+  tick();
+  return {
+    wake: tick,
+    stop: () => clearTimeout(timer),
+  };
+}
@@ -0,0 +1,271 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { redis } from "./db/redis.js";
+import { connect } from "./db/mongodb.js";
+import { DEFAULT_QUEUE, isValidQueueName, queueKeys } from "./keys.js";
+import { getJob } from "./queue.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+redis.defineCommand("removeFinishedJobs", {
+  numberOfKeys: 2,
+  lua: fs.readFileSync(
+    path.join(__dirname, "jobs_lua_scripts", "remove-finished-jobs.lua"),
+    "utf8"
+  ),
+});
+
+// Statuses a job can finish with. Failed jobs are the ones in the
+// dead-letter queue.
+export const RETENTION_STATUSES = [
+  "succeeded",
+  "failed",
+  "cancelled",
+  "skipped",
+];
+
+// jobs read and removed per script call
+const CLEAN_BATCH_SIZE = 500;
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// "7d", "12h", "30m", "45s", "500ms" or a number of ms, in milliseconds
+export function parseDuration(value) {
+  if (Number.isInteger(value) && value > 0) return value;
+
+  const match = /^(\d+)(ms|s|m|h|d|w)?$/.exec(String(value).trim());
+  const ms = match ? Number(match[1]) * DURATION_UNITS[match[2] || "ms"] : 0;
+  if (!ms) {
+    throw new Error(
+      `Invalid duration: ${value} (use e.g. 30m, 12h, 7d or milliseconds)`
+    );
+  }
+  return ms;
+}
+
+function validateStatus(status) {
+  if (!RETENTION_STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${RETENTION_STATUSES.join(", ")}`);
+  }
+}
+
+// Throws when the rule can't be enforced. maxCount keeps the newest jobs,
+// maxAge (a duration) the ones that finished within it; with both a job
+// has to pass both to stay.
+export function validateRetention({ status, maxCount, maxAge } = {}) {
+  validateStatus(status);
+  if (maxCount === undefined && maxAge === undefined) {
+    throw new Error("Set maxCount, maxAge or both");
+  }
+  if (
+    maxCount !== undefined &&
+    !(Number.isInteger(maxCount) && maxCount >= 0)
+  ) {
+    throw new Error("maxCount must be a non-negative integer");
+  }
+  if (maxAge !== undefined) {
+    parseDuration(maxAge);
+  }
+}
+
+// Replaces the retention rule of one status of a queue. With archive the
+// cleaner copies jobs to MongoDB before it deletes them from Redis.
+export async function setRetention({
+  queue = DEFAULT_QUEUE,
+  status,
+  maxCount,
+  maxAge,
+  archive = false,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  validateRetention({ status, maxCount, maxAge });
+
+  const rule = {
+    ...(maxCount !== undefined && { maxCount }),
+    ...(maxAge !== undefined && { maxAge: parseDuration(maxAge) }),
+    archive: Boolean(archive),
+  };
+  await redis.hset(queueKeys(queue).retention, status, JSON.stringify(rule));
+  console.log(
+    `Retention of ${status} jobs in ${queue} set: ${JSON.stringify(rule)}`
+  );
+  return { queue, status, ...rule };
+}
+
+// Retention rules of a queue by status, {} when it keeps every job
+export async function getRetention({ queue = DEFAULT_QUEUE } = {}) {
+  const rules = await redis.hgetall(queueKeys(queue).retention);
+  return Object.fromEntries(
+    Object.entries(rules).map(([status, rule]) => [status, JSON.parse(rule)])
+  );
+}
+
+// Returns "removed", or "not_found" when the status had no rule
+export async function removeRetention({ queue = DEFAULT_QUEUE, status } = {}) {
+  const removed = await redis.hdel(queueKeys(queue).retention, status);
+  return removed ? "removed" : "not_found";
+}
+
+// Throws when cleanJobs can't run with these options
+export function validateClean({ status, olderThan, keep = 0 } = {}) {
+  validateStatus(status);
+  if (!(Number.isInteger(keep) && keep >= 0)) {
+    throw new Error("keep must be a non-negative integer");
+  }
+  if (olderThan !== undefined) {
+    parseDuration(olderThan);
+  }
+}
+
+// Upserts the records of jobs that are about to be deleted into MongoDB
+async function archiveJobs(keys, status, jobIDs) {
+  const hashKey = status === "failed" ? keys.dead : keys.hash;
+  const jobData = await redis.hmget(hashKey, ...jobIDs);
+  const archivedAt = new Date();
+  const operations = jobIDs
+    .map((jobID, i) => jobData[i] && { jobID, ...JSON.parse(jobData[i]) })
+    .filter(Boolean)
+    .map((job) => ({
+      updateOne: {
+        filter: { jobID: job.jobID },
+        update: { $set: { ...job, archivedAt } },
+        upsert: true,
+      },
+    }));
+
+  if (operations.length > 0) {
+    const db = await connect();
+    await db.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+}
+
+// Deletes the jobs of a queue that finished with status, oldest first.
+// olderThan (a duration) spares the jobs that finished within it, keep the
+// newest keep jobs. With archive every job is copied to MongoDB first, and
+// nothing is deleted when that fails. Resolves with how many jobs were
+// removed and archived.
+export async function cleanJobs({
+  queue = DEFAULT_QUEUE,
+  status,
+  olderThan,
+  keep = 0,
+  archive = false,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  validateClean({ status, olderThan, keep });
+
+  const keys = queueKeys(queue);
+  const index = status === "failed" ? keys.deadIndex : keys.finished(status);
+  const cutoff =
+    olderThan !== undefined ? Date.now() - parseDuration(olderThan) : Infinity;
+  let removed = 0;
+  let archived = 0;
+  // jobs at the front of the index that are still in use and stay
+  let kept = 0;
+
+  for (;;) {
+    const total = await redis.zcard(index);
+    const stop = Math.min(total - keep, kept + CLEAN_BATCH_SIZE) - 1;
+    if (stop < kept) break;
+
+    const range = await redis.zrange(index, kept, stop, "WITHSCORES");
+    const jobIDs = [];
+    for (let i = 0; i < range.length; i += 2) {
+      if (Number(range[i + 1]) > cutoff) break;
+      jobIDs.push(range[i]);
+    }
+    if (jobIDs.length === 0) break;
+
+    if (archive) {
+      archived += await archiveJobs(keys, status, jobIDs);
+    }
+    const [left, deleted] = await redis.removeFinishedJobs(
+      keys.hash,
+      keys.queue,
+      status,
+      ...jobIDs
+    );
+    removed += deleted;
+    kept += jobIDs.length - left;
+    // the rest of the index finished after the cutoff
+    if (jobIDs.length < range.length / 2) break;
+  }
+
+  if (removed > 0) {
+    console.log(`Cleaned ${removed} ${status} jobs from ${queue}`);
+  }
+  return { queue, status, removed, archived };
+}
+
+// Deletes one finished job with its log, as cleanJobs does. Resolves with
+// "removed", "not_found", "not_finished", or "in_use" for a job cleanJobs
+// would keep too.
+export async function removeJob(jobID, { queue = DEFAULT_QUEUE } = {}) {
+  const job = await getJob(jobID, { queue });
+  if (!job) return "not_found";
+  if (!RETENTION_STATUSES.includes(job.status)) return "not_finished";
+
+  const keys = queueKeys(queue);
+  const [, deleted] = await redis.removeFinishedJobs(
+    keys.hash,
+    keys.queue,
+    job.status,
+    jobID
+  );
+  return deleted > 0 ? "removed" : "in_use";
+}
+
+// Enforces every retention rule of a queue, each limit on its own
+export async function applyRetention({ queue = DEFAULT_QUEUE } = {}) {
+  const results = [];
+  for (const [status, rule] of Object.entries(await getRetention({ queue }))) {
+    const { maxCount, maxAge, archive } = rule;
+    if (maxCount !== undefined) {
+      results.push(await cleanJobs({ queue, status, keep: maxCount, archive }));
+    }
+    if (maxAge !== undefined) {
+      results.push(
+        await cleanJobs({ queue, status, olderThan: maxAge, archive })
+      );
+    }
+  }
+  return results;
+}
+
+// Runs applyRetention for the queues every interval ms until stop()
+export function startCleaner(queues, { interval = 60000 } = {}) {
+  let running = false;
+
+  async function clean() {
+    if (running) return;
+    running = true;
+    try {
+      for (const queue of queues) {
+        await applyRetention({ queue });
+      }
+    } catch (error) {
+      console.log("Retention cleaner error:", error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  clean();
+  const timer = setInterval(clean, interval);
+  return { clean, stop: () => clearInterval(timer) };
+}
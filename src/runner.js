@@ -0,0 +1,165 @@
+import { spawn } from "child_process";
+
+// Bytes of stdout and of stderr a job keeps by default, the size of the
+// maxBuffer exec() used to enforce
+export const MAX_OUTPUT = 1024 * 1024;
+
+// Collects output up to maxBytes and notes how much was left out. Only what
+// is kept ends up on the job, onOutput still sees everything.
+function outputBuffer(maxBytes) {
+  let text = "";
+  let bytes = 0;
+  let dropped = 0;
+
+  return {
+    append(chunk) {
+      const size = Buffer.byteLength(chunk);
+      const room = maxBytes - bytes;
+      if (size <= room) {
+        text += chunk;
+        bytes += size;
+        return;
+      }
+      // a character cut in half at the limit shows up as U+FFFD
+      text += Buffer.from(chunk).subarray(0, room).toString();
+      bytes = maxBytes;
+      dropped += size - room;
+    },
+    toString() {
+      return dropped > 0
+        ? `${text}\n[output truncated: ${dropped} more bytes]\n`
+        : text;
+    },
+  };
+}
+
+// Runs a shell command in its own process group, so the shell and everything
+// it started can be signalled together. kill() sends SIGTERM to the group and
+// SIGKILL once killGrace ms have passed; result resolves when the command is
+// gone with { exitCode, signal, stdout, stderr, killedFor, error }.
+// onOutput("stdout" | "stderr", chunk) sees the output as it is printed,
+// stdout and stderr keep maxOutput bytes each. cwd, env and shell are passed
+// on to spawn, timeout 0 means no timeout.
+export function runCommand(
+  command,
+  {
+    timeout = 10000,
+    killGrace = 5000,
+    maxOutput = MAX_OUTPUT,
+    onOutput,
+    cwd,
+    env,
+    shell = true,
+  } = {}
+) {
+  const child = spawn(command, { shell, cwd, env, detached: true });
+  const stdout = outputBuffer(maxOutput);
+  const stderr = outputBuffer(maxOutput);
+  let killedFor = null;
+  let closed = false;
+  let graceTimer;
+
+  child.stdout.setEncoding("utf8");
+  child.stderr.setEncoding("utf8");
+  child.stdout.on("data", (chunk) => {
+    stdout.append(chunk);
+    onOutput?.("stdout", chunk);
+  });
+  child.stderr.on("data", (chunk) => {
+    stderr.append(chunk);
+    onOutput?.("stderr", chunk);
+  });
+
+  function signalGroup(signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      // the process group is already gone
+    }
+  }
+
+  function kill(reason = "killed") {
+    if (closed || killedFor) return;
+    killedFor = reason;
+    signalGroup("SIGTERM");
+    graceTimer = setTimeout(() => signalGroup("SIGKILL"), killGrace);
+  }
+
+  const timeoutTimer =
+    timeout > 0 ? setTimeout(() => kill("timeout"), timeout) : null;
+
+  const result = new Promise((resolve) => {
+    const finish = (exitCode, signal, error) => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(graceTimer);
+      resolve({
+        exitCode,
+        signal,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        killedFor,
+        error,
+      });
+    };
+
+    child.on("error", (error) => finish(null, null, error));
+    // "close" waits for the output pipes, so nothing the command printed is lost
+    child.on("close", (code, signal) => finish(code, signal));
+  });
+
+  return { pid: child.pid, kill, result };
+}
+
+// Runs a JavaScript job handler behind the same handle as runCommand. The
+// handler gets job with an AbortSignal and a log(message) function; kill()
+// aborts the signal and stops waiting for the handler. result resolves with
+// { returnValue, error, killedFor, output }, output keeping maxOutput bytes.
+export function runHandler(
+  handler,
+  job,
+  { timeout = 10000, maxOutput = MAX_OUTPUT, onOutput } = {}
+) {
+  const controller = new AbortController();
+  const output = outputBuffer(maxOutput);
+  let killedFor = null;
+  let stop;
+  const stopped = new Promise((resolve) => (stop = resolve));
+
+  function kill(reason = "killed") {
+    if (killedFor) return;
+    killedFor = reason;
+    controller.abort(new Error(`Job ${reason}`));
+    stop({ killed: true });
+  }
+
+  function log(message) {
+    const line = `${message}\n`;
+    output.append(line);
+    onOutput?.("stdout", line);
+  }
+
+  const timeoutTimer =
+    timeout > 0 ? setTimeout(() => kill("timeout"), timeout) : null;
+
+  // a handler that ignores the signal keeps running, but its outcome is dropped
+  const outcome = Promise.resolve()
+    .then(() => handler({ ...job, signal: controller.signal, log }))
+    .then(
+      (returnValue) => ({ returnValue }),
+      (error) => ({ error })
+    );
+
+  const result = Promise.race([outcome, stopped]).then((settled) => {
+    clearTimeout(timeoutTimer);
+    return {
+      returnValue: settled.returnValue,
+      error: settled.error,
+      killedFor: settled.killed ? killedFor : null,
+      output: output.toString(),
+    };
+  });
+
+  return { kill, result };
+}
@@ -0,0 +1,117 @@
+import { redis } from "./db/redis.js";
+import { DEFAULT_QUEUE, isValidQueueName, queueKeys } from "./keys.js";
+import { JOB_STATUSES } from "./queue.js";
+import { metrics } from "./metrics.js";
+
+// Counts come from the status indexes (see list-jobs.js), one ZCARD each.
+// The Lua scripts also add every claim, attempt and final status to the
+// queue's totals and to a hash per minute, which expires after an hour:
+//   claimed / waitMs   jobs claimed and the time they waited in their lane
+//   ran / runMs        attempts recorded and the time they ran
+//   succeeded, failed, cancelled, skipped, retried, recovered
+
+export const MAX_STATS_WINDOW = 60;
+
+const TOTAL_FIELDS = [
+  "succeeded",
+  "failed",
+  "cancelled",
+  "skipped",
+  "retried",
+  "recovered",
+];
+// final statuses that count towards throughput
+const FINISHED_FIELDS = ["succeeded", "failed", "cancelled", "skipped"];
+
+// Throws when window (in minutes) can't be reported on
+export function validateStatsWindow(window) {
+  if (!Number.isInteger(window) || window < 1 || window > MAX_STATS_WINDOW) {
+    throw new Error(
+      `window must be an integer from 1 to ${MAX_STATS_WINDOW} minutes`
+    );
+  }
+}
+
+function average(total, count) {
+  return count > 0 ? Math.round(total / count) : null;
+}
+
+// Counts by status, lifetime totals and, over the last window minutes,
+// throughput (finished jobs per minute) and the average wait and run time
+// in ms (null without samples).
+export async function getQueueStats({
+  queue = DEFAULT_QUEUE,
+  window = 5,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  validateStatsWindow(window);
+
+  const keys = queueKeys(queue);
+  const currentMinute = Math.floor(Date.now() / 60000);
+  // one snapshot, so counts and totals agree
+  const transaction = redis.multi();
+  for (const status of JOB_STATUSES) {
+    transaction.zcard(keys.statusIndex(status));
+  }
+  transaction.zcard(keys.workers);
+  transaction.hgetall(keys.stats);
+  for (let i = 0; i < window; i++) {
+    transaction.hgetall(keys.statsMinute(currentMinute - i));
+  }
+  const replies = (await transaction.exec()).map(([, reply]) => reply);
+
+  const counts = Object.fromEntries(
+    JOB_STATUSES.map((status, i) => [status, replies[i]])
+  );
+  const workers = replies[JOB_STATUSES.length];
+  const lifetime = replies[JOB_STATUSES.length + 1];
+  const recent = {};
+  for (const minute of replies.slice(JOB_STATUSES.length + 2)) {
+    for (const [field, value] of Object.entries(minute)) {
+      recent[field] = (recent[field] ?? 0) + Number(value);
+    }
+  }
+  const finished = FINISHED_FIELDS.reduce(
+    (sum, field) => sum + (recent[field] ?? 0),
+    0
+  );
+
+  return {
+    queue,
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    workers,
+    totals: Object.fromEntries(
+      TOTAL_FIELDS.map((field) => [field, Number(lifetime[field] ?? 0)])
+    ),
+    window,
+    throughput: {
+      finished,
+      perMinute: Math.round((finished / window) * 100) / 100,
+    },
+    avgWaitMs: average(recent.waitMs, recent.claimed),
+    avgRunMs: average(recent.runMs, recent.ran),
+  };
+}
+
+// Sets the queue metrics of the registry in metrics.js from the counts and
+// totals of each queue, one transaction per queue
+export async function collectQueueMetrics(queues) {
+  const stats = await Promise.all(
+    queues.map((queue) => getQueueStats({ queue, window: 1 }))
+  );
+
+  // queues that are gone don't keep their last values
+  metrics.queueJobs.reset();
+  metrics.queueWorkers.reset();
+  for (const { queue, counts, workers, totals } of stats) {
+    for (const [status, count] of Object.entries(counts)) {
+      metrics.queueJobs.set({ queue, status }, count);
+    }
+    metrics.queueWorkers.set({ queue }, workers);
+    metrics.jobsCompleted.set({ queue }, totals.succeeded);
+    metrics.jobsFailed.set({ queue }, totals.failed);
+  }
+}
@@ -0,0 +1,468 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { v4 as uuidv4 } from "uuid";
+import { redis } from "./db/redis.js";
+import { DEFAULT_QUEUE, isValidQueueName, queueKeys } from "./keys.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+for (const [name, file] of [
+  ["claimWebhookOutbox", "claim-webhook-outbox.lua"],
+  ["claimWebhookDeliveries", "claim-webhook-deliveries.lua"],
+]) {
+  redis.defineCommand(name, {
+    numberOfKeys: 2,
+    lua: fs.readFileSync(
+      path.join(__dirname, "jobs_lua_scripts", file),
+      "utf8"
+    ),
+  });
+}
+
+// Webhooks are set on a queue (every job) or on a job. When a job finishes
+// with one of WEBHOOK_EVENTS the Lua scripts push it onto the queue's
+// outbox, and the dispatcher started by every worker turns it into one
+// delivery per matching webhook. Deliveries are POSTed with an HMAC-SHA256
+// signature, retried with exponential backoff and kept (the newest
+// MAX_DELIVERIES per queue) with every attempt. Outbox entries and
+// deliveries are claimed before they are handled and only released once the
+// result is saved, so a dispatcher that dies leaves them to the next one.
+
+export const WEBHOOK_EVENTS = ["succeeded", "failed", "cancelled"];
+
+export const MAX_JOB_WEBHOOKS = 10;
+const MAX_DELIVERIES = 1000;
+// outbox entries and due deliveries handled per queue and pass
+const DISPATCH_BATCH_SIZE = 100;
+// ms a claim lasts on top of the webhook timeout before another dispatcher
+// takes over
+const CLAIM_GRACE = 30 * 1000;
+// longest the dispatcher sleeps before it looks for due deliveries again
+const MAX_SLEEP = 60 * 60 * 1000;
+
+// Throws unless url is an http(s) URL and events are known
+export function validateWebhook({ url, events = WEBHOOK_EVENTS } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook url: ${url}`);
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error(`Invalid webhook url: ${url} (use http or https)`);
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error("Webhook events must be a non-empty list");
+  }
+  for (const event of events) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(
+        `Invalid webhook event: ${event} (one of ${WEBHOOK_EVENTS.join(", ")})`
+      );
+    }
+  }
+}
+
+// The webhooks option of a job: a URL, { url, events } or a list of them.
+// Returns them as { url, events }, throws when one is invalid.
+export function normalizeJobWebhooks(webhooks) {
+  const list = (Array.isArray(webhooks) ? webhooks : [webhooks]).map(
+    (webhook) => (typeof webhook === "string" ? { url: webhook } : webhook)
+  );
+  if (list.length > MAX_JOB_WEBHOOKS) {
+    throw new Error(`A job takes at most ${MAX_JOB_WEBHOOKS} webhooks`);
+  }
+  return list.map((webhook) => {
+    validateWebhook(webhook ?? {});
+    return {
+      url: webhook.url,
+      events: [...new Set(webhook.events ?? WEBHOOK_EVENTS)],
+    };
+  });
+}
+
+// "t=<ms>,v1=<hex>", the HMAC-SHA256 of "<ms>.<body>" under secret
+export function signPayload(body, secret, timestamp = Date.now()) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// For receivers: whether the Synq-Signature header matches the raw body and
+// was made within tolerance ms
+export function verifySignature(
+  body,
+  header,
+  secret,
+  { tolerance = 5 * 60 * 1000, now = Date.now() } = {}
+) {
+  const parts = Object.fromEntries(
+    String(header ?? "")
+      .split(",")
+      .map((part) => part.split(/=(.*)/s))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > tolerance) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(body, secret, timestamp));
+  const actual = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+// Adds a webhook to every job of a queue. Without a secret one is
+// generated; it is only returned here.
+export async function addQueueWebhook({
+  queue = DEFAULT_QUEUE,
+  url,
+  events = WEBHOOK_EVENTS,
+  secret,
+} = {}) {
+  if (!isValidQueueName(queue)) {
+    throw new Error(`Invalid queue name: ${queue}`);
+  }
+  validateWebhook({ url, events });
+  if (secret !== undefined && (typeof secret !== "string" || secret === "")) {
+    throw new Error("Webhook secret must be a non-empty string");
+  }
+
+  const webhook = {
+    webhookId: `wh-${uuidv4()}`,
+    url,
+    events: [...new Set(events)],
+    secret: secret ?? `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    createdAt: new Date().toISOString(),
+  };
+  await redis.hset(
+    queueKeys(queue).webhooks,
+    webhook.webhookId,
+    JSON.stringify(webhook)
+  );
+  return { queue, ...webhook };
+}
+
+// Webhooks of a queue, without their secrets
+export async function listQueueWebhooks({ queue = DEFAULT_QUEUE } = {}) {
+  const webhooks = await redis.hvals(queueKeys(queue).webhooks);
+  return webhooks
+    .map((data) => {
+      const { secret, ...webhook } = JSON.parse(data);
+      return webhook;
+    })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Returns "removed", or "not_found" when the queue has no such webhook
+export async function removeQueueWebhook({
+  queue = DEFAULT_QUEUE,
+  webhookId,
+} = {}) {
+  const removed = await redis.hdel(queueKeys(queue).webhooks, webhookId);
+  return removed ? "removed" : "not_found";
+}
+
+// Deliveries of a queue, newest first, optionally of one job or status
+// (pending, retrying, delivered or failed)
+export async function listWebhookDeliveries({
+  queue = DEFAULT_QUEUE,
+  jobID,
+  status,
+  limit = 50,
+} = {}) {
+  const keys = queueKeys(queue);
+  const ids = await redis.zrevrange(keys.webhookDeliveryIndex, 0, -1);
+  if (ids.length === 0) return [];
+
+  const deliveries = [];
+  for (const data of await redis.hmget(keys.webhookDeliveries, ...ids)) {
+    if (!data) continue;
+    const delivery = JSON.parse(data);
+    if (jobID !== undefined && delivery.jobID !== jobID) continue;
+    if (status !== undefined && delivery.status !== status) continue;
+    deliveries.push(delivery);
+    if (deliveries.length >= limit) break;
+  }
+  return deliveries;
+}
+
+// What receivers get of a job: no env (it may hold credentials), no
+// webhooks and no attempt history
+function publicJob(jobID, job) {
+  const { env, webhooks, attemptHistory, ...rest } = job;
+  return { jobID, ...rest };
+}
+
+// Turns claimed outbox entries into deliveries that are due right away. An
+// entry is released in the same transaction that saves its deliveries.
+async function queueDeliveries(queue, keys, entries) {
+  if (entries.length === 0) return 0;
+
+  const queueWebhooks = (await redis.hvals(keys.webhooks)).map((data) =>
+    JSON.parse(data)
+  );
+  let queued = 0;
+
+  for (const entry of entries) {
+    const { jobID, event, at, job } = JSON.parse(entry);
+    const targets = [
+      ...(Array.isArray(job.webhooks) ? job.webhooks : []),
+      ...queueWebhooks,
+    ].filter((webhook) => webhook.events.includes(event));
+    const transaction = redis.multi();
+
+    for (const { url, webhookId } of targets) {
+      const deliveryId = `dlv-${uuidv4()}`;
+      const delivery = {
+        deliveryId,
+        jobID,
+        event,
+        url,
+        webhookId: webhookId ?? null,
+        status: "pending",
+        attempts: [],
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        // the exact body every attempt sends, so a receiver can dedupe on id
+        payload: JSON.stringify({
+          id: deliveryId,
+          event,
+          queue,
+          occurredAt: new Date(at).toISOString(),
+          job: publicJob(jobID, job),
+        }),
+      };
+      transaction
+        .hset(keys.webhookDeliveries, deliveryId, JSON.stringify(delivery))
+        .zadd(keys.webhookDeliveryIndex, delivery.createdAt, deliveryId)
+        .zadd(keys.webhookRetries, delivery.nextAttemptAt, deliveryId);
+      queued++;
+    }
+    await transaction.zrem(keys.webhookOutboxClaims, entry).exec();
+  }
+
+  // forget the oldest deliveries
+  const stale = await redis.zrange(
+    keys.webhookDeliveryIndex,
+    0,
+    -MAX_DELIVERIES - 1
+  );
+  if (stale.length > 0) {
+    await redis
+      .multi()
+      .zrem(keys.webhookDeliveryIndex, ...stale)
+      .zrem(keys.webhookRetries, ...stale)
+      .zrem(keys.webhookClaims, ...stale)
+      .hdel(keys.webhookDeliveries, ...stale)
+      .exec();
+  }
+  return queued;
+}
+
+// POSTs a delivery once and records the attempt
+async function attemptDelivery(keys, delivery, options) {
+  const { secret, maxAttempts, retryDelay, timeout } = options;
+  let signingSecret = secret;
+  if (delivery.webhookId) {
+    const data = await redis.hget(keys.webhooks, delivery.webhookId);
+    signingSecret = data ? JSON.parse(data).secret : null;
+  }
+
+  const attempt = { at: Date.now() };
+  if (delivery.webhookId && !signingSecret) {
+    attempt.error = "Webhook was removed";
+  } else if (!signingSecret) {
+    attempt.error = "No signing secret, set SYNQ_WEBHOOK_SECRET";
+  } else {
+    try {
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "synq-webhooks",
+          "Synq-Event": delivery.event,
+          "Synq-Delivery": delivery.deliveryId,
+          "Synq-Signature": signPayload(delivery.payload, signingSecret),
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(timeout),
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) attempt.error = `HTTP ${response.status}`;
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - attempt.at;
+  delivery.attempts.push(attempt);
+
+  // a missing secret won't fix itself by waiting
+  const retry =
+    attempt.error && signingSecret && delivery.attempts.length < maxAttempts;
+  if (!attempt.error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = attempt.at;
+    delivery.nextAttemptAt = null;
+  } else if (retry) {
+    delivery.status = "retrying";
+    delivery.nextAttemptAt =
+      Date.now() + retryDelay * 2 ** (delivery.attempts.length - 1);
+  } else {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+  }
+
+  // the claim is released with the saved attempt
+  const transaction = redis
+    .multi()
+    .hset(
+      keys.webhookDeliveries,
+      delivery.deliveryId,
+      JSON.stringify(delivery)
+    );
+  if (retry) {
+    transaction.zadd(
+      keys.webhookRetries,
+      delivery.nextAttemptAt,
+      delivery.deliveryId
+    );
+  }
+  await transaction.zrem(keys.webhookClaims, delivery.deliveryId).exec();
+  return delivery.status;
+}
+
+// One dispatcher pass over a queue: queues deliveries for new events, then
+// sends the ones that are due. secret signs the webhooks of jobs, queue
+// webhooks use their own. Resolves with how many were queued, delivered and
+// failed for good.
+export async function dispatchWebhooks({
+  queue = DEFAULT_QUEUE,
+  secret = process.env.SYNQ_WEBHOOK_SECRET,
+  maxAttempts = 5,
+  retryDelay = 1000,
+  timeout = 10000,
+} = {}) {
+  const keys = queueKeys(queue);
+  const result = { queued: 0, delivered: 0, failed: 0 };
+  const claimFor = timeout + CLAIM_GRACE;
+
+  const entries = await redis.claimWebhookOutbox(
+    keys.hash,
+    keys.queue,
+    Date.now(),
+    DISPATCH_BATCH_SIZE,
+    claimFor
+  );
+  result.queued = await queueDeliveries(queue, keys, entries);
+
+  const due = await redis.claimWebhookDeliveries(
+    keys.hash,
+    keys.queue,
+    Date.now(),
+    DISPATCH_BATCH_SIZE,
+    claimFor
+  );
+  for (const deliveryId of due) {
+    const data = await redis.hget(keys.webhookDeliveries, deliveryId);
+    if (!data) {
+      await redis.zrem(keys.webhookClaims, deliveryId);
+      continue;
+    }
+
+    const status = await attemptDelivery(keys, JSON.parse(data), {
+      secret,
+      maxAttempts,
+      retryDelay,
+      timeout,
+    });
+    if (status === "delivered") result.delivered++;
+    if (status === "failed") result.failed++;
+  }
+  return result;
+}
+
+// When the dispatcher has to look at a queue again: right away while its
+// outbox has entries, else when the first retry is due or a claim runs out.
+// null when there is nothing to wait for.
+async function nextDispatchAt(queue) {
+  const keys = queueKeys(queue);
+  const [[, outbox], [, retry], [, claim], [, outboxClaim]] = await redis
+    .multi()
+    .llen(keys.webhookOutbox)
+    .zrange(keys.webhookRetries, 0, 0, "WITHSCORES")
+    .zrange(keys.webhookClaims, 0, 0, "WITHSCORES")
+    .zrange(keys.webhookOutboxClaims, 0, 0, "WITHSCORES")
+    .exec();
+  if (outbox > 0) return Date.now();
+
+  const times = [retry, claim, outboxClaim]
+    .filter((head) => head.length > 0)
+    .map(([, score]) => Number(score));
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+// Runs dispatchWebhooks for the queues whenever a job with webhooks finishes
+// (the Lua scripts publish on the queue's webhook wake channel) and when a
+// retry is due, so an idle dispatcher sends nothing to Redis. stop() ends it.
+export function startWebhookDispatcher(queues, options = {}) {
+  let timer;
+  let running = false;
+  let again = false;
+
+  async function dispatch() {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+    let wakeAt = null;
+
+    try {
+      do {
+        again = false;
+        for (const queue of queues) {
+          await dispatchWebhooks({ queue, ...options });
+        }
+        const times = (await Promise.all(queues.map(nextDispatchAt))).filter(
+          (time) => time !== null
+        );
+        wakeAt = times.length > 0 ? Math.min(...times) : null;
+      } while (again);
+    } catch (error) {
+      console.log("Webhook dispatcher error:", error.message);
+      wakeAt = Date.now() + 1000;
+    } finally {
+      running = false;
+    }
+
+    if (wakeAt !== null) {
+      timer = setTimeout(
+        dispatch,
+        Math.min(Math.max(wakeAt - Date.now(), 10), MAX_SLEEP)
+      );
+    }
+  }
+
+  const subscriber = redis.duplicate();
+  subscriber.on("message", dispatch);
+  // ioredis resubscribes after a reconnect, catch up on anything missed
+  subscriber.on("ready", dispatch);
+  subscriber.subscribe(...queues.map((queue) => queueKeys(queue).webhookWake));
+
+  return {
+    dispatch,
+    stop: () => {
+      clearTimeout(timer);
+      subscriber.disconnect();
+    },
+  };
+}
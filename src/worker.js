@@ -1,14 +1,277 @@
 // worker.js
 import  {redis}  from "./db/redis.js";
 import { connect } from "./db/mongodb.js";
-import { exec } from "child_process";
+import { runCommand, runHandler, MAX_OUTPUT } from "./runner.js";
+import { createJobLog } from "./logs.js";
+import os from "os";
+import { v4 as uuidv4 } from "uuid";
+import { startScheduler } from "./recurring.js";
+import { startCleaner } from "./retention.js";
+import { startWebhookDispatcher } from "./webhooks.js";
+import { updateJobProgress } from "./events.js";
+import { metrics } from "./metrics.js";
+import {
+  commandPolicies,
+  defaultCommandPolicy,
+  findPolicyViolation,
+} from "./policy.js";
+import {
+  getJob,
+  settleFlowJobs,
+  isValidHandlerName,
+  jobLabel,
+} from "./queue.js";
+import { DEFAULT_QUEUE, queueKeys, recurringKeys } from "./keys.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 
-export async function runWorker() {
+// Longest an idle worker sleeps before it re-checks the scheduled sets
+const MAX_SLEEP = 60 * 60 * 1000;
+
+// Keeps up to `concurrency` jobs running. claim() resolves to the next job
+// (or null when there is none) and run(job) to when that job is done; a slot
+// that frees up claims the next job straight away. idle() is called when
+// slots are free but there was nothing to claim.
+export function createSlotPool({ concurrency, claim, run, idle }) {
+  const slots = Array.from({ length: concurrency }, () => null);
+  let processed = 0;
+  let claiming = false;
+  let again = false;
+
+  async function fill() {
+    // one claim loop at a time, so a slot is never handed two jobs. A wake-up
+    // that arrives mid-loop makes the loop run once more instead of being lost.
+    if (claiming) {
+      again = true;
+      return;
+    }
+    claiming = true;
+    let empty = false;
+    try {
+      do {
+        again = false;
+        empty = false;
+        while (slots.includes(null)) {
+          const job = await claim();
+          if (!job) {
+            empty = true;
+            break;
+          }
+
+          const slot = slots.indexOf(null);
+          slots[slot] = { ...job, startedAt: new Date() };
+          Promise.resolve()
+            .then(() => run(job))
+            .catch((error) => console.log(error))
+            .finally(() => {
+              slots[slot] = null;
+              processed++;
+              fill();
+            });
+        }
+      } while (again);
+    } catch (error) {
+      console.log(error);
+    } finally {
+      claiming = false;
+    }
+
+    if (empty && idle) {
+      try {
+        await idle();
+      } catch (error) {
+        console.log(error);
+      }
+    }
+  }
+
+  function status() {
+    const active = slots.filter(Boolean).length;
+    return {
+      concurrency,
+      activeSlots: active,
+      idleSlots: concurrency - active,
+      utilization: active / concurrency,
+      processedJobs: processed,
+      slots: slots.map((job, slot) =>
+        job
+          ? {
+              slot,
+              jobID: job.jobID,
+              queue: job.queue,
+              command: job.command,
+              name: job.name,
+              startedAt: job.startedAt,
+            }
+          : { slot, idle: true }
+      ),
+    };
+  }
+
+  return { fill, status };
+}
+
+// Tracks the jobs a worker holds so a cancel reaches a job whenever it
+// arrives. track(jobID) registers a claimed job before anything is awaited,
+// start(claimed, spawn) calls spawn() and keeps the handle of what it started
+// unless the job was cancelled since it was claimed, then it resolves to null.
+// cancel(jobID) kills the job's command, or keeps it from starting.
+export function createRunningJobs() {
+  const jobs = new Map();
+
+  function track(jobID) {
+    jobs.set(jobID, { cancelled: false, started: null });
+  }
+
+  async function start({ jobID, queue }, spawn) {
+    const entry = jobs.get(jobID);
+    // a cancel published before track() never reached this worker
+    const jobData = await redis.hget(queueKeys(queue).hash, jobID);
+    if (!entry || entry.cancelled || !jobData) return null;
+    if (JSON.parse(jobData).status === "cancelled") return null;
+
+    entry.started = spawn();
+    return entry.started;
+  }
+
+  // true when a running command was killed
+  function cancel(jobID) {
+    const entry = jobs.get(jobID);
+    if (!entry) return false;
+    entry.cancelled = true;
+    entry.started?.handle.kill("cancelled");
+    return Boolean(entry.started);
+  }
+
+  function release(jobID) {
+    jobs.delete(jobID);
+  }
+
+  return { track, start, cancel, release };
+}
+
+// Turns a finished command into the attempt result complete-job.lua records.
+// cause tells a timeout apart from a non-zero exit code, a command killed by
+// a signal from outside and a command that could not be started.
+export function toJobResult(command, run, { timeout } = {}) {
+  const output = run.stdout || run.stderr;
+  let status = run.exitCode === 0 ? "succeeded" : "failed";
+  let error;
+  let cause;
+
+  if (run.killedFor === "cancelled") {
+    status = "cancelled";
+    error = "Cancelled while running";
+  } else if (run.killedFor === "timeout") {
+    cause = "timeout";
+    error = timeout
+      ? `Command timed out after ${timeout}ms`
+      : "Command timed out";
+  } else if (run.error) {
+    cause = "spawn_error";
+    error = run.error.message;
+  } else if (status === "failed") {
+    cause = run.exitCode === null ? "signal" : "exit_code";
+    error = `Command failed: ${command}\n${run.stderr}`;
+  }
+
+  return {
+    finishedAt: new Date(),
+    status,
+    output,
+    exitCode: run.exitCode,
+    signal: run.signal || undefined,
+    cause,
+    error,
+  };
+}
+
+// Turns a finished handler into an attempt result: its return value is kept
+// as the job's result, a thrown error fails the attempt
+export function toHandlerResult(name, run, { timeout } = {}) {
+  let status = "succeeded";
+  let error;
+  let cause;
+
+  if (run.killedFor === "cancelled") {
+    status = "cancelled";
+    error = "Cancelled while running";
+  } else if (run.killedFor === "timeout") {
+    status = "failed";
+    cause = "timeout";
+    error = timeout
+      ? `Handler ${name} timed out after ${timeout}ms`
+      : `Handler ${name} timed out`;
+  } else if (run.error !== undefined) {
+    status = "failed";
+    cause = "handler_error";
+    error =
+      run.error instanceof Error ? run.error.message : String(run.error);
+  }
+
+  return {
+    finishedAt: new Date(),
+    status,
+    output: run.output,
+    cause,
+    error,
+    ...(status === "succeeded" && { returnValue: run.returnValue }),
+  };
+}
+
+// Worker defaults and limits for the per-job execution options
+export function workerExecLimits() {
+  return {
+    // ms a job may run when it doesn't set a timeout of its own
+    timeout: Number(process.env.WORKER_TIMEOUT) || 10000,
+    // longest timeout a job may ask for
+    maxTimeout: Number(process.env.WORKER_MAX_TIMEOUT) || 60 * 60 * 1000,
+    cwd: process.env.WORKER_CWD || process.cwd(),
+    shell: process.env.WORKER_SHELL || true,
+    // bytes of stdout and of stderr kept on the job
+    maxOutput: Number(process.env.WORKER_MAX_OUTPUT) || MAX_OUTPUT,
+  };
+}
+
+// How a claimed job is run: its own options within the worker's limits, its
+// env on top of the worker's environment
+export function resolveExecOptions(job, limits = workerExecLimits()) {
+  return {
+    timeout: Math.min(job.timeout || limits.timeout, limits.maxTimeout),
+    cwd: job.cwd || limits.cwd,
+    env: job.env ? { ...process.env, ...job.env } : process.env,
+    shell: job.shell || limits.shell,
+    maxOutput: limits.maxOutput,
+  };
+}
+
+// queues defaults to WORKER_QUEUES (comma separated) or the default queue,
+// concurrency to WORKER_CONCURRENCY or 1. handlers maps job names to the
+// async functions that run them; more can be added with process(name, fn).
+export async function runWorker({ queues, concurrency, handlers = {} } = {}) {
   let db;
+  queues = queues?.length
+    ? queues
+    : (process.env.WORKER_QUEUES || DEFAULT_QUEUE).split(",");
+  concurrency = concurrency || Number(process.env.WORKER_CONCURRENCY) || 1;
+  const workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+  // ms a worker may go without a heartbeat before its jobs are recovered
+  const lease = Number(process.env.WORKER_LEASE) || 30000;
+  // times a job may stall before it is failed instead of re-queued
+  const maxStalls = Number(process.env.WORKER_MAX_STALLS) || 1;
+  // ms a cancelled job gets between SIGTERM and SIGKILL
+  const killGrace = Number(process.env.WORKER_KILL_GRACE) || 5000;
+  // the jobs this worker claimed, and the commands it started for them
+  const runningJobs = createRunningJobs();
+  const execLimits = workerExecLimits();
+  // a malformed SYNQ_COMMAND_POLICY stops the worker before it claims a job
+  defaultCommandPolicy();
+  metrics.workerSlots.set({ worker_id: workerId }, concurrency);
+  metrics.workerBusySlots.set({ worker_id: workerId }, 0);
+  // name -> JavaScript handler, jobs without a name run their shell command
+  const processors = new Map(Object.entries(handlers));
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = dirname(__filename);
 
@@ -31,60 +294,356 @@ export async function runWorker() {
     lua: startJobsLuaScript,
   });
 
-  setInterval(async () => {
-    const result = await redis.processJobs("jobs:hash", "jobs:queue");
+  const completeJobLuaScript = fs.readFileSync(
+    path.join(__dirname, "jobs_lua_scripts", "complete-job.lua"),
+    "utf8"
+  );
 
-    if (!result) {
-      return;
+  redis.defineCommand("completeJob", {
+    numberOfKeys: 2,
+    lua: completeJobLuaScript,
+  });
+
+  for (const [name, file] of [
+    ["workerHeartbeat", "heartbeat.lua"],
+    ["reapStalledJobs", "reap-stalled-jobs.lua"],
+  ]) {
+    redis.defineCommand(name, {
+      numberOfKeys: 2,
+      lua: fs.readFileSync(
+        path.join(__dirname, "jobs_lua_scripts", file),
+        "utf8"
+      ),
+    });
+  }
+
+  // every worker runs the recurring scheduler, ticks are claimed atomically
+  const scheduler = startScheduler();
+
+  // and deletes finished jobs the retention rules of its queues don't keep
+  startCleaner(queues, {
+    interval: Number(process.env.WORKER_CLEAN_INTERVAL) || 60000,
+  });
+
+  // and sends the webhooks of jobs that finished
+  startWebhookDispatcher(queues, {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelay: Number(process.env.WEBHOOK_RETRY_DELAY) || 1000,
+    timeout: Number(process.env.WEBHOOK_TIMEOUT) || 10000,
+  });
+
+  // seconds a pending job waits before it climbs one priority level
+  const agingInterval = process.env.PRIORITY_AGING_INTERVAL || 60;
+
+  // queues take turns going first so a busy queue can't starve the others
+  let firstQueue = 0;
+  // queue -> ms timestamp its rate limit has room again
+  const rateLimitedUntil = new Map();
+  // jobs a single claim may move aside because their group is over its limit
+  const MAX_GROUP_DEFERRALS = 20;
+
+  // Claims the next job from one queue, or null
+  async function claimFrom(queue) {
+    const keys = queueKeys(queue);
+    for (let i = 0; i <= MAX_GROUP_DEFERRALS; i++) {
+      const result = await redis.processJobs(
+        keys.hash,
+        keys.queue,
+        agingInterval,
+        workerId,
+        lease,
+        // named jobs this worker has no handler for are left to other workers
+        JSON.stringify([...processors.keys()])
+      );
+      const parsed = result && JSON.parse(result);
+
+      if (parsed?.error === "rate_limited") {
+        rateLimitedUntil.set(queue, parsed.retryAt);
+        return null;
+      }
+      rateLimitedUntil.delete(queue);
+      // the head job waits for its group, try the job behind it
+      if (parsed?.error === "group_rate_limited") continue;
+
+      return parsed && !parsed.error ? parsed : null;
+    }
+    return null;
+  }
+
+  // Claims the next job, trying the queues round-robin
+  async function claimNextJob() {
+    for (let i = 0; i < queues.length; i++) {
+      const queue = queues[(firstQueue + i) % queues.length];
+      const claimed = await claimFrom(queue);
+
+      if (claimed) {
+        firstQueue = (firstQueue + i + 1) % queues.length;
+        metrics.jobWait.observe(
+          { queue, worker_id: workerId },
+          claimed.waitMs / 1000
+        );
+        return { ...claimed, queue };
+      }
     }
+    return null;
+  }
+
+  // Starts what a claimed job runs. Shell commands are the built-in handler,
+  // named jobs run the function registered for their name.
+  function startJob(claimed, exec, onOutput) {
+    const { jobID, name, data, command, queue, attempt, attempts } = claimed;
+
+    if (name === undefined) {
+      const handle = runCommand(command, { ...exec, killGrace, onOutput });
+      return { handle, toResult: (run) => toJobResult(command, run, exec) };
+    }
+
+    const handler =
+      processors.get(name) ||
+      (() => {
+        throw new Error(`No handler registered for ${name}`);
+      });
+    const job = {
+      id: jobID,
+      name,
+      data,
+      queue,
+      attempt,
+      attempts,
+      // emits a progress event, e.g. job.updateProgress(50)
+      updateProgress: (progress) =>
+        updateJobProgress(jobID, progress, { queue }),
+    };
+    const handle = runHandler(handler, job, {
+      timeout: exec.timeout,
+      maxOutput: exec.maxOutput,
+      onOutput,
+    });
+    return { handle, toResult: (run) => toHandlerResult(name, run, exec) };
+  }
 
-    const parsed = JSON.parse(result);
+  async function runJob(claimed) {
+    const { jobID, name, command, attempt, attempts, queue } = claimed;
+    const keys = queueKeys(queue);
+    const exec = resolveExecOptions(claimed, execLimits);
+    console.log(
+      `Processing job ${jobID} from ${queue} (attempt ${attempt}/${attempts}): ${jobLabel(claimed)}`
+    );
 
-    if (parsed.error) {
+    if (db) {
+      await db.updateOne(
+        { jobID },
+        {
+          $set: {
+            ...(name !== undefined ? { name } : { command }),
+            queue,
+            status: "running",
+            attemptsMade: attempt,
+          },
+        },
+        { upsert: true }
+      );
+    }
+
+    // output is streamed into the job's log while the job runs
+    const log = createJobLog(jobID, { queue, attempt });
+    // checked again here: the policy may have changed since the job was
+    // queued, and replayed jobs were never checked against the new one
+    const violation =
+      name === undefined
+        ? findPolicyViolation(command, await commandPolicies(queue), claimed)
+        : null;
+    const started =
+      !violation &&
+      (await runningJobs.start(claimed, () =>
+        startJob(claimed, exec, log.write)
+      ));
+    let jobResult;
+    if (violation) {
+      jobResult = {
+        finishedAt: new Date(),
+        status: "failed",
+        cause: "policy",
+        error: `Command rejected by policy: ${violation}`,
+      };
+    } else if (!started) {
+      // cancelled between the claim and now, cancel-job.lua recorded it
+      jobResult = {
+        finishedAt: new Date(),
+        status: "cancelled",
+        error: "Cancelled before it started",
+      };
+    } else {
+      const ran = metrics.jobRun.startTimer({ queue, worker_id: workerId });
+      const run = await started.handle.result;
+      ran();
+      jobResult = started.toResult(run);
+    }
+
+    // Record the attempt, failed jobs with attempts left are re-queued
+    const status = await redis.completeJob(
+      keys.hash,
+      keys.queue,
+      jobID,
+      JSON.stringify(jobResult),
+      workerId
+    );
+    metrics.workerAttempts.inc({ queue, worker_id: workerId, status });
+
+    if (status === "lease_lost") {
+      await log.end();
+      console.log(`${jobID} was recovered by the reaper, result dropped`);
       return;
     }
+    await log.end(status);
 
-    const { jobID, command } = parsed;
-    console.log(`Processing job ${jobID}: ${command}`);
+    // queue the children of a finished flow job
+    await settleFlowJobs(queue);
 
     if (db) {
-      await db.insertOne({
-        jobID,
-        command,
-        status: "running",
-      });
+      const job = await getJob(jobID, { queue });
+      await db.updateOne({ jobID }, { $set: job });
     }
 
+    console.log(jobID, status === "retrying" ? "will be retried" : status);
+  }
+
+  // Nothing to claim: sleep until the earliest delayed or retrying job is due,
+  // or a rate limited queue has room again
+  let dueTimer;
+  async function waitForScheduledJobs() {
+    const heads = await Promise.all(
+      queues.map((queue) =>
+        redis.zrange(queueKeys(queue).scheduled, 0, 0, "WITHSCORES")
+      )
+    );
+    const dueTimes = heads
+      .filter((head) => head.length > 0)
+      .map(([, runAt]) => Number(runAt))
+      .concat([...rateLimitedUntil.values()]);
+
+    clearTimeout(dueTimer);
+    if (dueTimes.length > 0) {
+      const sleep = Math.min(...dueTimes) - Date.now();
+      dueTimer = setTimeout(
+        pool.fill,
+        Math.min(Math.max(sleep, 10), MAX_SLEEP)
+      );
+    }
+  }
+
+  // Runs a claimed job in a slot, counting the slots that are busy. The job
+  // is tracked before anything is awaited, so no cancel for it is missed.
+  async function runInSlot(claimed) {
+    metrics.workerBusySlots.inc({ worker_id: workerId });
+    runningJobs.track(claimed.jobID);
     try {
-      exec(command, { timeout: 10000 }, async (err, stdout, stderr) => {
-        const jobResult = {
-          finishedAt: new Date(),
-          status: err ? "failed" : "succeeded",
-          output: stdout || stderr,
-        };
-        // Update Redis with the completed job
-        await redis.hset(
-          "jobs:hash",
-          jobID,
-          JSON.stringify({
-            command,
-            createdAt: new Date(),
-            status: jobResult.status,
-            finishedAt: jobResult.finishedAt,
-            output: jobResult.output,
-          })
-        );
+      await runJob(claimed);
+    } finally {
+      runningJobs.release(claimed.jobID);
+      metrics.workerBusySlots.dec({ worker_id: workerId });
+    }
+  }
 
-        if (db) {
-          await db.updateOne({ jobID }, { $set: jobResult });
-        }
+  const pool = createSlotPool({
+    concurrency,
+    claim: claimNextJob,
+    run: runInSlot,
+    idle: waitForScheduledJobs,
+  });
 
-        console.log(jobID, "completed");
-      });
+  // Idle workers don't poll: the Lua scripts publish on the queue's wake
+  // channel whenever they queue or schedule a job, and the subscriber
+  // connection wakes the pool (or the scheduler for recurring changes)
+  const recurringWake = recurringKeys().wake;
+  const cancelChannels = new Set(
+    queues.map((queue) => queueKeys(queue).cancel)
+  );
+  const subscriber = redis.duplicate();
+  subscriber.on("message", (channel, message) => {
+    if (channel === recurringWake) {
+      scheduler.wake();
+    } else if (cancelChannels.has(channel)) {
+      // only the worker holding the job tracks it
+      if (runningJobs.cancel(message)) {
+        console.log(`Killing cancelled job ${message}`);
+      }
+    } else {
+      pool.fill();
+    }
+  });
+  // ioredis resubscribes after a reconnect, catch up on anything missed
+  subscriber.on("ready", () => {
+    pool.fill();
+    scheduler.wake();
+  });
+  await subscriber.subscribe(
+    ...queues.map((queue) => queueKeys(queue).wake),
+    ...cancelChannels,
+    recurringWake
+  );
+
+  // Extend the lease while this worker holds jobs, an idle worker holds none
+  setInterval(async () => {
+    if (pool.status().activeSlots === 0) return;
+    try {
+      for (const queue of queues) {
+        const keys = queueKeys(queue);
+        await redis.workerHeartbeat(keys.hash, keys.queue, workerId, lease);
+      }
     } catch (error) {
-      console.log(error);
+      console.log("Heartbeat failed:", error.message);
     }
-  }, 1000);
+  }, lease / 3);
+
+  // Recover the jobs of workers that died or lost their lease
+  async function reapStalledJobs() {
+    try {
+      for (const queue of queues) {
+        const keys = queueKeys(queue);
+        const [requeued, failed] = await redis.reapStalledJobs(
+          keys.hash,
+          keys.queue,
+          maxStalls
+        );
+        for (const jobID of requeued) {
+          console.log(`Recovered stalled job ${jobID} in ${queue}`);
+        }
+        for (const jobID of failed) {
+          console.log(`Stalled job ${jobID} in ${queue} stalled too often`);
+        }
+        // also picks up flow jobs a crashed worker finished but never settled
+        await settleFlowJobs(queue);
+      }
+    } catch (error) {
+      console.log("Reaper error:", error.message);
+    }
+  }
+
+  await reapStalledJobs();
+  setInterval(reapStalledJobs, lease);
+
+  pool.fill();
+
+  // Registers the handler for jobs submitted as { name, data }
+  function registerHandler(name, handler) {
+    if (!isValidHandlerName(name)) {
+      throw new Error(`Invalid handler name: ${name}`);
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Handler for ${name} must be a function`);
+    }
+    processors.set(name, handler);
+    // jobs with this name may be waiting for a worker that can run them
+    pool.fill();
+  }
+
+  return {
+    workerId,
+    queues,
+    status: pool.status,
+    process: registerHandler,
+  };
 }
 
 const __filename = fileURLToPath(import.meta.url);
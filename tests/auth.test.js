@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticate,
+  verifyJwt,
+  hasRole,
+  canAccessQueue,
+  submitterOf,
+} from '../src/auth.js';
+import { addJob, getJob } from '../src/queue.js';
+import { submitFlow, getFlow } from '../src/flows.js';
+import { redis } from '../src/db/redis.js';
+
+const JWT_SECRET = 'jwt-test-secret';
+
+// Signs claims the way an identity provider would
+function signJwt(claims, { secret = JWT_SECRET, alg = 'HS256' } = {}) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(body)
+    .digest('base64url');
+  return `${body}.${signature}`;
+}
+
+describe('Authentication', () => {
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should create, list and revoke API keys', async () => {
+    const created = await createApiKey({
+      name: 'billing',
+      role: 'submitter',
+      queues: ['emails', 'emails', 'reports'],
+    });
+    expect(created.key).toMatch(/^synq_[0-9a-f]{16}_[0-9a-f]{64}$/);
+    expect(created.queues).toEqual(['emails', 'reports']);
+
+    expect(await listApiKeys()).toEqual([
+      {
+        keyId: created.keyId,
+        name: 'billing',
+        role: 'submitter',
+        queues: ['emails', 'reports'],
+        createdAt: created.createdAt,
+      },
+    ]);
+    // only a hash of the secret is stored
+    const stored = await redis.hget('jobs:auth:keys', created.keyId);
+    expect(stored).not.toContain(created.key.split('_')[2]);
+
+    expect(await authenticate(created.key)).toEqual({
+      type: 'api_key',
+      id: created.keyId,
+      name: 'billing',
+      role: 'submitter',
+      queues: ['emails', 'reports'],
+    });
+
+    expect(await revokeApiKey(created.keyId)).toBe('revoked');
+    expect(await revokeApiKey(created.keyId)).toBe('not_found');
+    expect(await authenticate(created.key)).toBe(null);
+  });
+
+  test('should refuse unknown or tampered API keys', async () => {
+    const { key, keyId } = await createApiKey({ name: 'ci', role: 'admin' });
+
+    expect(await authenticate(`synq_${keyId}_${'0'.repeat(64)}`)).toBe(null);
+    expect(await authenticate(key.replace(keyId, '0'.repeat(16)))).toBe(null);
+    expect(await authenticate('synq_nope')).toBe(null);
+    expect(await authenticate(undefined)).toBe(null);
+  });
+
+  test('should reject invalid API keys', async () => {
+    await expect(createApiKey({ name: 'x', role: 'owner' })).rejects.toThrow(
+      'Invalid role'
+    );
+    await expect(createApiKey({ role: 'viewer' })).rejects.toThrow('name');
+    await expect(
+      createApiKey({ name: 'x', role: 'viewer', queues: [] })
+    ).rejects.toThrow('Queues');
+    await expect(
+      createApiKey({ name: 'x', role: 'viewer', queues: ['bad queue'] })
+    ).rejects.toThrow('Invalid queue name');
+  });
+
+  test('should verify JWTs', async () => {
+    const now = Date.now();
+    const token = signJwt({
+      sub: 'ci@example.com',
+      role: 'viewer',
+      exp: now / 1000 + 60,
+    });
+
+    expect(await authenticate(token, { jwtSecret: JWT_SECRET })).toEqual({
+      type: 'jwt',
+      id: 'ci@example.com',
+      role: 'viewer',
+      queues: null,
+    });
+    expect(
+      verifyJwt(
+        signJwt({ sub: 'a', role: 'admin', queues: ['emails'] }),
+        JWT_SECRET
+      )
+    ).toMatchObject({ queues: ['emails'] });
+
+    // wrong secret, no secret, expired, not valid yet
+    expect(verifyJwt(token, 'other')).toBe(null);
+    expect(verifyJwt(token, undefined)).toBe(null);
+    expect(verifyJwt(token, JWT_SECRET, { now: now + 61000 })).toBe(null);
+    expect(
+      verifyJwt(
+        signJwt({ sub: 'a', role: 'admin', nbf: now / 1000 + 60 }),
+        JWT_SECRET
+      )
+    ).toBe(null);
+    // alg none, unknown role, no subject, bad queues, garbage
+    expect(
+      verifyJwt(
+        signJwt({ sub: 'a', role: 'admin' }, { alg: 'none' }),
+        JWT_SECRET
+      )
+    ).toBe(null);
+    expect(verifyJwt(signJwt({ sub: 'a', role: 'root' }), JWT_SECRET)).toBe(
+      null
+    );
+    expect(verifyJwt(signJwt({ role: 'admin' }), JWT_SECRET)).toBe(null);
+    expect(
+      verifyJwt(signJwt({ sub: 'a', role: 'admin', queues: 'all' }), JWT_SECRET)
+    ).toBe(null);
+    expect(verifyJwt('a.b.c', JWT_SECRET)).toBe(null);
+  });
+
+  test('should rank roles and restrict queues', () => {
+    const submitter = { role: 'submitter', queues: ['emails'] };
+
+    expect(hasRole(submitter, 'viewer')).toBe(true);
+    expect(hasRole(submitter, 'submitter')).toBe(true);
+    expect(hasRole(submitter, 'admin')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+
+    expect(canAccessQueue(submitter, 'emails')).toBe(true);
+    expect(canAccessQueue(submitter, 'default')).toBe(false);
+    expect(canAccessQueue({ role: 'viewer', queues: null }, 'default')).toBe(
+      true
+    );
+  });
+
+  test('should record the submitter on jobs and flows', async () => {
+    const created = await createApiKey({ name: 'billing', role: 'submitter' });
+    const submittedBy = submitterOf(await authenticate(created.key));
+    expect(submittedBy).toEqual({
+      type: 'api_key',
+      id: created.keyId,
+      name: 'billing',
+    });
+
+    const { jobID } = await addJob('echo "hi"', { submittedBy });
+    expect((await getJob(jobID)).submittedBy).toEqual(submittedBy);
+
+    const flow = await submitFlow({
+      jobs: [{ name: 'build', command: 'echo build' }],
+      submittedBy: { type: 'jwt', id: 'ci@example.com' },
+    });
+    expect((await getJob(flow.jobs.build)).submittedBy).toEqual({
+      type: 'jwt',
+      id: 'ci@example.com',
+    });
+    expect((await getFlow(flow.flowId)).submittedBy).toEqual({
+      type: 'jwt',
+      id: 'ci@example.com',
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { jest } from '@jest/globals';
+import {
+  submitJobs,
+  cancelJobs,
+  validateJob,
+  validateJobs,
+  getJob,
+} from '../src/queue.js';
+import { submitFlow } from '../src/flows.js';
+import { setCommandPolicy } from '../src/policy.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Bulk operations', () => {
+  beforeAll(() => {
+    redis.defineCommand('processJobs', {
+      numberOfKeys: 2,
+      lua: fs.readFileSync(
+        path.join(__dirname, '../src/jobs_lua_scripts/process-jobs.lua'),
+        'utf8'
+      ),
+    });
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should submit jobs in batches and return every job ID', async () => {
+    const commands = Array.from({ length: 25 }, (_, i) => `echo ${i}`);
+    const calls = jest.spyOn(redis, 'enqueueJobs');
+
+    const results = await submitJobs(commands, { batchSize: 10, attempts: 2 });
+    expect(calls).toHaveBeenCalledTimes(3);
+    calls.mockRestore();
+
+    expect(results).toHaveLength(25);
+    expect(new Set(results.map((r) => r.jobID)).size).toBe(25);
+    expect(results.every((r) => r.status === 'pending' && !r.duplicate)).toBe(
+      true
+    );
+    // in order, with the shared options
+    const job = await getJob(results[7].jobID);
+    expect(job).toMatchObject({ command: 'echo 7', attempts: 2 });
+    expect(await redis.lrange('jobs:queue', 0, 1)).toEqual([
+      results[0].jobID,
+      results[1].jobID,
+    ]);
+    expect(await redis.zcard('jobs:queue:status:pending')).toBe(25);
+  });
+
+  test('should mix queues, priorities, schedules and handler jobs', async () => {
+    const results = await submitJobs([
+      'echo "plain"',
+      { command: 'echo "urgent"', priority: 5 },
+      { command: 'echo "later"', delay: 60000 },
+      { name: 'send-report', data: { id: 1 } },
+      { command: 'echo "mail"', queue: 'emails' },
+    ]);
+
+    expect(results.map((r) => r.status)).toEqual([
+      'pending',
+      'pending',
+      'scheduled',
+      'pending',
+      'pending',
+    ]);
+    expect(await redis.lrange('jobs:queue:priority:5', 0, -1)).toEqual([
+      results[1].jobID,
+    ]);
+    expect(
+      await redis.zscore('jobs:queue:scheduled', results[2].jobID)
+    ).not.toBe(null);
+    expect((await getJob(results[3].jobID)).data).toEqual({ id: 1 });
+    expect((await getJob(results[4].jobID, { queue: 'emails' })).command).toBe(
+      'echo "mail"'
+    );
+  });
+
+  test('should report duplicates within and across batches', async () => {
+    const first = await submitJobs([
+      { command: 'echo a', idempotencyKey: 'import-1' },
+      { command: 'echo a', idempotencyKey: 'import-1' },
+      { command: 'echo b', jobId: 'nightly-b' },
+    ]);
+    expect(first[1]).toEqual({
+      jobID: first[0].jobID,
+      status: 'pending',
+      duplicate: true,
+    });
+
+    const again = await submitJobs([{ command: 'echo b', jobId: 'nightly-b' }]);
+    expect(again).toEqual([
+      { jobID: 'nightly-b', status: 'pending', duplicate: true },
+    ]);
+    expect(await redis.llen('jobs:queue')).toBe(2);
+  });
+
+  test('should add nothing when one job is invalid', async () => {
+    await expect(
+      submitJobs(['echo ok', { command: 'echo bad', priority: 1000 }])
+    ).rejects.toThrow('jobs[1]: Priority must be an integer');
+    await expect(submitJobs(['echo ok', ''])).rejects.toThrow(
+      'jobs[1]: Command must be a non-empty string'
+    );
+    expect(() => validateJobs('echo ok')).toThrow('jobs must be a list');
+    // single submissions go through the same checks
+    expect(() => validateJob('echo bad', { timeout: -1 })).toThrow('timeout');
+
+    await setCommandPolicy({ allow: ['echo'] });
+    await expect(submitJobs(['echo ok', 'curl evil'])).rejects.toThrow(
+      'jobs[1]: Command rejected by policy'
+    );
+    expect(await redis.llen('jobs:queue')).toBe(0);
+  });
+
+  test('should cancel jobs by ID list', async () => {
+    const [a, b, c] = await submitJobs(['echo a', 'echo b', 'echo c']);
+
+    const result = await cancelJobs({ jobIDs: [a.jobID, c.jobID, 'nope'] });
+    expect(result).toEqual({
+      cancelled: [a.jobID, c.jobID],
+      skipped: [],
+      notFound: ['nope'],
+    });
+    expect(await redis.lrange('jobs:queue', 0, -1)).toEqual([b.jobID]);
+    expect((await getJob(a.jobID)).status).toBe('cancelled');
+    expect(await redis.hget('jobs:queue:stats', 'cancelled')).toBe('2');
+
+    // cancelled jobs are finished now
+    expect(await cancelJobs({ jobIDs: [a.jobID] })).toEqual({
+      cancelled: [],
+      skipped: [a.jobID],
+      notFound: [],
+    });
+  });
+
+  test('should cancel jobs by status or queue', async () => {
+    const pending = await submitJobs([
+      'echo 1',
+      { command: 'echo 2', priority: 3 },
+    ]);
+    const [scheduled] = await submitJobs([{ command: 'echo 3', delay: 60000 }]);
+    await submitJobs(['echo mail'], { queue: 'emails' });
+
+    const result = await cancelJobs({ status: 'pending' });
+    expect(result.cancelled.sort()).toEqual(pending.map((r) => r.jobID).sort());
+    expect(await redis.llen('jobs:queue')).toBe(0);
+    expect(await redis.zcard('jobs:queue:lanes')).toBe(0);
+    expect((await getJob(scheduled.jobID)).status).toBe('scheduled');
+
+    expect((await cancelJobs({ queue: 'default' })).cancelled).toEqual([
+      scheduled.jobID,
+    ]);
+    expect(await redis.zcard('jobs:queue:scheduled')).toBe(0);
+    // other queues are left alone
+    expect(await redis.llen('jobs:queues:emails:queue')).toBe(1);
+  });
+
+  test('should keep the order of the jobs left in a lane', async () => {
+    const ids = (
+      await submitJobs(
+        Array.from({ length: 30 }, (_, i) => ({
+          command: `echo ${i}`,
+          priority: 2,
+        }))
+      )
+    ).map((r) => r.jobID);
+
+    const dropped = ids.filter((_, i) => i % 3 === 0);
+    const result = await cancelJobs({ jobIDs: dropped, batchSize: 4 });
+    expect(result.cancelled).toEqual(dropped);
+    expect(await redis.lrange('jobs:queue:priority:2', 0, -1)).toEqual(
+      ids.filter((_, i) => i % 3 !== 0)
+    );
+    expect(await redis.zrange('jobs:queue:lanes', 0, -1)).toEqual(['2']);
+
+    await cancelJobs({ status: 'pending', batchSize: 7 });
+    expect(await redis.exists('jobs:queue:priority:2')).toBe(0);
+    expect(await redis.zcard('jobs:queue:lanes')).toBe(0);
+  });
+
+  test('should ask workers to kill running jobs and settle flows', async () => {
+    const [running] = await submitJobs(['sleep 60']);
+    await redis.processJobs('jobs:hash', 'jobs:queue', 60, 'worker-1');
+    const flow = await submitFlow({
+      jobs: [
+        { name: 'build', command: 'echo build' },
+        { name: 'ship', command: 'echo ship', dependsOn: ['build'] },
+      ],
+    });
+
+    const subscriber = redis.duplicate();
+    const killed = [];
+    subscriber.on('message', (channel, id) => killed.push(id));
+    await subscriber.subscribe('jobs:queue:cancel');
+
+    await cancelJobs({ jobIDs: [running.jobID, flow.jobs.build] });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    subscriber.disconnect();
+
+    expect(killed).toEqual([running.jobID]);
+    expect((await getJob(flow.jobs.ship)).status).not.toBe('blocked');
+  });
+
+  test('should reject invalid filters', async () => {
+    await expect(cancelJobs()).rejects.toThrow('Give jobIDs');
+    await expect(cancelJobs({ status: 'succeeded' })).rejects.toThrow(
+      'Invalid status'
+    );
+    await expect(cancelJobs({ jobIDs: 'job-1' })).rejects.toThrow('jobIDs');
+    await expect(cancelJobs({ queue: 'bad queue' })).rejects.toThrow(
+      'Invalid queue name'
+    );
+  });
+});
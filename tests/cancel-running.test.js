@@ -0,0 +1,260 @@
+import { jest } from '@jest/globals';
+import { submitJob, cancelJob, getJob } from '../src/queue.js';
+import { runCommand } from '../src/runner.js';
+import { toJobResult, createRunningJobs } from '../src/worker.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Cancelling Running Jobs', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  describe('runCommand', () => {
+    test('should report output and exit code', async () => {
+      const run = await runCommand('echo hello; exit 3').result;
+      expect(run.exitCode).toBe(3);
+      expect(run.stdout).toBe('hello\n');
+      expect(run.killedFor).toBeNull();
+    });
+
+    test('should kill the whole process tree and keep partial output', async () => {
+      // the inner shell ignores SIGTERM, so it needs the SIGKILL
+      const handle = runCommand(
+        'echo started; sh -c \'trap "" TERM; sleep 30\' & sleep 30',
+        { killGrace: 200 }
+      );
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      handle.kill('cancelled');
+
+      const startedAt = Date.now();
+      const run = await handle.result;
+
+      // result only settles once every process holding the output is gone
+      expect(Date.now() - startedAt).toBeLessThan(5000);
+      expect(run.killedFor).toBe('cancelled');
+      expect(run.stdout).toBe('started\n');
+    });
+
+    test('should kill commands that run past their timeout', async () => {
+      const run = await runCommand('sleep 30', { timeout: 100 }).result;
+      expect(run.killedFor).toBe('timeout');
+      expect(run.signal).toBe('SIGTERM');
+    });
+  });
+
+  describe('toJobResult', () => {
+    test('should record a killed run as cancelled', () => {
+      const result = toJobResult('sleep 30', {
+        exitCode: null,
+        signal: 'SIGTERM',
+        stdout: 'partial',
+        stderr: '',
+        killedFor: 'cancelled',
+      });
+      expect(result).toMatchObject({
+        status: 'cancelled',
+        output: 'partial',
+        exitCode: null,
+        signal: 'SIGTERM',
+      });
+    });
+
+    test('should fail runs that exit non-zero or time out', () => {
+      const base = { signal: null, stdout: '', stderr: 'oops' };
+      expect(
+        toJobResult('false', { ...base, exitCode: 1, killedFor: null })
+      ).toMatchObject({
+        status: 'failed',
+        exitCode: 1,
+        error: 'Command failed: false\noops',
+      });
+      expect(
+        toJobResult('sleep 30', { ...base, exitCode: null, killedFor: 'timeout' })
+      ).toMatchObject({ status: 'failed', error: 'Command timed out' });
+    });
+  });
+
+  describe('cancel signal', () => {
+    async function claimForWorker(workerId) {
+      return JSON.parse(
+        await redis.processJobs('jobs:hash', 'jobs:queue', 60, workerId)
+      );
+    }
+
+    // Stands in for the worker: kills the job as soon as it is told to
+    async function fakeWorker(workerId) {
+      const subscriber = redis.duplicate();
+      subscriber.on('message', async (channel, jobID) => {
+        await redis.completeJob(
+          'jobs:hash',
+          'jobs:queue',
+          jobID,
+          JSON.stringify({
+            status: 'cancelled',
+            output: 'partial',
+            exitCode: null,
+            signal: 'SIGTERM',
+            finishedAt: new Date(),
+          }),
+          workerId
+        );
+      });
+      await subscriber.subscribe('jobs:queue:cancel');
+      return subscriber;
+    }
+
+    test('should signal the owning worker only for running jobs', async () => {
+      const subscriber = redis.duplicate();
+      const signals = [];
+      subscriber.on('message', (channel, jobID) => signals.push(jobID));
+      await subscriber.subscribe('jobs:queue:cancel');
+
+      await submitJob('sleep 30');
+      await submitJob('sleep 30');
+      const { jobID } = await claimForWorker('worker-a');
+      const pendingID = await redis.lindex('jobs:queue', 0);
+
+      await cancelJob(pendingID);
+      await cancelJob(jobID);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(signals).toEqual([jobID]);
+      await subscriber.quit();
+    });
+
+    test('should wait for the worker to confirm the kill', async () => {
+      const worker = await fakeWorker('worker-a');
+      await submitJob('sleep 30');
+      const { jobID } = await claimForWorker('worker-a');
+
+      expect(await cancelJob(jobID, { wait: true })).toBe('killed');
+
+      const job = await getJob(jobID);
+      expect(job.status).toBe('cancelled');
+      expect(job.output).toBe('partial');
+      expect(job.attemptHistory.at(-1)).toMatchObject({
+        status: 'cancelled',
+        signal: 'SIGTERM',
+      });
+      await worker.quit();
+    });
+
+    test('should give up waiting when no worker confirms', async () => {
+      await submitJob('sleep 30');
+      const { jobID } = await claimForWorker('worker-gone');
+
+      expect(await cancelJob(jobID, { wait: true, timeout: 100 })).toBe(
+        'kill_pending'
+      );
+      expect((await getJob(jobID)).status).toBe('cancelled');
+    });
+
+    test('should not start a job cancelled between claim and spawn', async () => {
+      const running = createRunningJobs();
+      const subscriber = redis.duplicate();
+      subscriber.on('message', (channel, jobID) => running.cancel(jobID));
+      await subscriber.subscribe('jobs:queue:cancel');
+
+      await submitJob('touch should-not-exist');
+      const claimed = {
+        ...(await claimForWorker('worker-a')),
+        queue: 'default',
+      };
+      running.track(claimed.jobID);
+      await cancelJob(claimed.jobID);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const spawn = jest.fn();
+      expect(await running.start(claimed, spawn)).toBeNull();
+      expect(spawn).not.toHaveBeenCalled();
+      await subscriber.quit();
+    });
+
+    test('should not start a job whose cancel came before it was tracked', async () => {
+      const running = createRunningJobs();
+      await submitJob('touch should-not-exist');
+      const claimed = {
+        ...(await claimForWorker('worker-a')),
+        queue: 'default',
+      };
+      // nobody listens, the cancel message is lost
+      await cancelJob(claimed.jobID);
+      running.track(claimed.jobID);
+
+      const spawn = jest.fn();
+      expect(await running.start(claimed, spawn)).toBeNull();
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    test('should not start a job cancelled while it is being started', async () => {
+      const running = createRunningJobs();
+      await submitJob('touch should-not-exist');
+      const claimed = {
+        ...(await claimForWorker('worker-a')),
+        queue: 'default',
+      };
+      running.track(claimed.jobID);
+      // the cancel message is handled before the job's status changed here
+      const starting = running.start(claimed, jest.fn());
+      running.cancel(claimed.jobID);
+
+      expect(await starting).toBeNull();
+    });
+
+    test('should kill a started job when it is cancelled', async () => {
+      const running = createRunningJobs();
+      await submitJob('sleep 30');
+      const claimed = {
+        ...(await claimForWorker('worker-a')),
+        queue: 'default',
+      };
+      running.track(claimed.jobID);
+
+      const handle = { kill: jest.fn() };
+      expect(await running.start(claimed, () => ({ handle }))).toEqual({
+        handle,
+      });
+      expect(running.cancel(claimed.jobID)).toBe(true);
+      expect(handle.kill).toHaveBeenCalledWith('cancelled');
+
+      running.release(claimed.jobID);
+      expect(running.cancel(claimed.jobID)).toBe(false);
+    });
+
+    test('should not wait for jobs that are not running', async () => {
+      await submitJob('echo "queued"');
+      const jobID = await redis.lindex('jobs:queue', 0);
+
+      expect(await cancelJob(jobID, { wait: true })).toBe('cancelled');
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import { submitJob, getJobStatus } from '../src/queue.js';
+import {
+  listDeadJobs,
+  getDeadJob,
+  replayDeadJob,
+  replayDeadJobs,
+  purgeDeadJobs,
+  getDeadLetterCount,
+} from '../src/dead-letter.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Dead-Letter Queue', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+      ['reapStalledJobs', 'reap-stalled-jobs.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  // Submits a job and fails its only attempt
+  async function killJob(command, result = {}) {
+    await submitJob(command);
+    const { jobID } = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({
+        status: 'failed',
+        exitCode: 2,
+        output: 'boom',
+        finishedAt: new Date(),
+        ...result,
+      })
+    );
+    return jobID;
+  }
+
+  test('should move permanently failed jobs out of the jobs hash', async () => {
+    const jobID = await killJob('exit 2', { error: 'Command failed: exit 2' });
+
+    expect(await redis.hexists('jobs:hash', jobID)).toBe(0);
+    expect(await getDeadLetterCount()).toBe(1);
+
+    const job = await getDeadJob(jobID);
+    expect(job.status).toBe('failed');
+    expect(job.failedReason).toBe('Command failed: exit 2');
+    expect(job.deadAt).toBeGreaterThan(0);
+  });
+
+  test('should fall back to the exit code as failure reason', async () => {
+    const jobID = await killJob('exit 2');
+
+    const job = await getDeadJob(jobID);
+    expect(job.failedReason).toBe('Command exited with code 2');
+  });
+
+  test('should still find dead jobs through getJobStatus', async () => {
+    const jobID = await killJob('exit 2');
+
+    const job = await getJobStatus(jobID);
+    expect(job.jobID).toBe(jobID);
+    expect(job.status).toBe('failed');
+  });
+
+  test('should list dead jobs newest first with paging', async () => {
+    const first = await killJob('exit 1');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const second = await killJob('exit 2');
+
+    const page = await listDeadJobs({ limit: 1 });
+    expect(page.total).toBe(2);
+    expect(page.jobs.map((job) => job.jobID)).toEqual([second]);
+
+    const next = await listDeadJobs({ offset: 1, limit: 1 });
+    expect(next.jobs.map((job) => job.jobID)).toEqual([first]);
+  });
+
+  test('should replay a dead job with a fresh attempt budget', async () => {
+    const jobID = await killJob('exit 2');
+
+    expect(await replayDeadJob(jobID)).toBe('replayed');
+    expect(await replayDeadJob(jobID)).toBe('not_found');
+    expect(await getDeadLetterCount()).toBe(0);
+
+    const job = JSON.parse(await redis.hget('jobs:hash', jobID));
+    expect(job.status).toBe('pending');
+    expect(job.attemptsMade).toBe(0);
+    expect(job.replays).toBe(1);
+    expect(job.lastFailedReason).toBe('Command exited with code 2');
+    expect(await redis.lrange('jobs:queue', 0, -1)).toEqual([jobID]);
+  });
+
+  test('should replay a dead job with a fresh stall budget', async () => {
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    // Claims the job with a lease that expires at once, then reaps it
+    async function stall(workerId) {
+      const { jobID } = JSON.parse(
+        await redis.processJobs('jobs:hash', 'jobs:queue', 60, workerId, 1)
+      );
+      await sleep(10);
+      return [jobID, await redis.reapStalledJobs('jobs:hash', 'jobs:queue', 1)];
+    }
+
+    await submitJob('echo "cursed"');
+    const [jobID] = await stall('worker-a');
+    expect((await stall('worker-b'))[1]).toEqual([[], [jobID]]);
+
+    expect(await replayDeadJob(jobID)).toBe('replayed');
+    expect(JSON.parse(await redis.hget('jobs:hash', jobID)).stalls).toBe(0);
+
+    expect((await stall('worker-c'))[1]).toEqual([[jobID], []]);
+    expect((await getJobStatus(jobID)).status).toBe('pending');
+  });
+
+  test('should replay dead jobs back into their priority lane', async () => {
+    await submitJob('exit 1', { priority: 4 });
+    const { jobID } = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status: 'failed', exitCode: 1, finishedAt: new Date() })
+    );
+
+    await replayDeadJob(jobID);
+    expect(await redis.lrange('jobs:queue:priority:4', 0, -1)).toEqual([jobID]);
+  });
+
+  test('should bulk replay all dead jobs', async () => {
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push(await killJob(`exit ${i + 1}`));
+    }
+
+    const replayed = await replayDeadJobs();
+    expect(replayed.sort()).toEqual(ids.sort());
+    expect(await getDeadLetterCount()).toBe(0);
+    expect(await redis.llen('jobs:queue')).toBe(3);
+  });
+
+  test('should purge selected or all dead jobs', async () => {
+    const first = await killJob('exit 1');
+    await killJob('exit 2');
+    await killJob('exit 3');
+
+    expect(await purgeDeadJobs([first, 'missing-job'])).toBe(1);
+    expect(await getDeadJob(first)).toBeNull();
+    expect(await getDeadLetterCount()).toBe(2);
+
+    expect(await purgeDeadJobs()).toBe(2);
+    expect(await getDeadLetterCount()).toBe(0);
+    expect(await redis.exists('jobs:queue:dead')).toBe(0);
+  });
+});
@@ -0,0 +1,209 @@
+import { submitJob, getJob, validateExecOptions } from '../src/queue.js';
+import { runCommand } from '../src/runner.js';
+import { toJobResult, resolveExecOptions } from '../src/worker.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const limits = {
+  timeout: 10000,
+  maxTimeout: 60000,
+  cwd: '/srv',
+  shell: true,
+};
+
+describe('Execution Options', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should hand the job options to the worker that claims it', async () => {
+    await submitJob('./build.sh', {
+      timeout: 120000,
+      cwd: '/srv/app',
+      env: { NODE_ENV: 'production', RETRIES: 3 },
+      shell: '/bin/bash',
+    });
+
+    const claimed = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    expect(claimed).toMatchObject({
+      command: './build.sh',
+      timeout: 120000,
+      cwd: '/srv/app',
+      env: { NODE_ENV: 'production', RETRIES: '3' },
+      shell: '/bin/bash',
+    });
+  });
+
+  test('should leave unset options to the worker', async () => {
+    await submitJob('echo "defaults"', { env: {} });
+
+    const [jobID] = await redis.hkeys('jobs:hash');
+    const job = await getJob(jobID);
+    expect(job).not.toHaveProperty('timeout');
+    expect(job).not.toHaveProperty('env');
+
+    const exec = resolveExecOptions(job, limits);
+    expect(exec).toMatchObject({ timeout: 10000, cwd: '/srv', shell: true });
+    expect(exec.env).toBe(process.env);
+  });
+
+  test('should cap the timeout at the worker limit', () => {
+    expect(resolveExecOptions({ timeout: 5000 }, limits).timeout).toBe(5000);
+    expect(resolveExecOptions({ timeout: 3600000 }, limits).timeout).toBe(
+      60000
+    );
+  });
+
+  test('should add the job env to the worker environment', () => {
+    const { env } = resolveExecOptions({ env: { GREETING: 'hi' } }, limits);
+    expect(env.GREETING).toBe('hi');
+    expect(env.PATH).toBe(process.env.PATH);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => validateExecOptions({ timeout: 0 })).toThrow('timeout');
+    expect(() => validateExecOptions({ timeout: 1.5 })).toThrow('timeout');
+    expect(() => validateExecOptions({ cwd: '' })).toThrow('cwd');
+    expect(() => validateExecOptions({ env: ['A=1'] })).toThrow('env');
+    expect(() => validateExecOptions({ env: { 'BAD-NAME': '1' } })).toThrow(
+      'BAD-NAME'
+    );
+    expect(() => validateExecOptions({ env: { A: { nested: 1 } } })).toThrow(
+      'must be a string'
+    );
+    expect(() => validateExecOptions({ shell: true })).toThrow('shell');
+    expect(() =>
+      validateExecOptions({ timeout: 500, cwd: '/tmp', env: { A: '1' } })
+    ).not.toThrow();
+  });
+
+  test('should run the command with cwd, env and shell', async () => {
+    const cwd = fs.realpathSync(os.tmpdir());
+    const { result } = runCommand('pwd; echo "$GREETING"', {
+      cwd,
+      env: { ...process.env, GREETING: 'hello' },
+      shell: '/bin/sh',
+    });
+
+    expect((await result).stdout).toBe(`${cwd}\nhello\n`);
+  });
+
+  test('should keep output up to maxOutput bytes', async () => {
+    const { result } = runCommand('printf "%0100d" 0; printf "%050d" 0 >&2', {
+      maxOutput: 40,
+    });
+    const run = await result;
+
+    expect(run.stdout).toBe(
+      `${'0'.repeat(40)}\n[output truncated: 60 more bytes]\n`
+    );
+    expect(run.stderr).toBe(
+      `${'0'.repeat(40)}\n[output truncated: 10 more bytes]\n`
+    );
+  });
+
+  test('should keep only the end of the output in the attempt history', async () => {
+    await submitJob('cat big.log', { attempts: 2 });
+    const { jobID } = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    const output = 'a'.repeat(10000) + 'the end';
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({
+        status: 'failed',
+        exitCode: 1,
+        cause: 'exit_code',
+        output,
+        finishedAt: new Date(),
+      })
+    );
+
+    const job = await getJob(jobID);
+    expect(job.output).toBe(output);
+    const [attempt] = job.attemptHistory;
+    expect(attempt.output).toHaveLength('[...]\n'.length + 4096);
+    expect(attempt.output.endsWith('the end')).toBe(true);
+  });
+
+  test('should tell a timeout apart from a failing exit code', async () => {
+    const timedOut = runCommand('sleep 5', { timeout: 100 });
+    expect(
+      toJobResult('sleep 5', await timedOut.result, { timeout: 100 })
+    ).toMatchObject({
+      status: 'failed',
+      cause: 'timeout',
+      error: 'Command timed out after 100ms',
+    });
+
+    const exited = runCommand('exit 3');
+    expect(toJobResult('exit 3', await exited.result)).toMatchObject({
+      status: 'failed',
+      cause: 'exit_code',
+      exitCode: 3,
+    });
+
+    const missingCwd = runCommand('true', { cwd: '/no/such/dir' });
+    expect(toJobResult('true', await missingCwd.result).cause).toBe(
+      'spawn_error'
+    );
+  });
+
+  test('should record why the job failed', async () => {
+    await submitJob('sleep 5', { timeout: 100, attempts: 2 });
+    const { jobID } = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({
+        status: 'failed',
+        exitCode: null,
+        signal: 'SIGTERM',
+        cause: 'timeout',
+        error: 'Command timed out after 100ms',
+        finishedAt: new Date(),
+      })
+    );
+
+    const job = await getJob(jobID);
+    expect(job.failureCause).toBe('timeout');
+    expect(job.attemptHistory[0].cause).toBe('timeout');
+  });
+});
@@ -0,0 +1,273 @@
+import {
+  submitFlow,
+  getFlow,
+  listActiveFlows,
+  validateFlow,
+} from '../src/flows.js';
+import { cancelJob, settleFlowJobs, getJob } from '../src/queue.js';
+import { cleanJobs } from '../src/retention.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// build, then test and lint in parallel, then package
+const pipeline = {
+  jobs: [
+    { name: 'build', command: 'make build' },
+    { name: 'test', command: 'make test' },
+    { name: 'lint', command: 'make lint' },
+    { name: 'package', command: 'make package' },
+  ],
+  edges: [
+    ['build', 'test'],
+    ['build', 'lint'],
+    ['test', 'package'],
+    ['lint', 'package'],
+  ],
+};
+
+describe('Flows', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  // Claims the next job and finishes it the way the worker does
+  async function runNext(status = 'succeeded') {
+    const claimed = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    if (claimed.error) return null;
+
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      claimed.jobID,
+      JSON.stringify({
+        status,
+        exitCode: status === 'succeeded' ? 0 : 1,
+        finishedAt: new Date(),
+      })
+    );
+    await settleFlowJobs();
+    return claimed;
+  }
+
+  async function nodeStatuses(flowId) {
+    const flow = await getFlow(flowId);
+    return Object.fromEntries(
+      flow.nodes.map((node) => [node.name, node.status])
+    );
+  }
+
+  test('should queue only the jobs without parents', async () => {
+    const { flowId, jobs } = await submitFlow(pipeline);
+
+    expect(await redis.lrange('jobs:queue', 0, -1)).toEqual([jobs.build]);
+    expect(await nodeStatuses(flowId)).toEqual({
+      build: 'pending',
+      test: 'blocked',
+      lint: 'blocked',
+      package: 'blocked',
+    });
+
+    const flow = await getFlow(flowId);
+    expect(flow.status).toBe('active');
+    expect(
+      flow.nodes.find((node) => node.name === 'package').waitingOn
+    ).toEqual(['test', 'lint']);
+  });
+
+  test('should release children once all parents succeeded', async () => {
+    const { flowId } = await submitFlow(pipeline);
+
+    expect((await runNext()).command).toBe('make build');
+    expect(await nodeStatuses(flowId)).toMatchObject({
+      test: 'pending',
+      lint: 'pending',
+      package: 'blocked',
+    });
+
+    await runNext();
+    expect((await nodeStatuses(flowId)).package).toBe('blocked');
+    await runNext();
+    expect((await nodeStatuses(flowId)).package).toBe('pending');
+
+    expect((await runNext()).command).toBe('make package');
+    expect((await getFlow(flowId)).status).toBe('succeeded');
+  });
+
+  test('should skip the descendants of a failed job by default', async () => {
+    const { flowId } = await submitFlow(pipeline);
+
+    await runNext('failed');
+
+    expect(await nodeStatuses(flowId)).toEqual({
+      build: 'failed',
+      test: 'skipped',
+      lint: 'skipped',
+      package: 'skipped',
+    });
+    const flow = await getFlow(flowId);
+    expect(flow.status).toBe('failed');
+    expect(flow.nodes.find((node) => node.name === 'test').reason).toBe(
+      'Parent build failed'
+    );
+  });
+
+  test('should cancel the whole flow with the cancel policy', async () => {
+    const { flowId } = await submitFlow({ ...pipeline, onFailure: 'cancel' });
+
+    await runNext();
+    await runNext('failed');
+
+    const statuses = await nodeStatuses(flowId);
+    expect(statuses.build).toBe('succeeded');
+    expect([statuses.test, statuses.lint].sort()).toEqual([
+      'cancelled',
+      'failed',
+    ]);
+    expect(statuses.package).toBe('cancelled');
+    expect(await redis.llen('jobs:queue')).toBe(0);
+  });
+
+  test('should still run children with the run policy', async () => {
+    const { flowId } = await submitFlow({
+      jobs: [
+        { name: 'deploy', command: './deploy.sh' },
+        { name: 'notify', command: './notify.sh', onParentFailure: 'run' },
+      ],
+      edges: [['deploy', 'notify']],
+    });
+
+    await runNext('failed');
+
+    expect((await nodeStatuses(flowId)).notify).toBe('pending');
+    expect((await runNext()).command).toBe('./notify.sh');
+  });
+
+  test('should treat a cancelled parent like a failed one', async () => {
+    const { flowId, jobs } = await submitFlow(pipeline);
+
+    await cancelJob(jobs.build);
+
+    expect(await nodeStatuses(flowId)).toEqual({
+      build: 'cancelled',
+      test: 'skipped',
+      lint: 'skipped',
+      package: 'skipped',
+    });
+    expect((await getFlow(flowId)).status).toBe('cancelled');
+  });
+
+  test('should keep flow fields on the job records', async () => {
+    const { flowId, jobs } = await submitFlow(pipeline);
+
+    const job = await getJob(jobs.package);
+    expect(job).toMatchObject({
+      flowId,
+      flowNode: 'package',
+      status: 'blocked',
+      parents: [jobs.test, jobs.lint],
+    });
+  });
+
+  test('should list only the active flows', async () => {
+    const first = await submitFlow({
+      jobs: [{ name: 'only', command: 'echo only' }],
+    });
+    await runNext();
+    const second = await submitFlow(pipeline);
+
+    const active = await listActiveFlows();
+    expect(active.map((flow) => flow.flowId)).toEqual([second.flowId]);
+    // the finished flow left the index, but not the flows
+    expect(await redis.zrange('jobs:queue:flows:active', 0, -1)).toEqual([
+      second.flowId,
+    ]);
+    expect((await getFlow(first.flowId)).status).toBe('succeeded');
+  });
+
+  test('should delete a flow with its last job', async () => {
+    const { flowId } = await submitFlow({
+      jobs: [
+        { name: 'build', command: 'make build' },
+        { name: 'ship', command: 'make ship' },
+      ],
+      edges: [['build', 'ship']],
+    });
+    await runNext();
+    await runNext();
+
+    expect((await cleanJobs({ status: 'succeeded', keep: 1 })).removed).toBe(1);
+    expect(await getFlow(flowId)).not.toBe(null);
+
+    expect((await cleanJobs({ status: 'succeeded' })).removed).toBe(1);
+    expect(await getFlow(flowId)).toBe(null);
+    expect(await redis.zcard('jobs:queue:flows:active')).toBe(0);
+  });
+
+  test('should reject invalid flows', async () => {
+    expect(() => validateFlow({ jobs: [] })).toThrow('non-empty');
+    expect(() =>
+      validateFlow({
+        jobs: [
+          { name: 'a', command: 'echo a' },
+          { name: 'a', command: 'echo b' },
+        ],
+      })
+    ).toThrow('Duplicate');
+    expect(() =>
+      validateFlow({
+        jobs: [{ name: 'a', command: 'echo a' }],
+        edges: [['a', 'missing']],
+      })
+    ).toThrow('unknown job');
+    expect(() =>
+      validateFlow({
+        jobs: [
+          { name: 'a', command: 'echo a' },
+          { name: 'b', command: 'echo b' },
+        ],
+        edges: [
+          ['a', 'b'],
+          ['b', 'a'],
+        ],
+      })
+    ).toThrow('cycle');
+    expect(() => validateFlow({ ...pipeline, onFailure: 'retry' })).toThrow(
+      'onFailure'
+    );
+
+    await expect(submitFlow({ jobs: [{ name: 'a' }] })).rejects.toThrow(
+      'needs a command'
+    );
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+  });
+});
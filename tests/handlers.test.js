@@ -0,0 +1,217 @@
+import { submitJob, getJob, jobLabel } from '../src/queue.js';
+import { runHandler } from '../src/runner.js';
+import { toHandlerResult } from '../src/worker.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const aborted = (signal) =>
+  new Promise((resolve) => signal.addEventListener('abort', resolve));
+
+describe('Job Handlers', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  describe('runHandler', () => {
+    test('should resolve with the return value and logged output', async () => {
+      const lines = [];
+      const { result } = runHandler(
+        async (job) => {
+          job.log(`building report ${job.data.id}`);
+          return { rows: 42 };
+        },
+        { id: 'job-1', name: 'send-report', data: { id: 7 } },
+        { onOutput: (stream, chunk) => lines.push([stream, chunk]) }
+      );
+
+      const run = await result;
+      expect(run.returnValue).toEqual({ rows: 42 });
+      expect(run.error).toBeUndefined();
+      expect(run.killedFor).toBeNull();
+      expect(run.output).toBe('building report 7\n');
+      expect(lines).toEqual([['stdout', 'building report 7\n']]);
+    });
+
+    test('should report what the handler threw', async () => {
+      const { result } = runHandler(() => {
+        throw new Error('SMTP unavailable');
+      }, {});
+
+      const run = await result;
+      expect(run.error.message).toBe('SMTP unavailable');
+    });
+
+    test('should abort the signal and stop waiting when killed', async () => {
+      let signal;
+      const handle = runHandler(async (job) => {
+        signal = job.signal;
+        await aborted(job.signal);
+        return 'too late';
+      }, {});
+
+      await sleep(10);
+      handle.kill('cancelled');
+      const run = await handle.result;
+
+      expect(signal.aborted).toBe(true);
+      expect(run.killedFor).toBe('cancelled');
+      expect(run.returnValue).toBeUndefined();
+    });
+
+    test('should time out handlers that run too long', async () => {
+      const { result } = runHandler(
+        (job) => aborted(job.signal),
+        {},
+        { timeout: 50 }
+      );
+
+      expect((await result).killedFor).toBe('timeout');
+    });
+  });
+
+  describe('toHandlerResult', () => {
+    const base = { output: '', killedFor: null };
+
+    test('should keep the return value of a successful run', () => {
+      expect(
+        toHandlerResult('send-report', { ...base, returnValue: { rows: 42 } })
+      ).toMatchObject({ status: 'succeeded', returnValue: { rows: 42 } });
+    });
+
+    test('should fail the attempt when the handler threw', () => {
+      expect(
+        toHandlerResult('send-report', { ...base, error: new Error('boom') })
+      ).toMatchObject({
+        status: 'failed',
+        cause: 'handler_error',
+        error: 'boom',
+      });
+    });
+
+    test('should map kills to cancelled and timed out attempts', () => {
+      expect(
+        toHandlerResult('send-report', { ...base, killedFor: 'cancelled' })
+      ).toMatchObject({ status: 'cancelled' });
+      expect(
+        toHandlerResult(
+          'send-report',
+          { ...base, killedFor: 'timeout' },
+          { timeout: 100 }
+        )
+      ).toMatchObject({
+        status: 'failed',
+        cause: 'timeout',
+        error: 'Handler send-report timed out after 100ms',
+      });
+    });
+  });
+
+  test('should queue named jobs with their data', async () => {
+    await submitJob({ name: 'send-report', data: { to: 'ops@example.com' } });
+
+    const claimed = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    expect(claimed).toMatchObject({
+      name: 'send-report',
+      data: { to: 'ops@example.com' },
+      attempt: 1,
+    });
+    expect(claimed.command).toBeUndefined();
+
+    const job = await getJob(claimed.jobID);
+    expect(jobLabel(job)).toBe('send-report (handler)');
+  });
+
+  test('should leave named jobs to workers that have their handler', async () => {
+    await submitJob({ name: 'send-report', data: { id: 1 } });
+    await submitJob('echo "plain"');
+
+    // Claims the next job for a worker with the given handlers
+    const claim = async (workerId, handlers) =>
+      JSON.parse(
+        await redis.processJobs(
+          'jobs:hash',
+          'jobs:queue',
+          60,
+          workerId,
+          30000,
+          JSON.stringify(handlers)
+        )
+      );
+
+    // worker-a has no send-report handler, it gets the command behind it
+    const first = await claim('worker-a', ['resize-image']);
+    expect(first.command).toBe('echo "plain"');
+    expect(await claim('worker-a', ['resize-image'])).toEqual({
+      error: 'no job found',
+    });
+
+    const pending = await getJob((await redis.lrange('jobs:queue', 0, -1))[0]);
+    expect(pending.status).toBe('pending');
+
+    const second = await claim('worker-b', ['send-report']);
+    expect(second).toMatchObject({ name: 'send-report', attempt: 1 });
+    expect(await redis.llen('jobs:queue')).toBe(0);
+  });
+
+  test('should reject invalid handler names', async () => {
+    const logged = [];
+    const originalConsoleLog = console.log;
+    console.log = (...args) => logged.push(args);
+    await submitJob({ name: 'send report!' });
+    console.log = originalConsoleLog;
+
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+    expect(String(logged[0][0])).toContain('Invalid handler name');
+  });
+
+  test('should store the return value as the job result', async () => {
+    await submitJob({ name: 'send-report', data: { id: 1 } });
+    const { jobID } = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+
+    const run = { output: 'sent\n', killedFor: null, returnValue: { sent: 3 } };
+    const status = await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify(toHandlerResult('send-report', run))
+    );
+
+    expect(status).toBe('succeeded');
+    const job = await getJob(jobID);
+    expect(job.result).toEqual({ sent: 3 });
+    expect(job.output).toBe('sent\n');
+  });
+});
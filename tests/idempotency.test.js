@@ -0,0 +1,140 @@
+import { addJob, submitJob, validateDedupOptions } from '../src/queue.js';
+import { redis } from '../src/db/redis.js';
+
+describe('Idempotent Submission', () => {
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should return the new job', async () => {
+    const result = await addJob('echo "once"');
+
+    expect(result).toMatchObject({ status: 'pending', duplicate: false });
+    expect(result.jobID).toMatch(/^job-/);
+    expect(await redis.lrange('jobs:queue', 0, -1)).toEqual([result.jobID]);
+  });
+
+  test('should add a job only once per idempotency key', async () => {
+    const first = await addJob('./charge.sh 42', {
+      idempotencyKey: 'order-42',
+    });
+    const second = await addJob('./charge.sh 42', {
+      idempotencyKey: 'order-42',
+    });
+
+    expect(second).toEqual({
+      jobID: first.jobID,
+      status: 'pending',
+      duplicate: true,
+    });
+    expect(await redis.hlen('jobs:hash')).toBe(1);
+    expect(await redis.llen('jobs:queue')).toBe(1);
+  });
+
+  test('should report the current status of the earlier job', async () => {
+    const { jobID } = await addJob('echo "later"', {
+      idempotencyKey: 'report-7',
+      delay: 60000,
+    });
+    const job = JSON.parse(await redis.hget('jobs:hash', jobID));
+    await redis.hset(
+      'jobs:hash',
+      jobID,
+      JSON.stringify({ ...job, status: 'running' })
+    );
+
+    const again = await addJob('echo "later"', { idempotencyKey: 'report-7' });
+    expect(again).toMatchObject({ jobID, status: 'running', duplicate: true });
+  });
+
+  test('should use a caller supplied job ID', async () => {
+    const first = await addJob('echo "mine"', { jobId: 'nightly-2026-10-19' });
+    const second = await addJob('echo "mine"', { jobId: 'nightly-2026-10-19' });
+
+    expect(first).toEqual({
+      jobID: 'nightly-2026-10-19',
+      status: 'pending',
+      duplicate: false,
+    });
+    expect(second).toMatchObject({
+      jobID: 'nightly-2026-10-19',
+      duplicate: true,
+    });
+    expect(await redis.hlen('jobs:hash')).toBe(1);
+  });
+
+  test('should remember a job ID after the job left the hash', async () => {
+    await addJob('echo "done"', { jobId: 'cleanup-1' });
+    await redis.hdel('jobs:hash', 'cleanup-1');
+
+    const again = await addJob('echo "done"', { jobId: 'cleanup-1' });
+    expect(again).toEqual({
+      jobID: 'cleanup-1',
+      status: null,
+      duplicate: true,
+    });
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+  });
+
+  test('should let dedup entries expire after the window', async () => {
+    await addJob('echo "short"', { idempotencyKey: 'short', dedupWindow: 30 });
+
+    const ttl = await redis.ttl('jobs:queue:dedup:key:short');
+    expect(ttl).toBeGreaterThan(0);
+    expect(ttl).toBeLessThanOrEqual(30);
+
+    await redis.del('jobs:queue:dedup:key:short');
+    const again = await addJob('echo "short"', { idempotencyKey: 'short' });
+    expect(again.duplicate).toBe(false);
+    expect(await redis.hlen('jobs:hash')).toBe(2);
+  });
+
+  test('should keep keys of different queues apart', async () => {
+    const first = await addJob('echo "a"', { idempotencyKey: 'same' });
+    const second = await addJob('echo "b"', {
+      idempotencyKey: 'same',
+      queue: 'emails',
+    });
+
+    expect(second.duplicate).toBe(false);
+    expect(second.jobID).not.toBe(first.jobID);
+  });
+
+  test('should reject invalid options', async () => {
+    expect(() => validateDedupOptions({ idempotencyKey: '' })).toThrow(
+      'idempotencyKey'
+    );
+    expect(() => validateDedupOptions({ idempotencyKey: 'a b' })).toThrow(
+      'idempotencyKey'
+    );
+    expect(() => validateDedupOptions({ jobId: 'job/1' })).toThrow('jobId');
+    expect(() => validateDedupOptions({ dedupWindow: 0 })).toThrow(
+      'dedupWindow'
+    );
+    await expect(addJob('echo "x"', { jobId: 'job/1' })).rejects.toThrow(
+      'jobId'
+    );
+  });
+
+  test('should keep submitJob logging instead of returning', async () => {
+    const logged = [];
+    const originalConsoleLog = console.log;
+    console.log = (...args) => logged.push(args);
+    const first = await submitJob('echo "logged"', { idempotencyKey: 'log-1' });
+    await submitJob('echo "logged"', { idempotencyKey: 'log-1' });
+    console.log = originalConsoleLog;
+
+    expect(first).toBeUndefined();
+    expect(logged[1][0]).toMatch(
+      /^Job Already Submitted: job-.+ - Status: pending$/
+    );
+    expect(await redis.hlen('jobs:hash')).toBe(1);
+  });
+});
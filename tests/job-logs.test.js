@@ -0,0 +1,114 @@
+import { createJobLog, getJobLogs, followJobLogs } from '../src/logs.js';
+import { submitJob, cancelJob, getJob } from '../src/queue.js';
+import { runCommand } from '../src/runner.js';
+import { redis } from '../src/db/redis.js';
+
+describe('Job Logs', () => {
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  async function collect(iterator) {
+    const entries = [];
+    for await (const entry of iterator) {
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  test('should report output while the command runs', async () => {
+    const chunks = [];
+    const handle = runCommand('echo out; echo err >&2', {
+      onOutput: (stream, chunk) => chunks.push([stream, chunk]),
+    });
+    const run = await handle.result;
+
+    expect(run.stdout).toBe('out\n');
+    expect(chunks).toContainEqual(['stdout', 'out\n']);
+    expect(chunks).toContainEqual(['stderr', 'err\n']);
+  });
+
+  test('should store timestamped lines tagged with their stream', async () => {
+    const log = createJobLog('job-1', { attempt: 2 });
+    log.write('stdout', 'first line\nsec');
+    log.write('stderr', 'warning\r\n');
+    log.write('stdout', 'ond line\nno newline');
+    await log.end('succeeded');
+
+    const entries = await getJobLogs('job-1');
+    expect(entries.map(({ stream, line }) => [stream, line])).toEqual([
+      ['stdout', 'first line'],
+      ['stderr', 'warning'],
+      ['stdout', 'second line'],
+      ['stdout', 'no newline'],
+      [undefined, undefined],
+    ]);
+    expect(entries[0].attempt).toBe(2);
+    expect(new Date(entries[0].time).toString()).not.toBe('Invalid Date');
+    expect(entries.at(-1)).toMatchObject({ event: 'end', status: 'succeeded' });
+    expect(await redis.ttl('jobs:queue:logs:job-1')).toBeGreaterThan(0);
+  });
+
+  test('should cap very long lines', async () => {
+    const log = createJobLog('job-1');
+    log.write('stdout', 'x'.repeat(40 * 1024));
+    await log.end();
+
+    const entries = await getJobLogs('job-1');
+    expect(entries.map((entry) => entry.line.length)).toEqual([
+      16 * 1024,
+      16 * 1024,
+      8 * 1024,
+    ]);
+  });
+
+  test('should follow the log until the final attempt ended', async () => {
+    const first = createJobLog('job-1', { attempt: 1 });
+    first.write('stdout', 'try 1\n');
+    await first.end('retrying');
+
+    const following = collect(followJobLogs('job-1', { block: 1000 }));
+
+    const second = createJobLog('job-1', { attempt: 2 });
+    second.write('stdout', 'try 2\n');
+    await second.end('failed');
+
+    const entries = await following;
+    expect(entries.map((entry) => entry.line || entry.status)).toEqual([
+      'try 1',
+      'retrying',
+      'try 2',
+      'failed',
+    ]);
+  });
+
+  test('should stop following a job that finished without running', async () => {
+    await submitJob('echo "never runs"');
+    const [jobID] = await redis.hkeys('jobs:hash');
+    await cancelJob(jobID);
+    expect((await getJob(jobID)).status).toBe('cancelled');
+
+    const entries = await collect(followJobLogs(jobID, { block: 200 }));
+    expect(entries).toEqual([]);
+  });
+
+  test('should stop following when aborted', async () => {
+    await submitJob('sleep 60');
+    const [jobID] = await redis.hkeys('jobs:hash');
+    const controller = new AbortController();
+
+    const following = collect(
+      followJobLogs(jobID, { block: 1000, signal: controller.signal })
+    );
+    setTimeout(() => controller.abort(), 100);
+
+    expect(await following).toEqual([]);
+  });
+});
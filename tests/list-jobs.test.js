@@ -0,0 +1,188 @@
+import { addJob, cancelJob } from '../src/queue.js';
+import { listJobs, validateListQuery, decodeCursor } from '../src/list-jobs.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BASE = Date.parse('2026-10-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+describe('Job Listing', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  // Adds a pending job that pretends to be created hours after BASE
+  async function createJob(jobId, command, hours) {
+    await addJob(command, { jobId });
+    await redis.zadd('jobs:queue:status:pending', BASE + hours * HOUR, jobId);
+    return jobId;
+  }
+
+  async function claim() {
+    return JSON.parse(await redis.processJobs('jobs:hash', 'jobs:queue')).jobID;
+  }
+
+  const ids = (result) => result.jobs.map((job) => job.jobID);
+
+  test('should index jobs by status as they move', async () => {
+    const jobID = await createJob('job-a', 'echo "a"', 0);
+    const score = await redis.zscore('jobs:queue:status:pending', jobID);
+
+    await claim();
+    expect(await redis.zcard('jobs:queue:status:pending')).toBe(0);
+    expect(await redis.zscore('jobs:queue:status:running', jobID)).toBe(score);
+
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status: 'succeeded', exitCode: 0 })
+    );
+    expect(await redis.zcard('jobs:queue:status:running')).toBe(0);
+    expect(await redis.zscore('jobs:queue:status:succeeded', jobID)).toBe(
+      score
+    );
+
+    await createJob('job-b', 'echo "b"', 1);
+    await cancelJob('job-b');
+    expect(await redis.zrange('jobs:queue:status:cancelled', 0, -1)).toEqual([
+      'job-b',
+    ]);
+  });
+
+  test('should list jobs of the given statuses, newest first', async () => {
+    await createJob('job-a', 'echo "a"', 0);
+    await createJob('job-b', 'echo "b"', 1);
+    await createJob('job-c', 'echo "c"', 2);
+    await cancelJob('job-b');
+
+    expect(ids(await listJobs())).toEqual(['job-c', 'job-b', 'job-a']);
+    expect(ids(await listJobs({ status: 'pending' }))).toEqual([
+      'job-c',
+      'job-a',
+    ]);
+    expect(ids(await listJobs({ status: 'cancelled', order: 'asc' }))).toEqual([
+      'job-b',
+    ]);
+    expect((await listJobs({ status: 'running' })).jobs).toEqual([]);
+  });
+
+  test('should page through jobs with a cursor', async () => {
+    for (let i = 0; i < 5; i++) {
+      await createJob(`job-${i}`, `echo ${i}`, i);
+    }
+
+    const first = await listJobs({ limit: 2, order: 'asc' });
+    expect(ids(first)).toEqual(['job-0', 'job-1']);
+    expect(decodeCursor(first.nextCursor)).toEqual({
+      score: BASE + HOUR,
+      jobID: 'job-1',
+    });
+
+    const second = await listJobs({
+      limit: 2,
+      order: 'asc',
+      cursor: first.nextCursor,
+    });
+    expect(ids(second)).toEqual(['job-2', 'job-3']);
+
+    const last = await listJobs({
+      limit: 2,
+      order: 'asc',
+      cursor: second.nextCursor,
+    });
+    expect(ids(last)).toEqual(['job-4']);
+    expect(last.nextCursor).toBe(null);
+  });
+
+  test('should filter by creation time and command', async () => {
+    await createJob('job-a', './deploy.sh staging', 0);
+    await createJob('job-b', 'echo "b"', 5);
+    await createJob('job-c', './DEPLOY.sh prod', 10);
+    await addJob({ name: 'deploy-hook', jobId: 'job-d' });
+
+    expect(
+      ids(
+        await listJobs({
+          from: new Date(BASE + 4 * HOUR).toISOString(),
+          to: BASE + 10 * HOUR,
+          status: 'pending',
+        })
+      )
+    ).toEqual(['job-c', 'job-b']);
+    expect(ids(await listJobs({ command: 'deploy' }))).toEqual([
+      'job-d',
+      'job-c',
+      'job-a',
+    ]);
+  });
+
+  test('should return only the requested fields', async () => {
+    await createJob('job-a', 'echo "a"', 0);
+
+    const { jobs } = await listJobs({ fields: 'status,command,missing' });
+    expect(jobs).toEqual([
+      { jobID: 'job-a', status: 'pending', command: 'echo "a"' },
+    ]);
+  });
+
+  test('should list failed jobs from the dead-letter queue', async () => {
+    const jobID = await createJob('job-a', 'exit 1', 0);
+    await claim();
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status: 'failed', exitCode: 1 })
+    );
+
+    const { jobs } = await listJobs({ status: 'failed' });
+    expect(jobs).toMatchObject([{ jobID, status: 'failed', exitCode: 1 }]);
+  });
+
+  test('should reject invalid queries', async () => {
+    expect(() => validateListQuery({ status: 'done' })).toThrow(
+      'Invalid status: done'
+    );
+    expect(() => validateListQuery({ order: 'newest' })).toThrow('order');
+    expect(() => validateListQuery({ limit: 0 })).toThrow('limit');
+    expect(() => validateListQuery({ limit: 1001 })).toThrow('limit');
+    expect(() => validateListQuery({ from: 'yesterday' })).toThrow(
+      'Invalid date'
+    );
+    expect(() => validateListQuery({ cursor: 'nope' })).toThrow(
+      'Invalid cursor'
+    );
+    await expect(listJobs({ queue: 'bad queue' })).rejects.toThrow(
+      'Invalid queue name'
+    );
+  });
+});
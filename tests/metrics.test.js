@@ -0,0 +1,139 @@
+import { addJob } from '../src/queue.js';
+import { collectQueueMetrics } from '../src/stats.js';
+import { createRegistry, registry } from '../src/metrics.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Metrics', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  // value of one sample in the text format, or undefined
+  function sample(text, series) {
+    const line = text.split('\n').find((line) => line.startsWith(`${series} `));
+    return line && Number(line.slice(series.length + 1));
+  }
+
+  test('should render counters, gauges and histograms', () => {
+    const metrics = createRegistry();
+    const jobs = metrics.counter('jobs_total', 'Jobs', ['queue']);
+    const busy = metrics.gauge('busy', 'Busy slots', ['worker_id']);
+    const run = metrics.histogram('run_seconds', 'Run time', ['queue'], [1, 5]);
+
+    jobs.inc({ queue: 'emails' });
+    jobs.inc({ queue: 'emails' }, 2);
+    busy.inc({ worker_id: 'w"1' });
+    busy.inc({ worker_id: 'w"1' });
+    busy.dec({ worker_id: 'w"1' });
+    run.observe({ queue: 'emails' }, 0.5);
+    run.observe({ queue: 'emails' }, 3);
+    run.observe({ queue: 'emails' }, 8);
+
+    expect(metrics.render()).toBe(
+      [
+        '# HELP jobs_total Jobs',
+        '# TYPE jobs_total counter',
+        'jobs_total{queue="emails"} 3',
+        '# HELP busy Busy slots',
+        '# TYPE busy gauge',
+        'busy{worker_id="w\\"1"} 1',
+        '# HELP run_seconds Run time',
+        '# TYPE run_seconds histogram',
+        'run_seconds_bucket{queue="emails",le="1"} 1',
+        'run_seconds_bucket{queue="emails",le="5"} 2',
+        'run_seconds_bucket{queue="emails",le="+Inf"} 3',
+        'run_seconds_sum{queue="emails"} 11.5',
+        'run_seconds_count{queue="emails"} 3',
+        '',
+      ].join('\n')
+    );
+    expect(() => metrics.counter('jobs_total', 'Again')).toThrow(
+      'already defined'
+    );
+  });
+
+  test('should report queue depth and totals', async () => {
+    const { jobID } = await addJob('echo "done"');
+    await addJob('echo "waiting"');
+    await addJob('echo "mail"', { queue: 'emails' });
+    await redis.processJobs('jobs:hash', 'jobs:queue');
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status: 'succeeded', exitCode: 0 })
+    );
+
+    await collectQueueMetrics(['default', 'emails']);
+    let text = registry.render();
+
+    expect(
+      sample(text, 'synq_queue_jobs{queue="default",status="pending"}')
+    ).toBe(1);
+    expect(
+      sample(text, 'synq_queue_jobs{queue="default",status="succeeded"}')
+    ).toBe(1);
+    expect(
+      sample(text, 'synq_queue_jobs{queue="emails",status="pending"}')
+    ).toBe(1);
+    expect(sample(text, 'synq_jobs_completed_total{queue="default"}')).toBe(1);
+    expect(sample(text, 'synq_jobs_failed_total{queue="default"}')).toBe(0);
+
+    // queues no longer asked for are dropped
+    await collectQueueMetrics(['default']);
+    text = registry.render();
+    expect(
+      sample(text, 'synq_queue_jobs{queue="emails",status="pending"}')
+    ).toBeUndefined();
+  });
+
+  test('should time the Lua scripts', async () => {
+    const series =
+      'synq_redis_script_duration_seconds_count{script="enqueueJob"}';
+    const before = sample(registry.render(), series) ?? 0;
+
+    await addJob('echo "timed"');
+    await addJob('echo "timed"');
+
+    expect(sample(registry.render(), series)).toBe(before + 2);
+  });
+
+  test('should tell workers how long a claimed job waited', async () => {
+    await addJob('echo "wait"');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const claimed = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    expect(claimed.waitMs).toBeGreaterThanOrEqual(0);
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  submitJob,
+  getJob,
+  cancelJob,
+  listQueues,
+} from '../src/queue.js';
+import {
+  queueKeys,
+  setKeyPrefix,
+  isValidQueueName,
+  DEFAULT_QUEUE,
+} from '../src/keys.js';
+import { listDeadJobs, replayDeadJob } from '../src/dead-letter.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Named Queues', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    setKeyPrefix('jobs');
+    const keys = [
+      ...(await redis.keys('jobs:*')),
+      ...(await redis.keys('tenant-b:*')),
+    ];
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should keep the original keys for the default queue', () => {
+    const keys = queueKeys();
+    expect(keys.hash).toBe('jobs:hash');
+    expect(keys.queue).toBe('jobs:queue');
+    expect(keys.lane(5)).toBe('jobs:queue:priority:5');
+    expect(keys.dead).toBe('jobs:queue:dead');
+  });
+
+  test('should store named queues under their own keys', async () => {
+    await submitJob('echo "email"', { queue: 'emails' });
+
+    const keys = queueKeys('emails');
+    expect(keys.hash).toBe('jobs:queues:emails:hash');
+    expect(await redis.hlen(keys.hash)).toBe(1);
+    expect(await redis.llen(keys.queue)).toBe(1);
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+
+    const [jobID] = await redis.hkeys(keys.hash);
+    const job = await getJob(jobID, { queue: 'emails' });
+    expect(job.queue).toBe('emails');
+    expect(await getJob(jobID)).toBeNull();
+  });
+
+  test('should only hand out jobs from the queue being processed', async () => {
+    await submitJob('echo "default"');
+    await submitJob('echo "email"', { queue: 'emails' });
+
+    const emails = queueKeys('emails');
+    const first = JSON.parse(
+      await redis.processJobs(emails.hash, emails.queue)
+    );
+    expect(first.command).toBe('echo "email"');
+
+    const second = JSON.parse(
+      await redis.processJobs(emails.hash, emails.queue)
+    );
+    expect(second.error).toBe('no job found');
+
+    const other = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    expect(other.command).toBe('echo "default"');
+  });
+
+  test('should cancel a job only in its own queue', async () => {
+    await submitJob('sleep 10', { queue: 'emails' });
+    const keys = queueKeys('emails');
+    const [jobID] = await redis.hkeys(keys.hash);
+
+    await cancelJob(jobID, { queue: 'emails' });
+
+    expect((await getJob(jobID, { queue: 'emails' })).status).toBe(
+      'cancelled'
+    );
+    expect(await redis.llen(keys.queue)).toBe(0);
+  });
+
+  test('should keep a separate dead-letter queue per queue', async () => {
+    await submitJob('exit 1', { queue: 'emails' });
+    const keys = queueKeys('emails');
+    const { jobID } = JSON.parse(
+      await redis.processJobs(keys.hash, keys.queue)
+    );
+    await redis.completeJob(
+      keys.hash,
+      keys.queue,
+      jobID,
+      JSON.stringify({ status: 'failed', exitCode: 1, finishedAt: new Date() })
+    );
+
+    expect((await listDeadJobs()).total).toBe(0);
+    expect((await listDeadJobs({ queue: 'emails' })).total).toBe(1);
+
+    expect(await replayDeadJob(jobID)).toBe('not_found');
+    expect(await replayDeadJob(jobID, { queue: 'emails' })).toBe('replayed');
+    expect(await redis.llen(keys.queue)).toBe(1);
+  });
+
+  test('should list every queue that has seen a job', async () => {
+    await submitJob('echo "a"', { queue: 'reports' });
+    await submitJob('echo "b"', { queue: 'emails' });
+
+    expect(await listQueues()).toEqual([DEFAULT_QUEUE, 'emails', 'reports']);
+  });
+
+  test('should reject invalid queue names', async () => {
+    expect(isValidQueueName('emails')).toBe(true);
+    expect(isValidQueueName('bad:name')).toBe(false);
+    expect(isValidQueueName('')).toBe(false);
+
+    await submitJob('echo "nope"', { queue: 'bad:name' });
+    expect(await redis.keys('jobs:queues:bad*')).toHaveLength(0);
+  });
+
+  test('should namespace every key with the key prefix', async () => {
+    setKeyPrefix('tenant-b');
+    await submitJob('echo "isolated"');
+
+    expect(queueKeys().hash).toBe('tenant-b:hash');
+    expect(await redis.hlen('tenant-b:hash')).toBe(1);
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+  });
+});
@@ -0,0 +1,242 @@
+import {
+  validateCommandPolicy,
+  defaultCommandPolicy,
+  setCommandPolicy,
+  getCommandPolicy,
+  removeCommandPolicy,
+  commandPolicies,
+  findPolicyViolation,
+} from '../src/policy.js';
+import { addJob, getJob } from '../src/queue.js';
+import { submitFlow } from '../src/flows.js';
+import { addRecurringJob } from '../src/recurring.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Command policy', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    delete process.env.SYNQ_COMMAND_POLICY;
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should check length, deny rules and allowed executables', () => {
+    const policies = [
+      { allow: ['echo', './report.sh'], deny: ['rm\\s+-rf'], maxLength: 40 },
+    ];
+
+    expect(findPolicyViolation('echo "hi" | ./report.sh', policies)).toBe(null);
+    expect(findPolicyViolation('echo "a;b" && echo "#"', policies)).toBe(null);
+    expect(findPolicyViolation(`echo ${'x'.repeat(40)}`, policies)).toBe(
+      'Command is longer than 40 characters'
+    );
+    expect(findPolicyViolation('echo rm -rf /', policies)).toMatch('deny rule');
+    expect(findPolicyViolation('echo ok && curl evil', policies)).toBe(
+      'curl is not an allowed executable'
+    );
+    expect(findPolicyViolation('echo ok\nbash', policies)).toBe(
+      'bash is not an allowed executable'
+    );
+    expect(findPolicyViolation('echo $(curl evil)', policies)).toMatch(
+      'substitution'
+    );
+    expect(findPolicyViolation('echo `id`', policies)).toMatch('substitution');
+    expect(findPolicyViolation('(bash)', policies)).toMatch('substitution');
+    // quoted operators don't start a command
+    expect(findPolicyViolation("echo 'a | bash'", policies)).toBe(null);
+    expect(findPolicyViolation('anything', [])).toBe(null);
+  });
+
+  test('should reject what the allowlist check cannot follow', () => {
+    const policies = [{ allow: ['echo'] }];
+
+    // bash reads $'\'' as one quote, so the ; between them split commands
+    expect(
+      findPolicyViolation(
+        "echo $'\\'' ; touch /tmp/pwned_synq ; echo $'\\''",
+        policies
+      )
+    ).toMatch("$'...' quoting");
+    expect(findPolicyViolation('echo $"a"; curl x', policies)).toMatch(
+      'quoting'
+    );
+    expect(findPolicyViolation('echo "$(curl x)"', policies)).toMatch(
+      'substitution'
+    );
+    expect(findPolicyViolation('echo "`id`"', policies)).toMatch(
+      'substitution'
+    );
+    expect(findPolicyViolation('echo hi > /etc/passwd', policies)).toMatch(
+      'Redirects'
+    );
+    expect(findPolicyViolation('echo hi 2>&1', policies)).toMatch('Redirects');
+    expect(findPolicyViolation('echo <<EOF\ncurl\nEOF', policies)).toMatch(
+      'heredocs'
+    );
+    // a comment would hide the quote that seems to swallow the next line
+    expect(findPolicyViolation("echo # '\ncurl x '", policies)).toMatch(
+      'Comments'
+    );
+    expect(findPolicyViolation("echo 'open", policies)).toMatch('Unterminated');
+    expect(findPolicyViolation('echo a\\;b', policies)).toBe(null);
+  });
+
+  test('should not let jobs change how commands run under a policy', () => {
+    const allow = [{ allow: ['echo'] }];
+    const deny = [{ deny: ['curl'] }];
+
+    for (const policies of [allow, deny]) {
+      expect(
+        findPolicyViolation('echo hi', policies, { env: { PATH: '/tmp' } })
+      ).toMatch('Jobs may not set env');
+      expect(
+        findPolicyViolation('echo hi', policies, {
+          env: { BASH_ENV: '/tmp/evil.sh' },
+        })
+      ).toMatch('env');
+      expect(
+        findPolicyViolation('echo hi', policies, {
+          env: { LD_PRELOAD: '/tmp/evil.so' },
+        })
+      ).toMatch('env');
+      expect(
+        findPolicyViolation('echo hi', policies, { shell: '/usr/bin/python3' })
+      ).toMatch('Jobs may not set shell');
+      expect(findPolicyViolation('echo hi', policies, { cwd: '/tmp' })).toMatch(
+        'Jobs may not set cwd'
+      );
+      expect(findPolicyViolation('echo hi', policies, { env: {} })).toBe(null);
+    }
+    // a length limit alone doesn't care
+    expect(
+      findPolicyViolation('curl x', [{ maxLength: 100 }], { cwd: '/tmp' })
+    ).toBe(null);
+  });
+
+  test('should validate policies', () => {
+    expect(() => validateCommandPolicy({})).toThrow('Set allow');
+    expect(() => validateCommandPolicy({ allow: [] })).toThrow('allow');
+    expect(() => validateCommandPolicy({ allow: ['rm -rf'] })).toThrow('allow');
+    expect(() => validateCommandPolicy({ deny: ['('] })).toThrow(
+      'Invalid deny rule'
+    );
+    expect(() => validateCommandPolicy({ maxLength: 0 })).toThrow('maxLength');
+
+    process.env.SYNQ_COMMAND_POLICY = 'not json';
+    expect(() => defaultCommandPolicy()).toThrow('SYNQ_COMMAND_POLICY');
+  });
+
+  test('should set, show and remove a queue policy', async () => {
+    expect(
+      await setCommandPolicy({
+        queue: 'emails',
+        allow: ['echo', 'echo'],
+        maxLength: 100,
+      })
+    ).toEqual({ queue: 'emails', allow: ['echo'], maxLength: 100 });
+    expect(await getCommandPolicy({ queue: 'emails' })).toEqual({
+      queue: 'emails',
+      allow: ['echo'],
+      maxLength: 100,
+    });
+    expect(await getCommandPolicy()).toBe(null);
+
+    expect(await removeCommandPolicy({ queue: 'emails' })).toBe('removed');
+    expect(await removeCommandPolicy({ queue: 'emails' })).toBe('not_found');
+  });
+
+  test('should apply the default policy and the queue policy', async () => {
+    process.env.SYNQ_COMMAND_POLICY = JSON.stringify({ deny: ['sudo'] });
+    await setCommandPolicy({ queue: 'emails', allow: ['echo', 'sudo'] });
+
+    const policies = await commandPolicies('emails');
+    expect(findPolicyViolation('echo hi', policies)).toBe(null);
+    expect(findPolicyViolation('sudo echo hi', policies)).toMatch('sudo');
+    expect(
+      findPolicyViolation('curl x', await commandPolicies('default'))
+    ).toBe(null);
+  });
+
+  test('should reject commands before they are queued', async () => {
+    await setCommandPolicy({ allow: ['echo'] });
+
+    await expect(addJob('curl http://evil')).rejects.toThrow(
+      'Command rejected by policy: curl is not an allowed executable'
+    );
+    await expect(addJob('   ')).rejects.toThrow(
+      'Command must be a non-empty string'
+    );
+    await expect(
+      addJob('echo hi', { env: { BASH_ENV: '/tmp/evil.sh' } })
+    ).rejects.toThrow('Jobs may not set env');
+    await expect(
+      submitFlow({ jobs: [{ name: 'a', command: 'echo a', cwd: '/tmp' }] })
+    ).rejects.toThrow('Jobs may not set cwd');
+    await expect(
+      submitFlow({
+        jobs: [
+          { name: 'build', command: 'echo build' },
+          { name: 'ship', command: 'scp out host:', dependsOn: ['build'] },
+        ],
+      })
+    ).rejects.toThrow('Command rejected by policy');
+    await expect(
+      addRecurringJob('nightly', '0 2 * * *', 'curl http://evil')
+    ).rejects.toThrow('Command rejected by policy');
+    expect(await redis.llen('jobs:queue')).toBe(0);
+
+    // handler jobs run no command
+    const { jobID } = await addJob(undefined, { name: 'send-report' });
+    expect((await getJob(jobID)).status).toBe('pending');
+  });
+
+  test('should fail a rejected job without retrying it', async () => {
+    const { jobID } = await addJob('curl http://internal', { attempts: 3 });
+    await redis.processJobs('jobs:hash', 'jobs:queue');
+
+    const status = await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({
+        finishedAt: new Date(),
+        status: 'failed',
+        cause: 'policy',
+        error: 'Command rejected by policy: curl is not an allowed executable',
+      })
+    );
+
+    expect(status).toBe('failed');
+    const job = await getJob(jobID);
+    expect(job.status).toBe('failed');
+    expect(job.failureCause).toBe('policy');
+    expect(job.attemptHistory).toHaveLength(1);
+  });
+});
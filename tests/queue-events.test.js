@@ -0,0 +1,232 @@
+import { addJob, cancelJob } from '../src/queue.js';
+import { QueueEvents, QUEUE_EVENTS, updateJobProgress } from '../src/events.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Queue Events', () => {
+  const open = [];
+
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+      ['reapStalledJobs', 'reap-stalled-jobs.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  afterEach(async () => {
+    await Promise.all(open.splice(0).map((events) => events.close()));
+  });
+
+  // Subscribes to every event and collects them in order
+  async function subscribe(options) {
+    const events = new QueueEvents({ block: 100, ...options });
+    open.push(events);
+    const seen = [];
+    for (const event of QUEUE_EVENTS) {
+      events.on(event, (data, id) => seen.push({ event, id, ...data }));
+    }
+    await events.waitUntilReady();
+    return seen;
+  }
+
+  async function waitFor(seen, count) {
+    for (let i = 0; i < 200 && seen.length < count; i++) {
+      await sleep(10);
+    }
+  }
+
+  const names = (seen) => seen.map(({ event }) => event);
+
+  async function claim(workerId, lease) {
+    return JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue', 60, workerId, lease)
+    ).jobID;
+  }
+
+  async function complete(jobID, result, workerId) {
+    return redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify(result),
+      workerId
+    );
+  }
+
+  test('should emit the life of a job', async () => {
+    const seen = await subscribe();
+
+    const { jobID } = await addJob('echo "hi"');
+    await claim('worker-a');
+    await complete(
+      jobID,
+      { status: 'succeeded', exitCode: 0, returnValue: { sent: 3 } },
+      'worker-a'
+    );
+    await waitFor(seen, 3);
+
+    expect(seen).toMatchObject([
+      { event: 'waiting', jobID },
+      { event: 'active', jobID, attempt: 1, workerId: 'worker-a' },
+      {
+        event: 'completed',
+        jobID,
+        attempt: 1,
+        exitCode: 0,
+        returnValue: { sent: 3 },
+      },
+    ]);
+  });
+
+  test('should emit failed attempts and whether they are retried', async () => {
+    const seen = await subscribe();
+
+    const { jobID } = await addJob('exit 1', { attempts: 2 });
+    await claim();
+    await complete(jobID, {
+      status: 'failed',
+      exitCode: 1,
+      cause: 'exit_code',
+    });
+    // the retry is due right away
+    await claim();
+    await complete(jobID, {
+      status: 'failed',
+      exitCode: 1,
+      cause: 'exit_code',
+    });
+    await waitFor(seen, 6);
+
+    expect(names(seen)).toEqual([
+      'waiting',
+      'active',
+      'failed',
+      'waiting',
+      'active',
+      'failed',
+    ]);
+    expect(seen[2]).toMatchObject({ attempt: 1, willRetry: true });
+    expect(seen[5]).toMatchObject({
+      attempt: 2,
+      willRetry: false,
+      cause: 'exit_code',
+      error: 'Command exited with code 1',
+    });
+  });
+
+  test('should emit cancelled once', async () => {
+    const seen = await subscribe();
+
+    const { jobID } = await addJob('sleep 60');
+    await cancelJob(jobID);
+    await cancelJob(jobID);
+    await waitFor(seen, 2);
+    await sleep(50);
+
+    expect(names(seen)).toEqual(['waiting', 'cancelled']);
+  });
+
+  test('should emit progress of running jobs', async () => {
+    const seen = await subscribe();
+
+    const { jobID } = await addJob({ name: 'import' });
+    expect(await updateJobProgress(jobID, 10)).toBe('not_running');
+    await claim();
+    expect(await updateJobProgress(jobID, { done: 5, total: 10 })).toBe('ok');
+    expect(await updateJobProgress('job-missing', 1)).toBe('not_found');
+    await waitFor(seen, 3);
+
+    expect(seen[2]).toMatchObject({
+      event: 'progress',
+      jobID,
+      progress: { done: 5, total: 10 },
+      attempt: 1,
+    });
+    const job = JSON.parse(await redis.hget('jobs:hash', jobID));
+    expect(job.progress).toEqual({ done: 5, total: 10 });
+    await expect(updateJobProgress(jobID, 'half')).rejects.toThrow('Progress');
+  });
+
+  test('should emit stalled jobs', async () => {
+    const seen = await subscribe();
+
+    const { jobID } = await addJob('sleep 60');
+    await claim('worker-a', 1);
+    await sleep(10);
+    await redis.reapStalledJobs('jobs:hash', 'jobs:queue', 1);
+    await waitFor(seen, 4);
+
+    expect(names(seen)).toEqual(['waiting', 'active', 'stalled', 'waiting']);
+    expect(seen[2]).toMatchObject({ jobID, workerId: 'worker-a', stalls: 1 });
+  });
+
+  test('should resume after the last event seen', async () => {
+    const first = await addJob('echo "one"');
+    const [[firstId]] = await redis.xrange('jobs:queue:events', '-', '+');
+    const second = await addJob('echo "two"');
+
+    const seen = await subscribe({ lastEventId: firstId });
+    await waitFor(seen, 1);
+    await sleep(50);
+
+    expect(seen.map(({ jobID }) => jobID)).toEqual([second.jobID]);
+    expect(seen.map(({ jobID }) => jobID)).not.toContain(first.jobID);
+    expect(open[0].lastEventId).toBe(seen[0].id);
+
+    const all = await subscribe({ lastEventId: '0' });
+    await waitFor(all, 2);
+    expect(all.map(({ jobID }) => jobID)).toEqual([first.jobID, second.jobID]);
+  });
+
+  test('should only emit new events by default', async () => {
+    await addJob('echo "before"');
+    const seen = await subscribe();
+    const { jobID } = await addJob('echo "after"');
+    await waitFor(seen, 1);
+    await sleep(50);
+
+    expect(seen).toMatchObject([{ event: 'waiting', jobID }]);
+  });
+
+  test('should keep queues apart', async () => {
+    const seen = await subscribe({ queue: 'emails' });
+
+    await addJob('echo "default"');
+    const { jobID } = await addJob('echo "mail"', { queue: 'emails' });
+    await waitFor(seen, 1);
+    await sleep(50);
+
+    expect(seen).toMatchObject([{ event: 'waiting', jobID }]);
+    expect(() => new QueueEvents({ queue: 'bad queue' })).toThrow(
+      'Invalid queue name'
+    );
+  });
+});
@@ -1,5 +1,19 @@
 import { submitJob, cancelJob } from '../src/queue.js';
 import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+redis.defineCommand("processJobs", {
+  numberOfKeys: 2,
+  lua: fs.readFileSync(
+    path.join(__dirname, "../src/jobs_lua_scripts/process-jobs.lua"),
+    "utf8"
+  ),
+});
 
 // Simple test runners
 let testCount = 0;
@@ -107,7 +121,30 @@ async function runTests() {
     console.log(`   ✅ Job cancellation works correctly`);
   });
 
-  // Test 5: Redis connection
+  // Test 5: Concurrent claims through the worker's claim script
+  await test("Concurrent claims should hand out each job once", async () => {
+    await cleanup();
+
+    for (let i = 0; i < 20; i++) {
+      await submitJob(`echo "claim test ${i}"`);
+    }
+
+    // 4 workers x 8 slots claim at the same time, more slots than jobs
+    const claims = Array.from({ length: 32 }, () =>
+      redis.processJobs("jobs:hash", "jobs:queue")
+    );
+    const results = (await Promise.all(claims)).map((result) =>
+      JSON.parse(result)
+    );
+
+    const claimed = results.filter((result) => !result.error);
+    const uniqueJobs = new Set(claimed.map((result) => result.jobID));
+    assert(claimed.length === 20, `Expected 20 claims, got ${claimed.length}`);
+    assert(uniqueJobs.size === 20, `Expected 20 unique jobs, got ${uniqueJobs.size}`);
+    console.log(`   ✅ ${uniqueJobs.size} jobs claimed once across 32 slots`);
+  });
+
+  // Test 6: Redis connection
   await test("Redis connection should be healthy", async () => {
     const pong = await redis.ping();
     assert(pong === "PONG", "Redis should respond with PONG");
@@ -0,0 +1,147 @@
+import { submitJob, getJob } from '../src/queue.js';
+import {
+  setRateLimit,
+  getRateLimit,
+  removeRateLimit,
+  validateRateLimit,
+} from '../src/rate-limit.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Rate Limiting', () => {
+  beforeAll(() => {
+    redis.defineCommand('processJobs', {
+      numberOfKeys: 2,
+      lua: fs.readFileSync(
+        path.join(__dirname, '../src/jobs_lua_scripts/process-jobs.lua'),
+        'utf8'
+      ),
+    });
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  async function claim() {
+    return JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue', 60, 'worker-a')
+    );
+  }
+
+  test('should stop claiming once the queue used up its window', async () => {
+    await setRateLimit({ max: 2, duration: 60000 });
+    await submitJob('curl http://internal/1');
+    await submitJob('curl http://internal/2');
+    await submitJob('curl http://internal/3');
+
+    expect((await claim()).command).toBe('curl http://internal/1');
+    expect((await claim()).command).toBe('curl http://internal/2');
+
+    const limited = await claim();
+    expect(limited.error).toBe('rate_limited');
+    expect(limited.retryAt).toBeGreaterThan(Date.now() + 50000);
+
+    // the job over the limit waits at the head of the queue
+    const [waitingID] = await redis.lrange('jobs:queue', 0, -1);
+    expect((await getJob(waitingID)).status).toBe('pending');
+  });
+
+  test('should claim again once the limit is removed', async () => {
+    await setRateLimit({ max: 1, duration: 60000 });
+    await submitJob('echo "first"');
+    await submitJob('echo "second"');
+
+    await claim();
+    expect((await claim()).error).toBe('rate_limited');
+
+    expect(await removeRateLimit()).toBe('removed');
+    expect((await claim()).command).toBe('echo "second"');
+    expect(await removeRateLimit()).toBe('not_found');
+  });
+
+  test('should make jobs of a busy group wait without blocking others', async () => {
+    await setRateLimit({ groupMax: 1, groupDuration: 60000 });
+    await submitJob('sync tenant-1 a', { group: 'tenant:1' });
+    await submitJob('sync tenant-1 b', { group: 'tenant:1' });
+    await submitJob('sync tenant-2 a', { group: 'tenant:2' });
+    await submitJob('no group');
+
+    expect((await claim()).command).toBe('sync tenant-1 a');
+
+    const deferred = await claim();
+    expect(deferred.error).toBe('group_rate_limited');
+    const job = await getJob(deferred.jobID);
+    expect(job.status).toBe('scheduled');
+    expect(job.rateLimitDelays).toBe(1);
+    expect(await redis.zscore('jobs:queue:scheduled', deferred.jobID)).toBe(
+      String(deferred.retryAt)
+    );
+
+    expect((await claim()).command).toBe('sync tenant-2 a');
+    expect((await claim()).command).toBe('no group');
+  });
+
+  test('should report the limiter state', async () => {
+    await setRateLimit({
+      max: 10,
+      duration: 60000,
+      groupMax: 1,
+      groupDuration: 30000,
+    });
+    await submitJob('sync tenant-1', { group: 'tenant:1' });
+    await submitJob('sync tenant-2', { group: 'tenant:2' });
+    await claim();
+
+    const state = await getRateLimit();
+    expect(state).toMatchObject({
+      queue: 'default',
+      max: 10,
+      duration: 60000,
+      used: 1,
+      remaining: 9,
+      resetAt: null,
+      groupMax: 1,
+      groupDuration: 30000,
+    });
+    expect(state.groups['tenant:1']).toMatchObject({ used: 1, remaining: 0 });
+    expect(state.groups['tenant:1'].resetAt).toBeGreaterThan(Date.now());
+    expect(state.groups).not.toHaveProperty('tenant:2');
+  });
+
+  test('should have no state without a limit', async () => {
+    expect(await getRateLimit()).toBeNull();
+  });
+
+  test('should reject incomplete limits', () => {
+    expect(() => validateRateLimit({})).toThrow('Set max and duration');
+    expect(() => validateRateLimit({ max: 50 })).toThrow('duration');
+    expect(() => validateRateLimit({ max: 50, duration: -1 })).toThrow(
+      'positive'
+    );
+    expect(() => validateRateLimit({ groupMax: 5 })).toThrow('groupDuration');
+    expect(() => validateRateLimit({ max: 50, duration: 60000 })).not.toThrow();
+  });
+
+  test('should reject invalid group keys', async () => {
+    const originalConsoleLog = console.log;
+    console.log = () => {};
+    await submitJob('echo "bad group"', { group: 'tenant 1' });
+    console.log = originalConsoleLog;
+
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+  });
+});
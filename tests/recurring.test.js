@@ -0,0 +1,113 @@
+import {
+  addRecurringJob,
+  listRecurringJobs,
+  removeRecurringJob,
+  fireDueRecurringJobs,
+  getNextRunAt,
+} from '../src/recurring.js';
+import { setCommandPolicy, removeCommandPolicy } from '../src/policy.js';
+import { redis } from '../src/db/redis.js';
+
+describe('Recurring Jobs', () => {
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should register a recurring job with its next run', async () => {
+    const job = await addRecurringJob('nightly', '0 2 * * *', 'echo "nightly"', {
+      timezone: 'Europe/Berlin',
+    });
+
+    expect(job.nextRunAt).toBe(getNextRunAt('0 2 * * *', 'Europe/Berlin'));
+
+    const jobs = await listRecurringJobs();
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toEqual(
+      expect.objectContaining({
+        name: 'nightly',
+        cron: '0 2 * * *',
+        command: 'echo "nightly"',
+        timezone: 'Europe/Berlin',
+        nextRunAt: job.nextRunAt,
+      })
+    );
+  });
+
+  test('should reject invalid cron expressions and timezones', async () => {
+    await expect(addRecurringJob('bad', 'not a cron', 'echo')).rejects.toThrow(
+      /Invalid cron expression/
+    );
+    await expect(
+      addRecurringJob('bad', '* * * * *', 'echo', { timezone: 'Nowhere/Void' })
+    ).rejects.toThrow(/Invalid cron expression/);
+    expect(await listRecurringJobs()).toHaveLength(0);
+  });
+
+  test('should remove recurring jobs', async () => {
+    await addRecurringJob('tmp', '* * * * *', 'echo "tmp"');
+
+    expect(await removeRecurringJob('tmp')).toBe('removed');
+    expect(await removeRecurringJob('tmp')).toBe('not_found');
+    expect(await listRecurringJobs()).toHaveLength(0);
+  });
+
+  test('should enqueue a normal job when a tick is due', async () => {
+    await addRecurringJob('every-minute', '* * * * *', 'echo "tick"');
+    await redis.zadd('jobs:recurring:next', Date.now() - 1000, 'every-minute');
+
+    expect(await fireDueRecurringJobs()).toBe(1);
+
+    expect(await redis.llen('jobs:queue')).toBe(1);
+    const jobId = await redis.lindex('jobs:queue', 0);
+    const job = JSON.parse(await redis.hget('jobs:hash', jobId));
+    expect(job.command).toBe('echo "tick"');
+    expect(job.status).toBe('pending');
+
+    // the next tick moves into the future
+    const [next] = await listRecurringJobs();
+    expect(next.nextRunAt).toBeGreaterThan(Date.now());
+  });
+
+  test('should fire each tick only once across concurrent schedulers', async () => {
+    await addRecurringJob('contended', '* * * * *', 'echo "once"');
+    await redis.zadd('jobs:recurring:next', Date.now() - 1000, 'contended');
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => fireDueRecurringJobs())
+    );
+
+    expect(results.reduce((sum, fired) => sum + fired, 0)).toBe(1);
+    expect(await redis.hlen('jobs:hash')).toBe(1);
+  });
+
+  test('should retry a tick whose job could not be submitted', async () => {
+    await addRecurringJob('yearly', '0 0 1 1 *', 'curl http://example');
+    await redis.zadd('jobs:recurring:next', Date.now() - 1000, 'yearly');
+    // the policy changed after the job was registered
+    await setCommandPolicy({ allow: ['echo'] });
+
+    const now = Date.now();
+    expect(await fireDueRecurringJobs(now)).toBe(0);
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+    const retryAt = Number(await redis.zscore('jobs:recurring:next', 'yearly'));
+    expect(retryAt).toBe(now + 10000);
+
+    await removeCommandPolicy();
+    expect(await fireDueRecurringJobs(retryAt)).toBe(1);
+    expect(await redis.hlen('jobs:hash')).toBe(1);
+  });
+
+  test('should not fire ticks that are not due yet', async () => {
+    await addRecurringJob('later', '0 0 1 1 *', 'echo "new year"');
+
+    expect(await fireDueRecurringJobs()).toBe(0);
+    expect(await redis.hlen('jobs:hash')).toBe(0);
+  });
+});
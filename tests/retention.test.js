@@ -0,0 +1,249 @@
+import { submitJob, cancelJob, getJob } from '../src/queue.js';
+import {
+  cleanJobs,
+  removeJob,
+  setRetention,
+  getRetention,
+  removeRetention,
+  applyRetention,
+  validateRetention,
+  parseDuration,
+} from '../src/retention.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Retention', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  // Runs the next queued job to the given status and returns its ID
+  async function finishJob(command, status = 'succeeded') {
+    await submitJob(command);
+    const { jobID } = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue')
+    );
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status, exitCode: status === 'succeeded' ? 0 : 1 })
+    );
+    return jobID;
+  }
+
+  // Pretends the job finished daysAgo days ago
+  async function age(index, jobID, daysAgo) {
+    await redis.zadd(index, Date.now() - daysAgo * DAY, jobID);
+  }
+
+  test('should index finished jobs by status', async () => {
+    const succeeded = await finishJob('echo "ok"');
+    const failed = await finishJob('exit 1', 'failed');
+    await submitJob('echo "cancel me"');
+    const [cancelled] = await redis.lrange('jobs:queue', 0, -1);
+    await cancelJob(cancelled);
+
+    expect(await redis.zrange('jobs:queue:finished:succeeded', 0, -1)).toEqual([
+      succeeded,
+    ]);
+    expect(await redis.zrange('jobs:queue:finished:cancelled', 0, -1)).toEqual([
+      cancelled,
+    ]);
+    // failed jobs are found through the dead-letter index
+    expect(await redis.zrange('jobs:queue:dead:index', 0, -1)).toEqual([
+      failed,
+    ]);
+  });
+
+  test('should leave a finished job alone when it gets cancelled', async () => {
+    const jobID = await finishJob('echo "ok"');
+
+    expect(await cancelJob(jobID)).toBe('already_finished');
+    expect((await getJob(jobID)).status).toBe('succeeded');
+    expect(await redis.zscore('jobs:queue:finished:succeeded', jobID)).not.toBe(
+      null
+    );
+    expect(await redis.zcard('jobs:queue:finished:cancelled')).toBe(0);
+    expect(await redis.hget('jobs:queue:stats', 'cancelled')).toBe(null);
+  });
+
+  test('should remove one finished job', async () => {
+    const jobID = await finishJob('echo "ok"');
+    await submitJob('echo "waiting"');
+    const [pending] = await redis.lrange('jobs:queue', 0, -1);
+
+    expect(await removeJob(pending)).toBe('not_finished');
+    expect(await removeJob(jobID)).toBe('removed');
+    expect(await redis.hexists('jobs:hash', jobID)).toBe(0);
+    expect(await removeJob(jobID)).toBe('not_found');
+  });
+
+  test('should delete jobs older than the cutoff with their logs', async () => {
+    const old = await finishJob('echo "old"');
+    const recent = await finishJob('echo "recent"');
+    await age('jobs:queue:finished:succeeded', old, 10);
+    await redis.xadd(`jobs:queue:logs:${old}`, '*', 'line', 'old');
+
+    const result = await cleanJobs({ status: 'succeeded', olderThan: '7d' });
+
+    expect(result).toEqual({
+      queue: 'default',
+      status: 'succeeded',
+      removed: 1,
+      archived: 0,
+    });
+    expect(await redis.hexists('jobs:hash', old)).toBe(0);
+    expect(await redis.exists(`jobs:queue:logs:${old}`)).toBe(0);
+    expect(await redis.hexists('jobs:hash', recent)).toBe(1);
+    expect(await redis.zrange('jobs:queue:finished:succeeded', 0, -1)).toEqual([
+      recent,
+    ]);
+  });
+
+  test('should keep the newest jobs', async () => {
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(await finishJob(`echo ${i}`));
+      await age('jobs:queue:finished:succeeded', ids[i], 5 - i);
+    }
+
+    const { removed } = await cleanJobs({ status: 'succeeded', keep: 2 });
+
+    expect(removed).toBe(3);
+    expect((await redis.hkeys('jobs:hash')).sort()).toEqual(
+      ids.slice(3).sort()
+    );
+  });
+
+  test('should only count the jobs it deleted', async () => {
+    const jobID = await finishJob('echo "ok"');
+    // an index entry whose job is already gone
+    await redis.zadd('jobs:queue:finished:succeeded', 1, 'job-gone');
+
+    const { removed } = await cleanJobs({ status: 'succeeded' });
+
+    expect(removed).toBe(1);
+    expect(await redis.hexists('jobs:hash', jobID)).toBe(0);
+    expect(await redis.zcard('jobs:queue:finished:succeeded')).toBe(0);
+  });
+
+  test('should clean failed jobs from the dead-letter queue', async () => {
+    const failed = await finishJob('exit 1', 'failed');
+    await age('jobs:queue:dead:index', failed, 40);
+
+    const { removed } = await cleanJobs({ status: 'failed', olderThan: '30d' });
+
+    expect(removed).toBe(1);
+    expect(await redis.hexists('jobs:queue:dead', failed)).toBe(0);
+    expect(await redis.zcard('jobs:queue:dead:index')).toBe(0);
+  });
+
+  test('should keep cancelled jobs until their worker recorded the kill', async () => {
+    await submitJob('sleep 60');
+    const { jobID } = JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue', 60, 'worker-a')
+    );
+    await cancelJob(jobID);
+
+    expect((await cleanJobs({ status: 'cancelled' })).removed).toBe(0);
+    expect(await redis.hexists('jobs:hash', jobID)).toBe(1);
+
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status: 'cancelled' }),
+      'worker-a'
+    );
+    expect((await cleanJobs({ status: 'cancelled' })).removed).toBe(1);
+  });
+
+  test('should not delete anything when archiving fails', async () => {
+    const jobID = await finishJob('echo "keep me"');
+
+    await expect(
+      cleanJobs({ status: 'succeeded', archive: true })
+    ).rejects.toThrow();
+    expect(await redis.hexists('jobs:hash', jobID)).toBe(1);
+  });
+
+  test('should store rules per status and apply each limit', async () => {
+    await setRetention({ status: 'succeeded', maxCount: 3, maxAge: '2d' });
+    await setRetention({ queue: 'emails', status: 'failed', maxAge: '30d' });
+
+    expect(await getRetention()).toEqual({
+      succeeded: { maxCount: 3, maxAge: 2 * DAY, archive: false },
+    });
+
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(await finishJob(`echo ${i}`));
+    }
+    // the newest three are kept by count, one of them is too old
+    await age('jobs:queue:finished:succeeded', ids[2], 3);
+    await age('jobs:queue:finished:succeeded', ids[0], 4);
+    await age('jobs:queue:finished:succeeded', ids[1], 4);
+
+    await applyRetention();
+
+    expect((await redis.hkeys('jobs:hash')).sort()).toEqual(
+      [ids[3], ids[4]].sort()
+    );
+
+    expect(await removeRetention({ status: 'succeeded' })).toBe('removed');
+    expect(await removeRetention({ status: 'succeeded' })).toBe('not_found');
+    expect(await getRetention()).toEqual({});
+  });
+
+  test('should reject invalid rules and durations', () => {
+    expect(parseDuration('7d')).toBe(7 * DAY);
+    expect(parseDuration('90m')).toBe(90 * 60 * 1000);
+    expect(parseDuration(1500)).toBe(1500);
+    expect(() => parseDuration('soon')).toThrow('Invalid duration');
+    expect(() => parseDuration('-1d')).toThrow('Invalid duration');
+
+    expect(() => validateRetention({ status: 'pending', maxCount: 1 })).toThrow(
+      'status'
+    );
+    expect(() => validateRetention({ status: 'succeeded' })).toThrow(
+      'maxCount, maxAge'
+    );
+    expect(() =>
+      validateRetention({ status: 'succeeded', maxCount: -1 })
+    ).toThrow('maxCount');
+    expect(() =>
+      validateRetention({ status: 'skipped', maxAge: '12h' })
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,183 @@
+import { submitJob, getJob } from '../src/queue.js';
+import { getDeadJob } from '../src/dead-letter.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Stalled Jobs', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+      ['workerHeartbeat', 'heartbeat.lua'],
+      ['reapStalledJobs', 'reap-stalled-jobs.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  // Claims the next job for a worker with the given lease
+  async function claim(workerId, lease = 30000) {
+    return JSON.parse(
+      await redis.processJobs('jobs:hash', 'jobs:queue', 60, workerId, lease)
+    );
+  }
+
+  function complete(jobID, workerId) {
+    return redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({
+        status: 'succeeded',
+        exitCode: 0,
+        output: 'done',
+        finishedAt: new Date(),
+      }),
+      workerId
+    );
+  }
+
+  test('should hold a claimed job in the worker processing list', async () => {
+    await submitJob('echo "held"');
+    const { jobID } = await claim('worker-a');
+
+    expect(await redis.lrange('jobs:queue:processing:worker-a', 0, -1)).toEqual(
+      [jobID]
+    );
+    expect(await redis.zscore('jobs:queue:workers', 'worker-a')).not.toBeNull();
+    expect((await getJob(jobID)).workerId).toBe('worker-a');
+  });
+
+  test('should release the job and the lease on completion', async () => {
+    await submitJob('echo "done"');
+    const { jobID } = await claim('worker-a');
+
+    expect(await complete(jobID, 'worker-a')).toBe('succeeded');
+
+    expect(await redis.llen('jobs:queue:processing:worker-a')).toBe(0);
+    expect(await redis.zscore('jobs:queue:workers', 'worker-a')).toBeNull();
+    const job = await getJob(jobID);
+    expect(job.status).toBe('succeeded');
+    expect(job.workerId).toBeUndefined();
+  });
+
+  test('should leave jobs of workers with a live lease alone', async () => {
+    await submitJob('echo "alive"');
+    const { jobID } = await claim('worker-a');
+
+    const [requeued, failed] = await redis.reapStalledJobs(
+      'jobs:hash',
+      'jobs:queue'
+    );
+
+    expect(requeued).toEqual([]);
+    expect(failed).toEqual([]);
+    expect((await getJob(jobID)).status).toBe('running');
+  });
+
+  test('should re-queue jobs whose worker lease expired', async () => {
+    await submitJob('echo "first"');
+    await submitJob('echo "second"');
+    const { jobID } = await claim('worker-a', 1);
+    await sleep(10);
+
+    const [requeued] = await redis.reapStalledJobs('jobs:hash', 'jobs:queue');
+    expect(requeued).toEqual([jobID]);
+
+    const job = await getJob(jobID);
+    expect(job.status).toBe('pending');
+    expect(job.stalls).toBe(1);
+    expect(job.attemptsMade).toBe(0);
+    expect(job.workerId).toBeUndefined();
+    expect(job.attemptHistory).toHaveLength(1);
+    expect(job.attemptHistory[0]).toMatchObject({
+      attempt: 1,
+      status: 'stalled',
+      workerId: 'worker-a',
+    });
+
+    // recovered jobs go back to the front of their lane
+    expect(await redis.lindex('jobs:queue', 0)).toBe(jobID);
+    expect(await redis.exists('jobs:queue:processing:worker-a')).toBe(0);
+    expect(await redis.zscore('jobs:queue:workers', 'worker-a')).toBeNull();
+
+    const retried = await claim('worker-b');
+    expect(retried.jobID).toBe(jobID);
+    expect(retried.attempt).toBe(1);
+  });
+
+  test('should fail a job that stalls more than max stalls', async () => {
+    await submitJob('echo "cursed"');
+    const { jobID } = await claim('worker-a', 1);
+    await sleep(10);
+    await redis.reapStalledJobs('jobs:hash', 'jobs:queue', 1);
+
+    await claim('worker-b', 1);
+    await sleep(10);
+    const [requeued, failed] = await redis.reapStalledJobs(
+      'jobs:hash',
+      'jobs:queue',
+      1
+    );
+
+    expect(requeued).toEqual([]);
+    expect(failed).toEqual([jobID]);
+    expect(await redis.hexists('jobs:hash', jobID)).toBe(0);
+
+    const dead = await getDeadJob(jobID);
+    expect(dead.status).toBe('failed');
+    expect(dead.failedReason).toBe('Job stalled 2 times');
+    expect(dead.attemptHistory.map((entry) => entry.status)).toEqual([
+      'stalled',
+      'stalled',
+    ]);
+  });
+
+  test('should drop a late result from a worker that lost its lease', async () => {
+    await submitJob('echo "late"');
+    const { jobID } = await claim('worker-a', 1);
+    await sleep(10);
+    await redis.reapStalledJobs('jobs:hash', 'jobs:queue');
+
+    expect(await complete(jobID, 'worker-a')).toBe('lease_lost');
+    expect((await getJob(jobID)).status).toBe('pending');
+  });
+
+  test('should extend the lease only for workers that hold jobs', async () => {
+    await submitJob('echo "beat"');
+    await claim('worker-a', 1);
+
+    await redis.workerHeartbeat('jobs:hash', 'jobs:queue', 'worker-a', 30000);
+    await redis.workerHeartbeat('jobs:hash', 'jobs:queue', 'worker-b', 30000);
+    await sleep(10);
+
+    const [requeued] = await redis.reapStalledJobs('jobs:hash', 'jobs:queue');
+    expect(requeued).toEqual([]);
+    expect(await redis.zscore('jobs:queue:workers', 'worker-b')).toBeNull();
+  });
+});
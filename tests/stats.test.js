@@ -0,0 +1,150 @@
+import { submitJob, cancelJob } from '../src/queue.js';
+import { getQueueStats, validateStatsWindow } from '../src/stats.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Queue Statistics', () => {
+  beforeAll(() => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  async function claim() {
+    return JSON.parse(await redis.processJobs('jobs:hash', 'jobs:queue')).jobID;
+  }
+
+  async function complete(jobID, status) {
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status, exitCode: status === 'succeeded' ? 0 : 1 })
+    );
+  }
+
+  test('should start empty', async () => {
+    const stats = await getQueueStats();
+
+    expect(stats).toMatchObject({
+      queue: 'default',
+      total: 0,
+      workers: 0,
+      window: 5,
+      throughput: { finished: 0, perMinute: 0 },
+      avgWaitMs: null,
+      avgRunMs: null,
+    });
+    expect(Object.values(stats.counts).every((count) => count === 0)).toBe(
+      true
+    );
+  });
+
+  test('should count jobs by status', async () => {
+    for (let i = 0; i < 4; i++) {
+      await submitJob(`echo ${i}`);
+    }
+    await submitJob('echo "later"', { delay: 60000 });
+    await complete(await claim(), 'succeeded');
+    await complete(await claim(), 'failed');
+    await claim();
+    const [pending] = await redis.lrange('jobs:queue', 0, -1);
+    await cancelJob(pending);
+
+    const { counts, total } = await getQueueStats();
+    expect(counts).toMatchObject({
+      pending: 0,
+      scheduled: 1,
+      running: 1,
+      succeeded: 1,
+      failed: 1,
+      cancelled: 1,
+    });
+    expect(total).toBe(5);
+  });
+
+  test('should keep totals and throughput of finished jobs', async () => {
+    await submitJob('echo "a"', { attempts: 2 });
+    await submitJob('echo "b"');
+
+    const first = await claim();
+    await complete(first, 'failed');
+    await complete(await claim(), 'succeeded');
+
+    const stats = await getQueueStats({ window: 2 });
+    expect(stats.totals).toEqual({
+      succeeded: 1,
+      failed: 0,
+      cancelled: 0,
+      skipped: 0,
+      retried: 1,
+      recovered: 0,
+    });
+    expect(stats.throughput).toEqual({ finished: 1, perMinute: 0.5 });
+    expect(stats.avgWaitMs).toBeGreaterThanOrEqual(0);
+    expect(stats.avgRunMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should average wait and run times over the window', async () => {
+    const currentMinute = Math.floor(Date.now() / 60000);
+    await redis.hset(`jobs:queue:stats:${currentMinute - 1}`, {
+      claimed: 2,
+      waitMs: 3000,
+      ran: 2,
+      runMs: 10000,
+      succeeded: 2,
+    });
+    // outside a window of 2 minutes
+    await redis.hset(`jobs:queue:stats:${currentMinute - 2}`, {
+      claimed: 1,
+      waitMs: 60000,
+    });
+
+    const stats = await getQueueStats({ window: 2 });
+    expect(stats.avgWaitMs).toBe(1500);
+    expect(stats.avgRunMs).toBe(5000);
+    expect(stats.throughput.finished).toBe(2);
+  });
+
+  test('should keep queues apart', async () => {
+    await submitJob('echo "a"', { queue: 'emails' });
+
+    expect((await getQueueStats({ queue: 'emails' })).counts.pending).toBe(1);
+    expect((await getQueueStats()).counts.pending).toBe(0);
+  });
+
+  test('should reject invalid windows and queues', async () => {
+    expect(() => validateStatsWindow(0)).toThrow('window');
+    expect(() => validateStatsWindow(61)).toThrow('window');
+    expect(() => validateStatsWindow(1.5)).toThrow('window');
+    await expect(getQueueStats({ queue: 'bad queue' })).rejects.toThrow(
+      'Invalid queue name'
+    );
+  });
+});
@@ -0,0 +1,337 @@
+import http from 'http';
+import { jest } from '@jest/globals';
+import { addJob, cancelJob } from '../src/queue.js';
+import {
+  addQueueWebhook,
+  listQueueWebhooks,
+  removeQueueWebhook,
+  listWebhookDeliveries,
+  dispatchWebhooks,
+  startWebhookDispatcher,
+  signPayload,
+  verifySignature,
+  normalizeJobWebhooks,
+} from '../src/webhooks.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SECRET = 'test-secret';
+
+describe('Webhooks', () => {
+  let server;
+  let url;
+  // requests the receiver got, and the status codes it answers with next
+  let received;
+  let responses;
+
+  beforeAll(async () => {
+    for (const [name, file] of [
+      ['processJobs', 'process-jobs.lua'],
+      ['completeJob', 'complete-job.lua'],
+    ]) {
+      redis.defineCommand(name, {
+        numberOfKeys: 2,
+        lua: fs.readFileSync(
+          path.join(__dirname, '../src/jobs_lua_scripts', file),
+          'utf8'
+        ),
+      });
+    }
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responses.shift() ?? 200);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    received = [];
+    responses = [];
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  async function finishJob(jobID, status) {
+    await redis.processJobs('jobs:hash', 'jobs:queue');
+    await redis.completeJob(
+      'jobs:hash',
+      'jobs:queue',
+      jobID,
+      JSON.stringify({ status, exitCode: status === 'succeeded' ? 0 : 1 })
+    );
+  }
+
+  const dispatch = (options) =>
+    dispatchWebhooks({ secret: SECRET, retryDelay: 1, ...options });
+
+  test('should deliver a signed job webhook', async () => {
+    const { jobID } = await addJob('echo "hi"', { webhooks: url });
+    await finishJob(jobID, 'succeeded');
+
+    expect(await dispatch()).toEqual({ queued: 1, delivered: 1, failed: 0 });
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    expect(headers['synq-event']).toBe('succeeded');
+    expect(verifySignature(body, headers['synq-signature'], SECRET)).toBe(true);
+    const payload = JSON.parse(body);
+    expect(payload).toMatchObject({
+      id: headers['synq-delivery'],
+      event: 'succeeded',
+      queue: 'default',
+      job: { jobID, status: 'succeeded', exitCode: 0 },
+    });
+    expect(payload.job.webhooks).toBeUndefined();
+
+    const [delivery] = await listWebhookDeliveries({ jobID });
+    expect(delivery).toMatchObject({
+      deliveryId: payload.id,
+      event: 'succeeded',
+      url,
+      status: 'delivered',
+      attempts: [{ statusCode: 200 }],
+    });
+  });
+
+  test('should only notify for the chosen events', async () => {
+    await addQueueWebhook({ url, events: ['failed'], secret: 'queue-secret' });
+    const ok = await addJob('echo "ok"');
+    const broken = await addJob('exit 1');
+    await finishJob(ok.jobID, 'succeeded');
+    await finishJob(broken.jobID, 'failed');
+
+    await dispatch();
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body).job.jobID).toBe(broken.jobID);
+    // queue webhooks are signed with their own secret
+    expect(
+      verifySignature(body, headers['synq-signature'], 'queue-secret')
+    ).toBe(true);
+    expect(verifySignature(body, headers['synq-signature'], SECRET)).toBe(
+      false
+    );
+  });
+
+  test('should notify when a job is cancelled', async () => {
+    const { jobID } = await addJob('sleep 60', {
+      webhooks: [{ url, events: ['cancelled'] }],
+    });
+    await cancelJob(jobID);
+    await cancelJob(jobID);
+
+    await dispatch();
+    expect(received.map(({ headers }) => headers['synq-event'])).toEqual([
+      'cancelled',
+    ]);
+  });
+
+  test('should retry with backoff until the receiver accepts', async () => {
+    responses = [500, 503];
+    const { jobID } = await addJob('echo "retry"', { webhooks: url });
+    await finishJob(jobID, 'succeeded');
+
+    await dispatch();
+    let [delivery] = await listWebhookDeliveries({ jobID });
+    expect(delivery.status).toBe('retrying');
+    expect(delivery.attempts[0]).toMatchObject({
+      statusCode: 500,
+      error: 'HTTP 500',
+    });
+
+    for (let i = 0; i < 10 && delivery.status === 'retrying'; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await dispatch();
+      [delivery] = await listWebhookDeliveries({ jobID });
+    }
+
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map((attempt) => attempt.statusCode)).toEqual([
+      500, 503, 200,
+    ]);
+    // every attempt sends the same body
+    expect(new Set(received.map(({ body }) => body)).size).toBe(1);
+  });
+
+  test('should give up after the last attempt', async () => {
+    responses = [500, 500];
+    const { jobID } = await addJob('echo "down"', { webhooks: url });
+    await finishJob(jobID, 'succeeded');
+
+    let result = await dispatch({ maxAttempts: 2 });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    result = await dispatch({ maxAttempts: 2 });
+
+    expect(result.failed).toBe(1);
+    const [delivery] = await listWebhookDeliveries({ status: 'failed' });
+    expect(delivery.attempts).toHaveLength(2);
+    expect(delivery.nextAttemptAt).toBe(null);
+  });
+
+  test('should fail job webhooks without a signing secret', async () => {
+    const { jobID } = await addJob('echo "unsigned"', { webhooks: url });
+    await finishJob(jobID, 'succeeded');
+
+    expect(await dispatch({ secret: undefined })).toMatchObject({ failed: 1 });
+    expect(received).toHaveLength(0);
+    const [delivery] = await listWebhookDeliveries({ jobID });
+    expect(delivery.attempts[0].error).toMatch('SYNQ_WEBHOOK_SECRET');
+  });
+
+  test('should not queue events without webhooks', async () => {
+    const { jobID } = await addJob('echo "quiet"');
+    await finishJob(jobID, 'succeeded');
+
+    expect(await redis.llen('jobs:queue:webhooks:outbox')).toBe(0);
+  });
+
+  test('should manage queue webhooks', async () => {
+    const webhook = await addQueueWebhook({ queue: 'emails', url });
+    expect(webhook.secret).toMatch(/^whsec_/);
+    expect(webhook.events).toEqual(['succeeded', 'failed', 'cancelled']);
+
+    expect(await listQueueWebhooks({ queue: 'emails' })).toEqual([
+      {
+        webhookId: webhook.webhookId,
+        url,
+        events: webhook.events,
+        createdAt: webhook.createdAt,
+      },
+    ]);
+    expect(await listQueueWebhooks()).toEqual([]);
+
+    expect(
+      await removeQueueWebhook({
+        queue: 'emails',
+        webhookId: webhook.webhookId,
+      })
+    ).toBe('removed');
+    expect(
+      await removeQueueWebhook({
+        queue: 'emails',
+        webhookId: webhook.webhookId,
+      })
+    ).toBe('not_found');
+  });
+
+  test('should take over what a dead dispatcher claimed', async () => {
+    const { jobID } = await addJob('echo "hi"', { webhooks: url });
+    await finishJob(jobID, 'succeeded');
+
+    // a dispatcher claims the finished job and dies
+    await redis.claimWebhookOutbox(
+      'jobs:hash',
+      'jobs:queue',
+      Date.now(),
+      100,
+      300
+    );
+    expect(await dispatch()).toEqual({ queued: 0, delivered: 0, failed: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(await dispatch()).toEqual({ queued: 1, delivered: 1, failed: 0 });
+
+    // another one dies while it sends a retry
+    const retried = await addJob('echo "again"', { webhooks: url });
+    responses = [500];
+    await finishJob(retried.jobID, 'succeeded');
+    await dispatch();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await redis.claimWebhookDeliveries(
+      'jobs:hash',
+      'jobs:queue',
+      Date.now(),
+      100,
+      300
+    );
+    expect((await dispatch()).delivered).toBe(0);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect((await dispatch()).delivered).toBe(1);
+
+    expect(received).toHaveLength(3);
+    expect(await redis.zcard('jobs:queue:webhooks:processing')).toBe(0);
+    expect(await redis.zcard('jobs:queue:webhooks:outbox:processing')).toBe(0);
+  });
+
+  test('should dispatch when woken and when a retry is due', async () => {
+    const claims = jest.spyOn(redis, 'claimWebhookOutbox');
+    const dispatcher = startWebhookDispatcher(['default'], {
+      secret: SECRET,
+      retryDelay: 20,
+    });
+    const waitFor = async (check) => {
+      for (let i = 0; i < 100 && !check(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    };
+
+    responses = [500];
+    const { jobID } = await addJob('echo "hi"', { webhooks: url });
+    await finishJob(jobID, 'succeeded');
+    await waitFor(() => received.length === 2);
+    expect(received).toHaveLength(2);
+
+    // nothing left to do, so it stops asking Redis
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const calls = claims.mock.calls.length;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(claims.mock.calls.length).toBe(calls);
+
+    dispatcher.stop();
+    claims.mockRestore();
+  });
+
+  test('should verify signatures', () => {
+    const body = '{"event":"succeeded"}';
+    const header = signPayload(body, SECRET, 1000);
+
+    expect(verifySignature(body, header, SECRET, { now: 2000 })).toBe(true);
+    expect(verifySignature(body + ' ', header, SECRET, { now: 2000 })).toBe(
+      false
+    );
+    expect(verifySignature(body, header, 'other', { now: 2000 })).toBe(false);
+    expect(
+      verifySignature(body, header, SECRET, { now: 1000 + 10 * 60 * 1000 })
+    ).toBe(false);
+    expect(verifySignature(body, undefined, SECRET)).toBe(false);
+  });
+
+  test('should reject invalid webhooks', async () => {
+    expect(normalizeJobWebhooks(url)).toEqual([
+      { url, events: ['succeeded', 'failed', 'cancelled'] },
+    ]);
+    expect(() => normalizeJobWebhooks('ftp://example.com')).toThrow(
+      'Invalid webhook url'
+    );
+    expect(() => normalizeJobWebhooks({ url, events: ['started'] })).toThrow(
+      'Invalid webhook event'
+    );
+    expect(() => normalizeJobWebhooks({ url, events: [] })).toThrow('events');
+    await expect(addJob('echo "x"', { webhooks: 'not a url' })).rejects.toThrow(
+      'Invalid webhook url'
+    );
+    await expect(addQueueWebhook({ url, secret: '' })).rejects.toThrow(
+      'secret'
+    );
+  });
+});
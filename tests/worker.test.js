@@ -0,0 +1,226 @@
+import { jest } from '@jest/globals';
+import { createSlotPool } from '../src/worker.js';
+import { submitJob } from '../src/queue.js';
+import { redis } from '../src/db/redis.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// A job whose run() only finishes when the test says so
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Worker Concurrency', () => {
+  beforeAll(() => {
+    redis.defineCommand('processJobs', {
+      numberOfKeys: 2,
+      lua: fs.readFileSync(
+        path.join(__dirname, '../src/jobs_lua_scripts/process-jobs.lua'),
+        'utf8'
+      ),
+    });
+  });
+
+  afterAll(async () => {
+    await redis.disconnect();
+  });
+
+  beforeEach(async () => {
+    const keys = await redis.keys('jobs:*');
+    if (keys.length > 0) {
+      await redis.del(...keys);
+    }
+  });
+
+  test('should run up to concurrency jobs at once', async () => {
+    const waiting = ['a', 'b', 'c', 'd', 'e'].map((jobID) => ({ jobID }));
+    const running = new Map();
+
+    const pool = createSlotPool({
+      concurrency: 3,
+      claim: async () => waiting.shift() ?? null,
+      run: (job) => {
+        const done = deferred();
+        running.set(job.jobID, done);
+        return done.promise;
+      },
+    });
+
+    await pool.fill();
+    await flush();
+
+    expect([...running.keys()]).toEqual(['a', 'b', 'c']);
+    expect(pool.status()).toMatchObject({
+      concurrency: 3,
+      activeSlots: 3,
+      idleSlots: 0,
+      utilization: 1,
+    });
+  });
+
+  test('should claim the next job as soon as a slot frees up', async () => {
+    const waiting = ['a', 'b', 'c'].map((jobID) => ({ jobID }));
+    const running = new Map();
+
+    const pool = createSlotPool({
+      concurrency: 2,
+      claim: async () => waiting.shift() ?? null,
+      run: (job) => {
+        const done = deferred();
+        running.set(job.jobID, done);
+        return done.promise;
+      },
+    });
+
+    await pool.fill();
+    await flush();
+    expect(running.has('c')).toBe(false);
+
+    running.get('a').resolve();
+    await flush();
+    await flush();
+
+    expect(running.has('c')).toBe(true);
+    const status = pool.status();
+    expect(status.processedJobs).toBe(1);
+    expect(status.slots.map((slot) => slot.jobID)).toEqual(['c', 'b']);
+  });
+
+  test('should report idle slots when there is nothing to run', async () => {
+    const pool = createSlotPool({
+      concurrency: 4,
+      claim: async () => null,
+      run: async () => {},
+    });
+
+    await pool.fill();
+
+    expect(pool.status()).toMatchObject({
+      activeSlots: 0,
+      idleSlots: 4,
+      utilization: 0,
+    });
+    expect(pool.status().slots.every((slot) => slot.idle)).toBe(true);
+  });
+
+  test('should free the slot when a job throws', async () => {
+    const waiting = [{ jobID: 'a' }];
+    const pool = createSlotPool({
+      concurrency: 1,
+      claim: async () => waiting.shift() ?? null,
+      run: async () => {
+        throw new Error('boom');
+      },
+    });
+
+    await pool.fill();
+    await flush();
+    await flush();
+
+    expect(pool.status()).toMatchObject({ activeSlots: 0, processedJobs: 1 });
+  });
+
+  test('should not lose a wake-up that arrives while claiming', async () => {
+    const waiting = [];
+    const claimed = [];
+    let claims = 0;
+
+    const pool = createSlotPool({
+      concurrency: 2,
+      claim: async () => {
+        claims++;
+        // a job lands right after the first (empty) claim looked
+        if (claims === 1) {
+          waiting.push({ jobID: 'late' });
+          pool.fill();
+          return null;
+        }
+        return waiting.shift() ?? null;
+      },
+      run: async (job) => {
+        claimed.push(job.jobID);
+      },
+    });
+
+    await pool.fill();
+    await flush();
+
+    expect(claimed).toEqual(['late']);
+  });
+
+  test('should call idle when there is nothing to claim', async () => {
+    const idle = jest.fn();
+    const waiting = [{ jobID: 'a' }];
+
+    const pool = createSlotPool({
+      concurrency: 2,
+      claim: async () => waiting.shift() ?? null,
+      run: () => new Promise(() => {}),
+      idle,
+    });
+
+    await pool.fill();
+    expect(idle).toHaveBeenCalledTimes(1);
+  });
+
+  test('should publish a wake-up when a job is queued or scheduled', async () => {
+    const subscriber = redis.duplicate();
+    const messages = [];
+    subscriber.on('message', (channel, message) =>
+      messages.push([channel, message])
+    );
+    await subscriber.subscribe('jobs:queue:wake');
+
+    await submitJob('echo "wake"');
+    await submitJob('echo "later"', { delay: 60000 });
+    await flush();
+
+    expect(messages).toEqual([
+      ['jobs:queue:wake', 'queued'],
+      ['jobs:queue:wake', 'scheduled'],
+    ]);
+    await subscriber.quit();
+  });
+
+  test('should never hand one job to two concurrent workers', async () => {
+    for (let i = 0; i < 10; i++) {
+      await submitJob(`echo "slot-${i}"`);
+    }
+
+    const claim = async () => {
+      const parsed = JSON.parse(
+        await redis.processJobs('jobs:hash', 'jobs:queue')
+      );
+      return parsed.error ? null : parsed;
+    };
+
+    // three workers with four slots each race for ten jobs
+    const claimed = [];
+    const pools = [1, 2, 3].map(() =>
+      createSlotPool({
+        concurrency: 4,
+        claim,
+        run: async (job) => {
+          claimed.push(job.jobID);
+        },
+      })
+    );
+
+    await Promise.all(pools.map((pool) => pool.fill()));
+    for (let i = 0; i < 5; i++) {
+      await flush();
+    }
+
+    expect(claimed).toHaveLength(10);
+    expect(new Set(claimed).size).toBe(10);
+  });
+});